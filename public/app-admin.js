@@ -0,0 +1,235 @@
+// app-admin.js - operator console: storage usage, item search and moderation, keyphrase
+// revocation, webhook deliveries and the audit log. Talks to the admin API with the token in X-Admin-Token.
+const { el, show } = PhraseportDOM;
+
+const TOKEN_KEY = 'phraseport-admin-token';
+const loginForm = document.getElementById('loginForm');
+const consoleEl = document.getElementById('console');
+const signOut = document.getElementById('signOut');
+const searchForm = document.getElementById('searchForm');
+const revokeForm = document.getElementById('revokeForm');
+
+function showToast(message, type = 'info', timeout = 2200) {
+  const toasts = document.getElementById('toasts');
+  if (!toasts) return;
+  const node = el('div', { className: `toast ${type}` }, message);
+  toasts.appendChild(node);
+  setTimeout(() => node.remove(), timeout);
+}
+
+class AuthError extends Error {}
+
+async function request(method, path, body) {
+  const opts = { method, headers: { 'X-Admin-Token': sessionStorage.getItem(TOKEN_KEY) || '' } };
+  if (body) {
+    opts.headers['Content-Type'] = 'application/json';
+    opts.body = JSON.stringify(body);
+  }
+  const res = await fetch(path, opts);
+  if (res.status === 401) throw new AuthError('The admin token was not accepted.');
+  if (!res.ok) {
+    const json = await res.json().catch(() => ({}));
+    throw new Error(json.error || `request failed (${res.status})`);
+  }
+  return res;
+}
+
+const api = async (method, path, body) => (await request(method, path, body)).json();
+
+function formatBytes(n) {
+  if (n == null) return '—';
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  let i = 0;
+  while (n >= 1024 && i < units.length - 1) { n /= 1024; i++; }
+  return `${i ? n.toFixed(1) : n} ${units[i]}`;
+}
+
+function table(headings, rows) {
+  return el('table', { className: 'admin-table' },
+    el('thead', {}, el('tr', {}, headings.map(h => el('th', {}, h)))),
+    el('tbody', {}, rows));
+}
+
+async function loadUsage() {
+  const u = await api('GET', '/api/usage?limit=10');
+  const usageRows = (list) => list.map(c => el('tr', {}, el('td', {}, c.key), el('td', {}, String(c.items)), el('td', {}, formatBytes(c.bytes))));
+  show(document.getElementById('usage'),
+    el('p', {}, `${u.total.items} items, ${formatBytes(u.total.bytes)} stored`),
+    el('div', { className: 'row' },
+      el('div', {}, el('strong', {}, 'Top clients'), table(['Client', 'Items', 'Size'], usageRows(u.clients))),
+      el('div', {}, el('strong', {}, 'Top keyphrases'), table(['Keyphrase', 'Items', 'Size'], usageRows(u.keyphrases)))));
+}
+
+function itemStatus(it) {
+  if (it.quarantinedAt) return `quarantined${it.quarantineReason ? `: ${it.quarantineReason}` : ''}`;
+  if (it.scanStatus === 'infected') return `blocked: ${it.scanReason || ''}`;
+  return it.scanStatus || '';
+}
+
+// Download an item's content through the admin API (the token can't ride on a plain link)
+async function downloadContent(it) {
+  const res = await request('GET', `/api/admin/items/${encodeURIComponent(it.id)}/content`);
+  const url = URL.createObjectURL(await res.blob());
+  const a = el('a', { href: url, download: it.filename || `${it.id}.txt` });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+async function moderate(action, it) {
+  const id = encodeURIComponent(it.id);
+  if (action === 'quarantine') {
+    const reason = prompt('Reason for the quarantine (optional)');
+    if (reason === null) return;
+    await api('POST', `/api/admin/items/${id}/quarantine`, { reason });
+  } else if (action === 'release') {
+    await api('DELETE', `/api/admin/items/${id}/quarantine`);
+  } else if (action === 'takedown') {
+    if (!confirm(`Delete "${it.title}" and its stored file for good?`)) return;
+    await api('DELETE', `/api/admin/items/${id}`);
+  }
+  showToast('Done', 'success');
+  await Promise.all([search(), loadAudit(), loadUsage()]);
+}
+
+function actionButton(label, onClick) {
+  const button = el('button', { type: 'button', className: 'secondary' }, label);
+  button.addEventListener('click', () => onClick().catch(err => showToast(err.message, 'error', 4000)));
+  return button;
+}
+
+function renderItemRow(it) {
+  return el('tr', {},
+    el('td', {}, new Date(it.createdAt).toLocaleString()),
+    el('td', {}, it.type),
+    el('td', {}, it.title, it.filename && it.filename !== it.title ? el('div', { className: 'meta' }, it.filename) : null),
+    el('td', {}, formatBytes(it.size)),
+    el('td', {}, it.keyphrase || ''),
+    el('td', {}, itemStatus(it)),
+    el('td', { className: 'actions' },
+      actionButton('Download', () => downloadContent(it)),
+      it.quarantinedAt ? actionButton('Release', () => moderate('release', it)) : actionButton('Quarantine', () => moderate('quarantine', it)),
+      actionButton('Take down', () => moderate('takedown', it))));
+}
+
+let offset = 0;
+
+async function search() {
+  const params = new URLSearchParams();
+  for (const [key, value] of new FormData(searchForm)) {
+    if (value) params.set(key, value);
+  }
+  params.set('offset', String(offset));
+  const j = await api('GET', `/api/admin/items?${params}`);
+  const pager = el('div', { className: 'meta' }, `${j.total === 0 ? 0 : j.offset + 1}–${j.offset + j.items.length} of ${j.total}`);
+  if (j.offset > 0) pager.append(' ', actionButton('Previous', async () => { offset = Math.max(0, offset - j.limit); await search(); }));
+  if (j.offset + j.items.length < j.total) pager.append(' ', actionButton('Next', async () => { offset += j.limit; await search(); }));
+  show(document.getElementById('results'),
+    j.items.length ? table(['Uploaded', 'Type', 'Title', 'Size', 'Keyphrase', 'Status', ''], j.items.map(renderItemRow)) : el('p', { className: 'empty' }, 'No items match.'),
+    pager);
+}
+
+async function loadAudit() {
+  const { events } = await api('GET', '/api/admin/audit?limit=50');
+  show(document.getElementById('audit'), events.length
+    ? table(['When', 'Action', 'Target', 'Detail', 'IP'], events.map(ev => el('tr', {},
+      el('td', {}, new Date(ev.createdAt).toLocaleString()),
+      el('td', {}, ev.action),
+      el('td', {}, ev.target || ''),
+      el('td', {}, ev.detail ? JSON.stringify(ev.detail) : ''),
+      el('td', {}, ev.ip || ''))))
+    : el('p', { className: 'empty' }, 'Nothing recorded yet.'));
+}
+
+function deliveryStatus(d) {
+  if (d.status === 'delivered') return `delivered ${new Date(d.deliveredAt).toLocaleString()}`;
+  const last = d.lastError ? ` — ${d.lastError}` : '';
+  if (d.status === 'failed') return `failed after ${d.attempts} attempt(s)${last}`;
+  return d.attempts ? `retrying ${new Date(d.nextAttemptAt).toLocaleString()} (${d.attempts} attempt(s)${last})` : 'queued';
+}
+
+async function retryDelivery(d) {
+  await api('POST', `/api/admin/webhooks/deliveries/${encodeURIComponent(d.id)}/retry`);
+  showToast('Delivery queued again', 'success');
+  await Promise.all([loadWebhooks(), loadAudit()]);
+}
+
+async function loadWebhooks() {
+  const [{ subscriptions }, { deliveries }] = await Promise.all([
+    api('GET', '/api/admin/webhooks'),
+    api('GET', '/api/admin/webhooks/deliveries?limit=50')
+  ]);
+  if (subscriptions.length === 0 && deliveries.length === 0) {
+    return show(document.getElementById('webhooks'), el('p', { className: 'empty' }, 'No webhooks configured (set WEBHOOKS).'));
+  }
+  show(document.getElementById('webhooks'),
+    table(['Name', 'URL', 'Events', 'Keyphrase'], subscriptions.map(sub => el('tr', {},
+      el('td', {}, sub.name),
+      el('td', {}, sub.url),
+      el('td', {}, sub.events.join(', ')),
+      el('td', {}, sub.keyphrase || 'any')))),
+    el('strong', {}, 'Recent deliveries'),
+    deliveries.length
+      ? table(['Queued', 'Webhook', 'Event', 'Item', 'Status', ''], deliveries.map(d => el('tr', {},
+        el('td', {}, new Date(d.createdAt).toLocaleString()),
+        el('td', {}, d.subscription),
+        el('td', {}, d.event),
+        el('td', {}, d.itemId || ''),
+        el('td', {}, deliveryStatus(d)),
+        el('td', { className: 'actions' }, d.status === 'pending' && d.attempts === 0 ? null : actionButton('Retry', () => retryDelivery(d))))))
+      : el('p', { className: 'empty' }, 'Nothing sent yet.'));
+}
+
+async function openConsole() {
+  try {
+    await Promise.all([loadUsage(), search(), loadWebhooks(), loadAudit()]);
+  } catch (err) {
+    if (err instanceof AuthError) {
+      sessionStorage.removeItem(TOKEN_KEY);
+      document.getElementById('loginStatus').textContent = err.message;
+      loginForm.hidden = false;
+      consoleEl.hidden = true;
+      signOut.hidden = true;
+      return;
+    }
+    showToast(err.message, 'error', 4000);
+  }
+  loginForm.hidden = true;
+  consoleEl.hidden = false;
+  signOut.hidden = false;
+}
+
+loginForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  sessionStorage.setItem(TOKEN_KEY, document.getElementById('adminToken').value.trim());
+  openConsole();
+});
+
+signOut.addEventListener('click', (e) => {
+  e.preventDefault();
+  sessionStorage.removeItem(TOKEN_KEY);
+  location.reload();
+});
+
+searchForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  offset = 0;
+  search().catch(err => showToast(err.message, 'error', 4000));
+});
+
+revokeForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const body = Object.fromEntries(new FormData(revokeForm));
+  if (!confirm(`Delete every item under "${body.keyphrase}" and block the keyphrase?`)) return;
+  try {
+    const j = await api('POST', '/api/admin/keyphrases/revoke', body);
+    showToast(`Keyphrase revoked, ${j.removed} item(s) deleted`, 'success', 3500);
+    revokeForm.reset();
+    await Promise.all([search(), loadAudit(), loadUsage()]);
+  } catch (err) {
+    showToast(err.message, 'error', 4000);
+  }
+});
+
+if (sessionStorage.getItem(TOKEN_KEY)) openConsole();
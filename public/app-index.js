@@ -33,6 +33,8 @@ function showToast(message, type = 'info', timeout = 2200) {
 const form = document.getElementById('hostForm');
 const result = document.getElementById('result');
 const openViewerBtn = document.getElementById('openViewerBtn');
+const encryptInput = document.getElementById('encrypt');
+const { el, show } = PhraseportDOM;
 if (openViewerBtn) openViewerBtn.addEventListener('click', () => { location.href = '/view'; });
 
 function makeCopyButton(text) {
@@ -54,48 +56,225 @@ function makeCopyButton(text) {
   return btn;
 }
 
+// Render the credentials and links for a freshly hosted item
+function renderHosted(json, e2eKey) {
+  show(result);
+  // the decryption key only ever exists in the fragment of the link we show here
+  if (e2eKey) json.shareUrl += `#key=${e2eKey}`;
+  const info = el('div', {},
+    el('div', {}, el('strong', { style: 'color:#fff' }, 'Hosted:'), ' ', el('span', { className: 'muted' }, json.id)));
+
+  // the keyphrase can be user-supplied, so it only ever goes in as text
+  const credential = (label, value) => el('div', { style: 'margin-top:10px' },
+    el('div', { className: 'muted' }, label),
+    el('div', { style: 'font-weight:700;color:#fff' }, value),
+    makeCopyButton(value));
+  const kpdiv = credential('Keyphrase', json.keyphrase);
+  const pcdiv = credential('Passcode', json.passcode);
+
+  const shareDiv = document.createElement('div');
+  shareDiv.className = 'share-link';
+  const shareAnchor = document.createElement('a');
+  shareAnchor.href = json.shareUrl;
+  shareAnchor.textContent = json.shareUrl;
+  shareAnchor.target = '_blank';
+  shareAnchor.style.color = 'var(--accent-2)';
+  shareDiv.appendChild(shareAnchor);
+  shareDiv.appendChild(makeCopyButton(json.shareUrl));
+
+  const manageDiv = document.createElement('div');
+  manageDiv.className = 'share-link';
+  const manageAnchor = document.createElement('a');
+  manageAnchor.href = json.manageUrl;
+  manageAnchor.textContent = 'Manage this item';
+  manageAnchor.target = '_blank';
+  manageAnchor.style.color = 'var(--accent-2)';
+  manageDiv.appendChild(manageAnchor);
+  manageDiv.appendChild(makeCopyButton(json.manageUrl));
+  const manageNote = document.createElement('div');
+  manageNote.className = 'muted';
+  manageNote.textContent = 'Keep the manage link private — it lets you edit or delete the item. It is only shown once.';
+
+  const lifeDiv = document.createElement('div');
+  lifeDiv.className = 'lifetime';
+  const parts = [];
+  if (json.expiresAt) parts.push(`Expires ${new Date(json.expiresAt).toLocaleString()}`);
+  if (json.bundleId) parts.push(`Bundle of ${json.items.length} items`);
+  if (e2eKey) parts.push('End-to-end encrypted — only the share link can decrypt it');
+  if (json.maxViews) parts.push(json.maxViews === 1 ? 'Deleted after the first view' : `Deleted after ${json.maxViews} views`);
+  lifeDiv.textContent = parts.join(' • ');
+
+  info.appendChild(kpdiv);
+  info.appendChild(pcdiv);
+  info.appendChild(shareDiv);
+  info.appendChild(manageDiv);
+  info.appendChild(manageNote);
+  if (parts.length) info.appendChild(lifeDiv);
+  result.appendChild(info);
+}
+
+// Upload size limits from GET /api/policy (defaults match the server's)
+let policyUploads = null;
+async function uploadLimits() {
+  if (!policyUploads) {
+    try {
+      const res = await fetch('/api/policy');
+      policyUploads = (await res.json()).uploads;
+    } catch (_) {}
+    if (!policyUploads) return { maxFileSize: 10 * 1024 * 1024, maxUploadSize: 2 * 1024 * 1024 * 1024, chunkSize: 8 * 1024 * 1024 };
+  }
+  return policyUploads;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait before retrying after a network error: until the browser is back online, then with backoff
+async function waitToRetry(attempt, status) {
+  if (!navigator.onLine) {
+    status('Offline — the upload will resume when the connection is back');
+    await new Promise(resolve => window.addEventListener('online', resolve, { once: true }));
+  }
+  const delay = Math.min(30000, 1000 * 2 ** attempt);
+  status(`Connection lost — retrying in ${Math.round(delay / 1000)}s`);
+  await sleep(delay);
+}
+
+function showProgress() {
+  show(result);
+  const wrap = document.createElement('div');
+  const bar = document.createElement('progress');
+  bar.max = 100;
+  bar.value = 0;
+  bar.className = 'upload-progress';
+  const label = document.createElement('div');
+  label.className = 'muted';
+  wrap.appendChild(bar);
+  wrap.appendChild(label);
+  result.appendChild(wrap);
+  return {
+    update(sent, total) {
+      bar.value = Math.floor((sent / total) * 100);
+      label.textContent = `Uploading… ${(sent / 1048576).toFixed(1)} of ${(total / 1048576).toFixed(1)} MB`;
+    },
+    status(text) { label.textContent = text; }
+  };
+}
+
+// Resumable upload via /api/uploads. The session id is kept in localStorage (per file name, size
+// and date) so picking the same file again after a reload continues where it stopped.
+async function resumableUpload(file, data, limits) {
+  if (file.size > limits.maxUploadSize) throw new Error(`files may be at most ${Math.floor(limits.maxUploadSize / 1048576)} MB`);
+  const saveKey = `phraseport-upload:${file.name}:${file.size}:${file.lastModified}`;
+  const progress = showProgress();
+  let session = null;
+  const saved = localStorage.getItem(saveKey);
+  if (saved) {
+    const res = await fetch(`/api/uploads/${encodeURIComponent(saved)}`);
+    if (res.ok) session = await res.json();
+    else localStorage.removeItem(saveKey);
+  }
+  if (!session) {
+    const options = {};
+    for (const name of ['title', 'text', 'keyphrase', 'ttl', 'maxViews', 'burnAfterRead']) {
+      if (data.get(name)) options[name] = data.get(name);
+    }
+    const res = await fetch('/api/uploads', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...options, filename: file.name, size: file.size, mimeType: file.type })
+    });
+    session = await res.json();
+    if (!res.ok) return session;
+    localStorage.setItem(saveKey, session.id);
+  }
+
+  const url = `/api/uploads/${encodeURIComponent(session.id)}`;
+  let offset = session.offset;
+  let attempt = 0;
+  let rejected = 0;
+  while (offset < file.size) {
+    progress.update(offset, file.size);
+    try {
+      const res = await fetch(url, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) },
+        body: file.slice(offset, offset + session.chunkSize)
+      });
+      if (res.status === 404) {
+        localStorage.removeItem(saveKey);
+        throw new Error('the upload session expired — please start again');
+      }
+      if (res.ok) {
+        offset = Number(res.headers.get('Upload-Offset'));
+        attempt = 0;
+      } else {
+        // rejected chunk (409 / 400): the server says where to continue from
+        const body = await res.json().catch(() => ({}));
+        if (typeof body.offset !== 'number' || ++rejected > 5) throw new Error(body.error || `upload failed (${res.status})`);
+        offset = body.offset;
+        await sleep(1000);
+      }
+    } catch (err) {
+      if (!(err instanceof TypeError)) throw err; // fetch only throws TypeError for network failures
+      await waitToRetry(attempt++, progress.status);
+      try {
+        const res = await fetch(url);
+        if (res.ok) offset = (await res.json()).offset;
+      } catch (_) {}
+    }
+  }
+  progress.update(file.size, file.size);
+  progress.status('Finishing…');
+  const res = await fetch(`${url}/finalize`, { method: 'POST' });
+  const json = await res.json();
+  if (res.ok) localStorage.removeItem(saveKey);
+  return json;
+}
+
 if (form) {
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
-    result.innerHTML = '<div class="muted">Hosting…</div>';
+    show(result, el('div', { className: 'muted' }, 'Hosting…'));
     const data = new FormData(form);
+    let e2eKey = null;
     try {
-      const res = await fetch('/api/host', { method: 'POST', body: data });
-      const json = await res.json();
+      if (encryptInput && encryptInput.checked) {
+        if (!PhraseportE2E.supported) throw new Error('this browser does not support WebCrypto (a secure https:// page is required)');
+        // swap title / text / file for ciphertext; the key stays in the browser
+        const files = data.getAll('files').filter(f => f && f.size > 0);
+        if (files.length > 1) throw new Error('end-to-end encryption supports one file per upload');
+        const file = files[0];
+        const enc = await PhraseportE2E.encryptUpload({
+          title: data.get('title'),
+          text: data.get('text'),
+          file: file || null
+        });
+        data.delete('title');
+        data.delete('text');
+        data.delete('files');
+        data.delete('language');
+        if (enc.text) data.set('text', enc.text);
+        if (enc.file) data.set('file', enc.file, 'encrypted.bin');
+        data.set('encryption', JSON.stringify(enc.encryption));
+        e2eKey = enc.key;
+      }
+      const files = data.getAll('files').filter(f => f && f.size > 0);
+      const limits = await uploadLimits();
+      let json;
+      if (!e2eKey && files.length === 1 && files[0].size > Math.min(limits.maxFileSize, limits.chunkSize)) {
+        // too big (or slow) for one request: chunked, resumable upload with progress
+        json = await resumableUpload(files[0], data, limits);
+      } else {
+        const res = await fetch('/api/host', { method: 'POST', body: data });
+        json = await res.json();
+      }
       if (!json || !json.success) {
-        result.innerHTML = `<pre>${JSON.stringify(json, null, 2)}</pre>`;
+        show(result, el('pre', {}, JSON.stringify(json, null, 2)));
         return;
       }
-      result.innerHTML = '';
-      const info = document.createElement('div');
-      info.innerHTML = `<div><strong style="color:#fff">Hosted:</strong> <span class="muted">${json.id}</span></div>`;
-
-      const kpdiv = document.createElement('div');
-      kpdiv.style.marginTop = '10px';
-      kpdiv.innerHTML = `<div class="muted">Keyphrase</div><div style="font-weight:700;color:#fff">${json.keyphrase}</div>`;
-      kpdiv.appendChild(makeCopyButton(json.keyphrase));
-
-      const pcdiv = document.createElement('div');
-      pcdiv.style.marginTop = '10px';
-      pcdiv.innerHTML = `<div class="muted">Passcode</div><div style="font-weight:700;color:#fff">${json.passcode}</div>`;
-      pcdiv.appendChild(makeCopyButton(json.passcode));
-
-      const shareDiv = document.createElement('div');
-      shareDiv.className = 'share-link';
-      const shareAnchor = document.createElement('a');
-      shareAnchor.href = json.shareUrl;
-      shareAnchor.textContent = json.shareUrl;
-      shareAnchor.target = '_blank';
-      shareAnchor.style.color = 'var(--accent-2)';
-      shareDiv.appendChild(shareAnchor);
-      shareDiv.appendChild(makeCopyButton(json.shareUrl));
-
-      info.appendChild(kpdiv);
-      info.appendChild(pcdiv);
-      info.appendChild(shareDiv);
-      result.appendChild(info);
+      renderHosted(json, e2eKey);
     } catch (err) {
-      result.innerHTML = `<pre>Upload failed: ${err.message}</pre>`;
+      show(result, el('pre', {}, `Upload failed: ${err.message}`));
     }
   });
 }
@@ -0,0 +1,170 @@
+// app-manage.js - owner page for editing, replacing and deleting an item
+const statusEl = document.getElementById('status');
+const editForm = document.getElementById('editForm');
+const fileForm = document.getElementById('fileForm');
+const deleteBtn = document.getElementById('deleteBtn');
+const titleInput = document.getElementById('title');
+const titleLabel = document.getElementById('titleLabel');
+const textInput = document.getElementById('text');
+const textLabel = document.getElementById('textLabel');
+const languageInput = document.getElementById('language');
+const languageLabel = document.getElementById('languageLabel');
+const currentFile = document.getElementById('currentFile');
+const notifyUrlInput = document.getElementById('notifyUrl');
+const accessCard = document.getElementById('accessCard');
+
+function showToast(message, type = 'info', timeout = 2200) {
+  const toasts = document.getElementById('toasts');
+  if (!toasts) return;
+  const el = document.createElement('div');
+  el.className = `toast ${type}`;
+  el.textContent = message;
+  toasts.appendChild(el);
+  setTimeout(() => {
+    el.style.opacity = '0';
+    el.style.transform = 'translateY(6px) scale(.98)';
+    setTimeout(() => el.remove(), 300);
+  }, timeout);
+}
+
+// item / bundle id comes from the query string, the manage token from the fragment (never sent to the server)
+const id = new URLSearchParams(location.search).get('id');
+const bundleId = new URLSearchParams(location.search).get('bundle');
+const token = new URLSearchParams(location.hash.slice(1)).get('token');
+
+async function api(method, path, body) {
+  const opts = { method, headers: { 'X-Manage-Token': token } };
+  if (body instanceof FormData) {
+    opts.body = body;
+  } else if (body) {
+    opts.headers['Content-Type'] = 'application/json';
+    opts.body = JSON.stringify(body);
+  }
+  const res = await fetch(path, opts);
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `request failed (${res.status})`);
+  return json;
+}
+
+function setStatus(message, isError) {
+  statusEl.textContent = message;
+  statusEl.style.color = isError ? 'crimson' : '';
+}
+
+// Bundles: list the items, each linking to this page for that item (same token)
+async function loadBundle() {
+  try {
+    const b = await api('GET', `/api/bundle/${encodeURIComponent(bundleId)}/manage`);
+    setStatus(`Bundle "${b.title}" • created ${new Date(b.createdAt).toLocaleString()} • keyphrase ${b.keyphrase}`);
+    const list = document.createElement('ul');
+    for (const it of b.items) {
+      const li = document.createElement('li');
+      const a = document.createElement('a');
+      a.href = `/manage?id=${encodeURIComponent(it.id)}#token=${encodeURIComponent(token)}`;
+      a.textContent = `${it.title} (${it.type})`;
+      a.style.color = 'var(--accent-2)';
+      li.appendChild(a);
+      list.appendChild(li);
+    }
+    if (b.items.length === 0) list.textContent = 'All items of this bundle have been deleted.';
+    statusEl.after(list);
+  } catch (err) {
+    setStatus(err.message, true);
+  }
+}
+
+const ACTION_LABELS = { list: 'listed', view: 'opened', download: 'downloaded' };
+
+// Access log summary and the latest events; visitors are hash prefixes, not addresses
+async function loadStats() {
+  const s = await api('GET', `/api/item/${encodeURIComponent(id)}/stats`);
+  const last = s.lastAccessedAt ? `last accessed ${new Date(s.lastAccessedAt).toLocaleString()}` : 'never accessed';
+  document.getElementById('accessSummary').textContent =
+    `${s.views} opened • ${s.downloads} downloaded • ${s.listings} listed • ${s.visitors} visitor(s) • ${s.failedAttempts} failed attempt(s) • ${last}`;
+  const list = document.getElementById('accessRecent');
+  list.replaceChildren(...s.recent.map(ev => {
+    const li = document.createElement('li');
+    const what = ev.outcome === 'ok' ? ACTION_LABELS[ev.action] : `${ev.action} refused (bad credentials)`;
+    li.textContent = `${new Date(ev.at).toLocaleString()} — ${what}${ev.visitor ? ` by visitor ${ev.visitor}` : ''}`;
+    return li;
+  }));
+  accessCard.hidden = false;
+}
+
+async function load() {
+  if (bundleId && token) return loadBundle();
+  if (!id || !token) {
+    setStatus('This link is missing the item id or manage token.', true);
+    return;
+  }
+  try {
+    const it = await api('GET', `/api/item/${encodeURIComponent(id)}/manage`);
+    setStatus(`${it.type} • created ${new Date(it.createdAt).toLocaleString()} • keyphrase ${it.keyphrase}`);
+    titleInput.value = it.title || '';
+    notifyUrlInput.value = it.notifyUrl || '';
+    editForm.hidden = false;
+    deleteBtn.hidden = false;
+    if (it.encrypted) {
+      // ciphertext (title included) can't be edited here; only notifications and deletion apply
+      titleLabel.hidden = true;
+      statusEl.textContent += ' • end-to-end encrypted (content can only be deleted, not edited)';
+    } else if (it.type === 'text') {
+      textInput.value = it.text || '';
+      textLabel.hidden = false;
+      // languages set through the API may not be in the list
+      if (it.language && !Array.from(languageInput.options).some(o => o.value === it.language)) {
+        languageInput.add(new Option(it.language, it.language));
+      }
+      languageInput.value = it.language || 'plaintext';
+      languageLabel.hidden = false;
+    } else {
+      currentFile.textContent = it.originalName ? `(current: ${it.originalName})` : '';
+      fileForm.hidden = false;
+    }
+    await loadStats();
+  } catch (err) {
+    setStatus(err.message, true);
+  }
+}
+
+editForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const body = { notifyUrl: notifyUrlInput.value };
+  if (!titleLabel.hidden) body.title = titleInput.value;
+  if (!textLabel.hidden) body.text = textInput.value;
+  if (!languageLabel.hidden) body.language = languageInput.value;
+  try {
+    await api('PATCH', `/api/item/${encodeURIComponent(id)}`, body);
+    showToast('Saved', 'success');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+});
+
+fileForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    await api('PUT', `/api/item/${encodeURIComponent(id)}/file`, new FormData(fileForm));
+    showToast('File replaced', 'success');
+    fileForm.reset();
+    load();
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+});
+
+deleteBtn.addEventListener('click', async () => {
+  if (!window.confirm('Delete this item for everyone? This cannot be undone.')) return;
+  try {
+    await api('DELETE', `/api/item/${encodeURIComponent(id)}`);
+    editForm.hidden = true;
+    fileForm.hidden = true;
+    deleteBtn.hidden = true;
+    accessCard.hidden = true;
+    setStatus('Item deleted.');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+});
+
+load();
@@ -3,6 +3,8 @@ const form = document.getElementById('accessForm');
 const out = document.getElementById('items');
 const keyInput = document.getElementById('keyphrase');
 const passInput = document.getElementById('passcode');
+const e2eKeyInput = document.getElementById('e2ekey');
+const { el, show } = PhraseportDOM;
 
 function showToast(message, type = 'info', timeout = 2200) {
   const toasts = document.getElementById('toasts');
@@ -18,98 +20,444 @@ function showToast(message, type = 'info', timeout = 2200) {
   }, timeout);
 }
 
-// restrict passcode to digits only
+// Human-readable remaining lifetime for an item ('' if it lives forever)
+function describeLifetime(it) {
+  const parts = [];
+  if (it.expiresAt) {
+    const ms = new Date(it.expiresAt).getTime() - Date.now();
+    if (ms <= 0) parts.push('expired');
+    else {
+      const mins = Math.ceil(ms / 60000);
+      if (mins < 60) parts.push(`expires in ${mins} min`);
+      else if (mins < 48 * 60) parts.push(`expires in ${Math.round(mins / 60)} h`);
+      else parts.push(`expires in ${Math.round(mins / 1440)} days`);
+    }
+  }
+  if (it.viewsRemaining != null) {
+    parts.push(it.viewsRemaining === 1 ? '1 view left' : `${it.viewsRemaining} views left`);
+  }
+  return parts.join(' • ');
+}
+
+// Passcode format comes from the server (GET /api/policy); this fallback matches the legacy 4-digit codes
+let policy = { passcode: { length: 4, minLength: 4, charClass: '0-9', numeric: true } };
+let passcodePattern = /^[0-9]{4}$/;
+let invalidPasscodeChars = /[^0-9]/g;
+
+function applyPolicy(p) {
+  policy = p;
+  const pc = p.passcode;
+  passcodePattern = new RegExp(`^[${pc.charClass}]{${pc.minLength},${pc.length}}$`);
+  invalidPasscodeChars = new RegExp(`[^${pc.charClass}]`, 'g');
+  if (passInput) {
+    passInput.maxLength = pc.length;
+    passInput.inputMode = pc.numeric ? 'numeric' : 'text';
+    passInput.title = describePasscode();
+  }
+}
+
+function describePasscode() {
+  const pc = policy.passcode;
+  const len = pc.minLength === pc.length ? `${pc.length}` : `${pc.minLength}–${pc.length}`;
+  return pc.numeric ? `${len}-digit passcode` : `${len}-character passcode`;
+}
+
+// How to show a file by its name's extension, for servers and items without a sniffed previewType
+function previewTypeOf(name) {
+  const ext = name.split('.').pop().toLowerCase();
+  if (['png','jpg','jpeg','gif','webp','bmp'].includes(ext)) return 'image';
+  if (['mp4','webm','ogg','mov'].includes(ext)) return 'video';
+  if (['mp3','wav','m4a'].includes(ext)) return 'audio';
+  return null;
+}
+
+// Preview a file (as `preview.previewType` says, else by its extension), with a download link.
+// `url` is the server download URL (`&download=1` makes it an attachment), or a blob: URL for a
+// file decrypted in the browser.
+function renderFile(container, url, name, isBlob, preview = {}) {
+  const type = 'previewType' in preview ? preview.previewType : previewTypeOf(name);
+  const downloadLink = () => {
+    const a = document.createElement('a');
+    a.href = isBlob ? url : `${url}&download=1`;
+    a.target = '_blank';
+    a.textContent = `Download ${name}`;
+    if (isBlob) a.download = name;
+    return a;
+  };
+  if (type === 'image') {
+    const img = document.createElement('img');
+    img.src = url;
+    img.className = 'thumb';
+    container.appendChild(img);
+    const dl = document.createElement('div');
+    dl.appendChild(downloadLink());
+    container.appendChild(dl);
+  } else if (type === 'video') {
+    const v = document.createElement('video');
+    v.src = url;
+    v.controls = true;
+    v.className = 'thumb';
+    container.appendChild(v);
+  } else if (type === 'audio') {
+    const a = document.createElement('audio');
+    a.src = url;
+    a.controls = true;
+    container.appendChild(a);
+  } else if (preview.excerptUrl) {
+    // first lines of a text file / first page of a PDF, extracted by the server
+    const pre = document.createElement('pre');
+    pre.className = 'excerpt';
+    pre.textContent = 'Loading preview…';
+    container.appendChild(pre);
+    fetch(preview.excerptUrl)
+      .then(r => (r.ok ? r.text() : Promise.reject(new Error(r.statusText))))
+      .then(text => { pre.textContent = text; })
+      .catch(() => pre.remove());
+    container.appendChild(downloadLink());
+  } else {
+    container.appendChild(downloadLink());
+  }
+}
+
+// Text items: the server sends highlighted (or Markdown) HTML built from escaped / sanitized text,
+// with raw and download links. Older servers only send the text, shown as is.
+function renderText(container, j) {
+  if (!j.html) {
+    const pre = document.createElement('pre');
+    pre.textContent = j.text || '';
+    container.appendChild(pre);
+    return;
+  }
+  const bar = document.createElement('div');
+  bar.className = 'text-bar meta';
+  bar.appendChild(document.createTextNode(j.language === 'plaintext' ? 'Plain text' : j.language));
+  for (const [label, url] of [['Raw', j.rawUrl], ['Download', j.downloadUrl]]) {
+    if (!url) continue;
+    const a = document.createElement('a');
+    a.href = url;
+    a.textContent = label;
+    if (label === 'Raw') a.target = '_blank';
+    bar.appendChild(a);
+  }
+  const body = document.createElement('div');
+  body.innerHTML = j.html;
+  container.appendChild(bar);
+  container.appendChild(body);
+  // a shared #<id>-L<n> link scrolls to its line
+  const target = location.hash && document.getElementById(decodeURIComponent(location.hash.slice(1)));
+  if (target && container.contains(target)) target.scrollIntoView({ block: 'center' });
+}
+
+// End-to-end encrypted items: the key comes from the link's #key=... fragment or the key field
+async function currentE2EKey() {
+  const encoded = (e2eKeyInput && e2eKeyInput.value.trim()) || PhraseportE2E.keyFromLocation();
+  if (!encoded) throw new Error('This item is end-to-end encrypted. Enter the decryption key from the share link.');
+  try {
+    return await PhraseportE2E.importKey(encoded);
+  } catch (e) {
+    throw new Error('The decryption key is not valid.');
+  }
+}
+
+// Replace encrypted titles in the list with the decrypted ones (when a key is available)
+async function decryptTitles(items) {
+  let key;
+  try { key = await currentE2EKey(); } catch (e) { return; }
+  for (const it of items) {
+    if (!it.encryption) continue;
+    const titleEl = document.getElementById('title-' + it.id);
+    try {
+      const meta = await PhraseportE2E.decryptMeta(key, it.encryption);
+      if (titleEl) titleEl.textContent = meta.title;
+    } catch (e) {
+      if (titleEl) titleEl.textContent = 'Encrypted item (wrong key)';
+    }
+  }
+}
+
+async function renderEncrypted(container, j) {
+  const showError = (message) => {
+    const p = document.createElement('p');
+    p.style.color = 'crimson';
+    p.textContent = message;
+    container.appendChild(p);
+  };
+  let key, meta;
+  try {
+    key = await currentE2EKey();
+    meta = await PhraseportE2E.decryptMeta(key, j.encryption);
+  } catch (e) {
+    showError(e.name === 'OperationError' ? 'The decryption key does not match this item.' : e.message);
+    return;
+  }
+  try {
+    if (j.type === 'file') {
+      const res = await fetch(j.downloadUrl);
+      if (!res.ok) throw new Error('Download failed.');
+      const plain = await PhraseportE2E.decryptFile(key, j.encryption, await res.arrayBuffer());
+      const url = URL.createObjectURL(new Blob([plain], { type: meta.mimeType || 'application/octet-stream' }));
+      renderFile(container, url, meta.filename || meta.title, true);
+    } else {
+      const pre = document.createElement('pre');
+      pre.textContent = await PhraseportE2E.decryptText(key, j.encryption, j.text || '');
+      container.appendChild(pre);
+    }
+  } catch (e) {
+    showError(e.name === 'OperationError' ? 'Decryption failed — the item may be corrupted.' : e.message);
+  }
+}
+
+// The passcode is exchanged once for a session token (POST /api/session); later requests carry the
+// token in a header and file links come back signed, so credentials never sit in request URLs.
+let viewer = null; // { keyphrase, passcode, token }
+
+async function openSession(keyphrase, passcode) {
+  const res = await fetch('/api/session', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ keyphrase, passcode })
+  });
+  const json = await res.json().catch(() => ({}));
+  if (res.ok) viewer = { keyphrase, passcode, token: json.token };
+  return { res, json };
+}
+
+// GET with the session token, renewing the session once if it has expired
+async function viewerFetch(url) {
+  const get = () => fetch(url, { headers: { Authorization: `Bearer ${viewer.token}` } });
+  let res = await get();
+  if (res.status === 401 && (await openSession(viewer.keyphrase, viewer.passcode)).res.ok) res = await get();
+  return res;
+}
+
+// restrict passcode to the policy's alphabet and length
 if (passInput) passInput.addEventListener('input', () => {
-  passInput.value = passInput.value.replace(/\D/g, '').slice(0,4);
+  passInput.value = passInput.value.replace(invalidPasscodeChars, '').slice(0, policy.passcode.length);
 });
 
-// prefill from query params if present
-(function prefillFromQuery() {
+// load the policy, then prefill from query params if present
+(async function init() {
+  try {
+    const res = await fetch('/api/policy');
+    if (res.ok) applyPolicy(await res.json());
+  } catch (e) {}
   try {
     const params = new URLSearchParams(window.location.search);
     const k = params.get('keyphrase');
     const p = params.get('passcode');
     if (k) keyInput.value = k;
-    if (p) passInput.value = p.slice(0,4);
+    const key = PhraseportE2E.keyFromLocation();
+    if (key && e2eKeyInput) e2eKeyInput.value = key;
+    if (p) passInput.value = p.slice(0, policy.passcode.length);
+    // keep the credentials out of the address bar (and so out of history) once read
+    if (k || p) {
+      params.delete('keyphrase');
+      params.delete('passcode');
+      const query = params.toString();
+      history.replaceState(null, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+    }
     if (k && p) form.dispatchEvent(new Event('submit'));
   } catch (e) {}
 })();
 
+// Files are scanned after upload and can't be downloaded until they pass
+const SCAN_LABELS = { pending: ' • scanning…', infected: ' • ⛔ blocked by the upload scan' };
+
+// Why a file can't be opened, or null
+function scanMessage(j) {
+  if (j.scanStatus === 'pending') return 'This file is still being scanned. Try again in a moment.';
+  if (j.scanStatus === 'infected') return `This file was blocked by the upload scan${j.scanReason ? `: ${j.scanReason}` : ''}.`;
+  return null;
+}
+
+// One row of the item list. Titles and everything else from the server go in as text.
+function renderItem(it) {
+  const life = describeLifetime(it);
+  const open = el('a', { href: '#' }, 'Open');
+  open.addEventListener('click', (ev) => {
+    ev.preventDefault();
+    openItem(it.id);
+  });
+  return el('div', { className: 'item' },
+    el('div', { style: 'display:flex;justify-content:space-between;align-items:center' },
+      el('div', { style: 'display:flex;gap:12px;align-items:center' },
+        it.thumbnailUrl ? el('img', { src: it.thumbnailUrl, className: 'thumb', alt: '' }) : null,
+        el('div', {},
+          el('strong', { style: 'color:#fff', id: `title-${it.id}` }, it.title),
+          el('div', { className: 'meta' }, `${it.type}${it.encryption ? ' • 🔒 end-to-end encrypted' : ''}${SCAN_LABELS[it.scanStatus] || ''} • ${new Date(it.createdAt).toLocaleString()}`),
+          life ? el('div', { className: 'lifetime', id: `life-${it.id}` }, life) : null)),
+      el('div', {}, open)),
+    el('div', { id: `item-${it.id}`, className: 'preview' }));
+}
+
+function message(text, isError) {
+  return el('p', { style: isError ? 'color:crimson' : null }, text);
+}
+
+// Fetch one item (this counts a view for text) and render it below its row
+async function openItem(id) {
+  const res = await viewerFetch(`/api/item/${encodeURIComponent(id)}`);
+  const j = await res.json();
+  const container = document.getElementById('item-' + id);
+  if (res.status === 429) return show(container, message('Too many failed attempts. Try again later.', true));
+  if (!res.ok) return show(container, message('This item has expired or has no views left.', true));
+  show(container);
+  const life = document.getElementById('life-' + id);
+  if (life) life.textContent = describeLifetime(j);
+  if (scanMessage(j)) {
+    show(container, message(scanMessage(j), j.scanStatus === 'infected'));
+  } else if (j.encryption) {
+    await renderEncrypted(container, j);
+  } else if (j.type === 'file') {
+    if (j.downloadUrl && j.title) renderFile(container, j.downloadUrl, j.filename || j.title, false, j);
+  } else {
+    renderText(container, j);
+  }
+}
+
+// The list loads a page at a time (GET /api/items?cursor=…) whenever its end scrolls into view. The
+// search box starts it over with `q` (titles, and the words of text items).
+const searchBar = document.getElementById('searchBar');
+const searchInput = document.getElementById('search');
+const moreMarker = document.getElementById('more');
+let listing = null; // { query, cursor, done, loading, count, bundles: { [bundleId]: group } }
+
+function startListing(query) {
+  listing = { query, cursor: null, done: false, loading: false, count: 0, bundles: {} };
+  show(out, el('div', { className: 'card' }, 'Loading…'));
+  loadMore();
+}
+
+// Items of the same bundle are listed together under a header with a ZIP download, also when
+// they arrive over several pages
+function bundleGroup(zipUrl) {
+  const label = el('strong', { style: 'color:#fff' });
+  const node = el('div', { className: 'bundle' },
+    el('div', { className: 'bundle-head' }, label, zipUrl ? el('a', { href: zipUrl }, 'Download all (ZIP)') : null));
+  out.append(node);
+  return { node, label, count: 0 };
+}
+
+function markerOnScreen() {
+  return moreMarker && moreMarker.getBoundingClientRect().top < window.innerHeight;
+}
+
+// A failed page keeps its cursor; Retry (or scrolling back to the end) asks for it again
+function retryMessage(current) {
+  const retry = el('a', { href: '#' }, 'Retry');
+  retry.addEventListener('click', (ev) => {
+    ev.preventDefault();
+    loadMore();
+  });
+  current.failed = el('p', { style: 'color:crimson' }, 'The items could not be loaded. ', retry);
+  return current.failed;
+}
+
+async function loadMore() {
+  const current = listing;
+  if (!current || current.loading || current.done) return;
+  current.loading = true;
+  if (current.failed) current.failed.remove();
+  const params = new URLSearchParams({ limit: '50' });
+  if (current.query) params.set('q', current.query);
+  // a bundle share link (&bundle=...) shows only that bundle
+  const onlyBundle = new URLSearchParams(window.location.search).get('bundle');
+  if (onlyBundle) params.set('bundle', onlyBundle);
+  if (current.cursor) params.set('cursor', current.cursor);
+  let res = null;
+  let json = {};
+  try {
+    res = await viewerFetch(`/api/items?${params}`);
+    json = await res.json().catch(() => ({}));
+  } catch (e) {
+    // network error: res stays null
+  } finally {
+    current.loading = false;
+  }
+  // a new search started meanwhile
+  if (listing !== current) return;
+  if (current.count === 0) show(out);
+  if (!res || res.status >= 500) {
+    out.append(retryMessage(current));
+    return;
+  }
+  if (!res.ok) {
+    current.done = true;
+    out.append(message(res.status === 429 ? 'Too many failed attempts. Try again later.' : 'The items could not be loaded.', true));
+    return;
+  }
+  current.cursor = json.nextCursor;
+  current.done = !json.nextCursor;
+  const items = json.items || [];
+  for (const it of items) {
+    if (!it.bundleId) {
+      out.append(renderItem(it));
+      continue;
+    }
+    if (!current.bundles[it.bundleId]) {
+      const zipUrl = ((json.bundles || []).find(b => b.id === it.bundleId) || {}).zipUrl;
+      current.bundles[it.bundleId] = bundleGroup(zipUrl);
+    }
+    const group = current.bundles[it.bundleId];
+    group.node.append(renderItem(it));
+    group.count += 1;
+    group.label.textContent = `Bundle • ${group.count} item${group.count === 1 ? '' : 's'}`;
+  }
+  current.count += items.length;
+  if (current.count === 0) {
+    if (current.done) {
+      show(out, message(current.query ? 'No items match that search.' : 'No items found for those credentials.'));
+      return;
+    }
+    // a search can come back empty before its end (the server reads a bounded number of items per page)
+    show(out, el('div', { className: 'card' }, 'Searching…'));
+  }
+  decryptTitles(items);
+  // a line link (#<id>-L<n>) opens its item straight away
+  const lineLink = /^#([0-9a-f-]{36})-L\d+$/.exec(location.hash);
+  if (lineLink && items.some(it => it.id === lineLink[1])) openItem(lineLink[1]);
+  // the observer only fires on changes, so keep going while the end of the list is still in view
+  if (!current.done && markerOnScreen()) loadMore();
+}
+
+if (moreMarker && 'IntersectionObserver' in window) {
+  new IntersectionObserver(entries => {
+    if (entries.some(entry => entry.isIntersecting)) loadMore();
+  }, { rootMargin: '200px' }).observe(moreMarker);
+}
+
+let searchTimer = null;
+if (searchInput) searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    if (viewer) startListing(searchInput.value.trim());
+  }, 300);
+});
+
 if (form) {
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
     const keyphrase = keyInput.value.trim();
     const passcode = passInput.value.trim();
-    if (!/^\d{4}$/.test(passcode)) {
-      out.innerHTML = '<p style="color:crimson">Passcode must be a 4-digit number.</p>';
+    if (!passcodePattern.test(passcode)) {
+      show(out, message(`Passcode must be a ${describePasscode()}.`, true));
+      return;
+    }
+    listing = null;
+    show(out, el('div', { className: 'card' }, 'Loading…'));
+    const session = await openSession(keyphrase, passcode);
+    if (session.res.status === 429) {
+      const wait = Number(session.res.headers.get('Retry-After')) || session.json.retryAfter || 0;
+      show(out, message(`Too many failed attempts for this keyphrase. Try again in ${Math.ceil(wait / 60)} min.`, true));
       return;
     }
-    out.innerHTML = '<div class="card">Loading…</div>';
-    const res = await fetch(`/api/items?keyphrase=${encodeURIComponent(keyphrase)}&passcode=${encodeURIComponent(passcode)}`);
-    const json = await res.json();
-    if (!json.items || json.items.length === 0) {
-      out.innerHTML = '<p>No items found for those credentials.</p>';
+    if (!session.res.ok) {
+      show(out, message('No items found for those credentials.'));
       return;
     }
-    out.innerHTML = json.items.map(it => {
-      const thumb = it.thumbnailUrl ? `<img src="${it.thumbnailUrl}" class="thumb" alt="thumb">` : '';
-      const details = `
-        <div class="item">
-          <div style="display:flex;justify-content:space-between;align-items:center">
-            <div style="display:flex;gap:12px;align-items:center">
-              ${thumb}
-              <div>
-                <strong style="color:#fff">${it.title}</strong>
-                <div class="meta">${it.type} • ${new Date(it.createdAt).toLocaleString()}</div>
-              </div>
-            </div>
-            <div><a href="#" data-id="${it.id}">Open</a></div>
-          </div>
-          <div id="item-${it.id}" class="preview"></div>
-        </div>`;
-      return details;
-    }).join('');
-
-    // attach click handlers
-    Array.from(document.querySelectorAll('a[data-id]')).forEach(a => {
-      a.addEventListener('click', async (ev) => {
-        ev.preventDefault();
-        const id = a.getAttribute('data-id');
-        const res = await fetch(`/api/item/${id}?keyphrase=${encodeURIComponent(keyphrase)}&passcode=${encodeURIComponent(passcode)}`);
-        const j = await res.json();
-        const container = document.getElementById('item-' + id);
-        container.innerHTML = '';
-        if (j.type === 'file') {
-          if (j.downloadUrl && j.title) {
-            // if preview url available, server will provide via /api/item
-            const ext = j.title.split('.').pop().toLowerCase();
-            if (['png','jpg','jpeg','gif','webp','bmp'].includes(ext)) {
-              const img = document.createElement('img');
-              img.src = j.downloadUrl;
-              img.className = 'thumb';
-              container.appendChild(img);
-              const dl = document.createElement('div');
-              dl.innerHTML = `<a href="${j.downloadUrl}" target="_blank">Download ${j.title}</a>`;
-              container.appendChild(dl);
-            } else if (['mp4','webm','ogg','mov'].includes(ext)) {
-              const v = document.createElement('video');
-              v.src = j.downloadUrl;
-              v.controls = true;
-              v.className = 'thumb';
-              container.appendChild(v);
-            } else if (['mp3','wav','m4a'].includes(ext)) {
-              const a = document.createElement('audio');
-              a.src = j.downloadUrl;
-              a.controls = true;
-              container.appendChild(a);
-            } else {
-              container.innerHTML = `<a href="${j.downloadUrl}" target="_blank">Download ${j.title}</a>`;
-            }
-          }
-        } else {
-          container.innerHTML = `<pre>${j.text || ''}</pre>`;
-        }
-      });
-    });
+    if (searchInput) searchInput.value = '';
+    if (searchBar) searchBar.hidden = false;
+    startListing('');
   });
 }
+
@@ -0,0 +1,34 @@
+// dom.js - builds DOM nodes without parsing HTML, so titles, texts, file names and keyphrases
+// always end up as text nodes, never as markup. Loaded before app-index.js / app-view.js.
+const PhraseportDOM = (function () {
+  // el('a', { href, className: 'x', dataset: { id } }, 'text', childNode, ...)
+  // Strings and numbers among the children become text nodes; null / false / '' are skipped.
+  function el(tag, props = {}, ...children) {
+    const node = document.createElement(tag);
+    for (const [key, value] of Object.entries(props)) {
+      if (value == null || value === false) continue;
+      if (key === 'style') node.style.cssText = value;
+      else if (key === 'dataset') Object.assign(node.dataset, value);
+      else if (key in node) node[key] = value;
+      else node.setAttribute(key, value);
+    }
+    append(node, children);
+    return node;
+  }
+
+  function append(node, children) {
+    for (const child of children.flat()) {
+      if (child == null || child === false || child === '') continue;
+      node.append(child instanceof Node ? child : String(child));
+    }
+    return node;
+  }
+
+  // Replace a node's content
+  function show(node, ...children) {
+    node.replaceChildren();
+    return append(node, children);
+  }
+
+  return { el, show };
+})();
@@ -0,0 +1,90 @@
+// e2e.js - browser-side end-to-end encryption helpers (WebCrypto AES-GCM)
+// The key is random per upload and only travels in the share link's URL fragment (#key=...),
+// which browsers never send to the server. Loaded before app-index.js / app-view.js.
+const PhraseportE2E = (function () {
+  const subtle = window.crypto && window.crypto.subtle;
+
+  function toBase64Url(bytes) {
+    const arr = new Uint8Array(bytes);
+    let bin = '';
+    for (let i = 0; i < arr.length; i += 0x8000) bin += String.fromCharCode.apply(null, arr.subarray(i, i + 0x8000));
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(str) {
+    const b64 = str.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((str.length + 3) % 4);
+    const bin = atob(b64);
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+  }
+
+  function randomIv() {
+    return window.crypto.getRandomValues(new Uint8Array(12));
+  }
+
+  async function generateKey() {
+    return subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  }
+
+  async function exportKey(key) {
+    return toBase64Url(await subtle.exportKey('raw', key));
+  }
+
+  async function importKey(encoded) {
+    return subtle.importKey('raw', fromBase64Url(encoded), { name: 'AES-GCM' }, false, ['decrypt']);
+  }
+
+  async function encryptBytes(key, bytes) {
+    const iv = randomIv();
+    const ciphertext = await subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+    return { iv: toBase64Url(iv), ciphertext: new Uint8Array(ciphertext) };
+  }
+
+  async function decryptBytes(key, iv, ciphertext) {
+    return new Uint8Array(await subtle.decrypt({ name: 'AES-GCM', iv: fromBase64Url(iv) }, key, ciphertext));
+  }
+
+  // Encrypt a hosting request. Returns the values to send instead of the plaintext ones.
+  async function encryptUpload({ title, text, file }) {
+    const key = await generateKey();
+    const encryption = { v: 1, alg: 'AES-GCM', keySource: 'fragment', iv: {} };
+    const meta = { title: title || (file ? file.name : 'untitled'), filename: file ? file.name : null, mimeType: file ? file.type || 'application/octet-stream' : null };
+    const encMeta = await encryptBytes(key, new TextEncoder().encode(JSON.stringify(meta)));
+    encryption.iv.meta = encMeta.iv;
+    encryption.meta = toBase64Url(encMeta.ciphertext);
+    const out = { encryption, key: await exportKey(key) };
+    if (text) {
+      const encText = await encryptBytes(key, new TextEncoder().encode(text));
+      encryption.iv.text = encText.iv;
+      out.text = toBase64Url(encText.ciphertext);
+    }
+    if (file) {
+      const encFile = await encryptBytes(key, await file.arrayBuffer());
+      encryption.iv.file = encFile.iv;
+      out.file = new Blob([encFile.ciphertext], { type: 'application/octet-stream' });
+    }
+    return out;
+  }
+
+  async function decryptMeta(key, encryption) {
+    const bytes = await decryptBytes(key, encryption.iv.meta, fromBase64Url(encryption.meta));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  async function decryptText(key, encryption, ciphertext) {
+    const bytes = await decryptBytes(key, encryption.iv.text, fromBase64Url(ciphertext));
+    return new TextDecoder().decode(bytes);
+  }
+
+  async function decryptFile(key, encryption, buffer) {
+    return decryptBytes(key, encryption.iv.file, new Uint8Array(buffer));
+  }
+
+  // key carried in the current page's fragment, if any
+  function keyFromLocation() {
+    return new URLSearchParams(window.location.hash.slice(1)).get('key');
+  }
+
+  return { supported: Boolean(subtle), encryptUpload, importKey, decryptMeta, decryptText, decryptFile, keyFromLocation };
+})();
@@ -0,0 +1,155 @@
+// Import a legacy db.json (items, plus the files of file items from the old storage/ directory)
+// into the configured item store and object store.
+// Usage: node scripts/migrate-from-dbjson.js [--file <db.json>] [--files-dir <dir>] [--dry-run] [--remove-source]
+//   --file           legacy database (default DATA_FILE, else ./db.json)
+//   --files-dir      directory holding the legacy files (default: storage/ next to the db.json)
+//   --dry-run        check every item and report what would happen, without writing anything
+//   --remove-source  delete each legacy file once it is stored and its item written
+// Items already in the store are skipped, so an interrupted import can simply be run again.
+// Plaintext passcodes are hashed, and text and files are encrypted at rest when a master key is
+// configured. Imported files start out pending, so the server scans them and derives previews at
+// startup or on its next sweep. Legacy items have no manage token.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const bcrypt = require('bcrypt');
+const { createStoreFromEnv } = require('../src/store');
+const { createStorageFromEnv } = require('../src/storage');
+const { loadKeyring, createEnvelope } = require('../src/envelope');
+
+const ROOT = path.join(__dirname, '..');
+const SALT_ROUNDS = process.env.PASSCODE_SALT_ROUNDS ? parseInt(process.env.PASSCODE_SALT_ROUNDS, 10) : 10;
+
+// Same key scheme as storageKeyFor in src/app.js: `${id}-${sanitized original name}`
+function storageKeyFor(id, originalname) {
+  return `${id}-${originalname.replace(/[^a-zA-Z0-9.\-_]/g, '_')}`;
+}
+
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  const units = ['KiB', 'MiB', 'GiB'];
+  let i = -1;
+  do { n /= 1024; i++; } while (n >= 1024 && i < units.length - 1);
+  return `${n.toFixed(1)} ${units[i]}`;
+}
+
+// Check a legacy item; returns { skip } / { error } or what to import
+async function plan(legacy, { store, filesDir }) {
+  if (!legacy || !legacy.id) return { error: 'no id' };
+  if (!['text', 'file'].includes(legacy.type)) return { error: `unknown type "${legacy.type}"` };
+  if (!legacy.keyphrase) return { error: 'no keyphrase' };
+  if (!legacy.passcodeHash && !legacy.passcode) return { error: 'no passcode' };
+  if (legacy.expiresAt && Date.parse(legacy.expiresAt) <= Date.now()) return { skip: 'expired' };
+  if (await store.getItemById(legacy.id)) return { skip: 'already imported' };
+  if (legacy.type === 'text') return { size: legacy.text ? Buffer.byteLength(legacy.text) : 0 };
+  if (!legacy.filename) return { error: 'file item without a filename' };
+  const source = path.resolve(filesDir, legacy.filename);
+  if (path.dirname(source) !== filesDir) return { error: `filename "${legacy.filename}" points outside the files directory` };
+  let stat;
+  try {
+    stat = await fs.promises.stat(source);
+  } catch (err) {
+    return { error: `file ${source} is missing` };
+  }
+  const name = legacy.originalName || legacy.originalname || legacy.filename;
+  return { source, name, size: stat.size + (legacy.text ? Buffer.byteLength(legacy.text) : 0) };
+}
+
+async function importItem(legacy, p, { store, storage, envelope }) {
+  const dek = envelope.enabled ? envelope.newDataKey(legacy.id) : null;
+  let key;
+  if (legacy.type === 'file') {
+    key = storageKeyFor(legacy.id, p.name);
+    const data = await fs.promises.readFile(p.source);
+    const contentType = legacy.mimeType || 'application/octet-stream';
+    await storage.put(key, dek ? envelope.encryptBuffer(dek.dataKey, data) : data, { contentType });
+  }
+  const item = {
+    id: legacy.id,
+    title: legacy.title || p.name || 'untitled',
+    type: legacy.type,
+    filename: key,
+    originalName: legacy.type === 'file' ? p.name : undefined,
+    mimeType: legacy.mimeType || (key ? 'application/octet-stream' : undefined),
+    scanStatus: key ? 'pending' : undefined,
+    text: legacy.text ? (dek ? envelope.encryptText(dek.dataKey, legacy.text, legacy.id) : legacy.text) : undefined,
+    keyphrase: legacy.keyphrase,
+    passcodeHash: legacy.passcodeHash || await bcrypt.hash(String(legacy.passcode), SALT_ROUNDS),
+    keyId: dek ? dek.keyId : undefined,
+    wrappedKey: dek ? dek.wrappedKey : undefined,
+    size: p.size,
+    createdAt: legacy.createdAt || new Date().toISOString(),
+    expiresAt: legacy.expiresAt || undefined,
+    maxViews: legacy.maxViews || undefined
+  };
+  try {
+    await store.insertItem(item);
+  } catch (err) {
+    if (key) await storage.delete(key).catch(() => {});
+    throw err;
+  }
+  return key;
+}
+
+async function main() {
+  const { values: opts } = parseArgs({
+    options: {
+      file: { type: 'string' },
+      'files-dir': { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      'remove-source': { type: 'boolean' }
+    }
+  });
+  const dataFile = path.resolve(opts.file || process.env.DATA_FILE || path.join(ROOT, 'db.json'));
+  const filesDir = path.resolve(opts['files-dir'] || path.join(path.dirname(dataFile), 'storage'));
+  const dryRun = Boolean(opts['dry-run']);
+  const parsed = JSON.parse(await fs.promises.readFile(dataFile, 'utf8'));
+  const items = Array.isArray(parsed.items) ? parsed.items : [];
+
+  const store = createStoreFromEnv();
+  const storage = createStorageFromEnv();
+  const envelope = createEnvelope(loadKeyring());
+  await store.init();
+  console.log(`Importing ${items.length} item(s) from ${dataFile} (files from ${filesDir})${dryRun ? ' (dry run)' : ''}`);
+  const totals = { imported: 0, skipped: 0, failed: 0, files: 0, bytes: 0 };
+  try {
+    for (const [index, legacy] of items.entries()) {
+      const prefix = `[${index + 1}/${items.length}] ${(legacy && legacy.id) || '(no id)'}`;
+      const p = await plan(legacy, { store, filesDir });
+      if (p.skip) {
+        totals.skipped++;
+        console.log(`${prefix}  skipped: ${p.skip}`);
+        continue;
+      }
+      if (p.error) {
+        totals.failed++;
+        console.error(`${prefix}  failed: ${p.error}`);
+        continue;
+      }
+      const what = legacy.type === 'file' ? `file ${p.name}, ${formatBytes(p.size)}` : `text, ${formatBytes(p.size)}`;
+      try {
+        const key = dryRun ? null : await importItem(legacy, p, { store, storage, envelope });
+        // the local driver may be pointed at the legacy directory itself
+        const inPlace = key && storage.name === 'local' && path.resolve(storage.dir, key) === p.source;
+        if (p.source && opts['remove-source'] && !dryRun && !inPlace) await fs.promises.rm(p.source);
+        totals.imported++;
+        if (p.source) totals.files++;
+        totals.bytes += p.size;
+        console.log(`${prefix}  ${dryRun ? 'would import' : 'imported'} (${what})`);
+      } catch (err) {
+        totals.failed++;
+        console.error(`${prefix}  failed: ${err.message || err}`);
+      }
+    }
+  } finally {
+    await store.close();
+  }
+  console.log(`${dryRun ? 'Would import' : 'Imported'} ${totals.imported} item(s) (${totals.files} file(s), ${formatBytes(totals.bytes)}), skipped ${totals.skipped}, failed ${totals.failed}`);
+  if (totals.failed) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('Import failed:', err.message || err);
+  process.exitCode = 1;
+});
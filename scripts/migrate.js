@@ -0,0 +1,51 @@
+// Postgres schema migrations (see src/store/migrate.js).
+// Usage: node scripts/migrate.js [status|up|down] [--to <version>] [--steps <n>] [--dry-run]
+//   status  applied and pending migrations (the default)
+//   up      apply pending migrations, up to --to <version> if given
+//   down    revert the last migration, the last --steps <n>, or all above --to <version>
+// The server migrates at startup unless DB_MIGRATE_ON_START=false; then run `up` before deploying.
+require('dotenv').config();
+const { parseArgs } = require('util');
+const { loadPgConfig } = require('../src/config');
+const { createPostgresStore } = require('../src/store');
+const { createMigrator } = require('../src/store/migrate');
+
+const pad = (version) => String(version).padStart(4, '0');
+
+async function main() {
+  const { values: opts, positionals } = parseArgs({
+    options: { to: { type: 'string' }, steps: { type: 'string' }, 'dry-run': { type: 'boolean' } },
+    allowPositionals: true
+  });
+  const command = positionals[0] || 'status';
+  if (!['status', 'up', 'down'].includes(command)) throw new Error(`unknown command "${command}" (expected status, up or down)`);
+  const to = opts.to === undefined ? undefined : parseInt(opts.to, 10);
+  const steps = opts.steps === undefined ? undefined : parseInt(opts.steps, 10);
+  if (Number.isNaN(to) || Number.isNaN(steps)) throw new Error('--to and --steps take a number');
+
+  const pg = loadPgConfig();
+  const store = createPostgresStore({ poolConfig: pg.poolConfig, allowSelfSigned: pg.allowSelfSigned, migrateOnStart: false });
+  const migrator = createMigrator({ pool: store.pool, log: (line) => console.log(line) });
+  const dryRun = Boolean(opts['dry-run']);
+  try {
+    if (command === 'status') {
+      const s = await migrator.status();
+      console.log(`Schema version ${s.current} (latest ${s.latest})`);
+      for (const m of s.applied) console.log(`  applied  ${pad(m.version)}-${m.name}  ${m.appliedAt}${m.missing ? '  (no migration file: applied by a newer release?)' : ''}`);
+      for (const m of s.pending) console.log(`  pending  ${pad(m.version)}-${m.name}`);
+      return;
+    }
+    const done = command === 'up'
+      ? await migrator.up({ to, dryRun })
+      : await migrator.down({ to, steps, dryRun });
+    const verb = command === 'up' ? 'Applied' : 'Reverted';
+    console.log(done.length ? `${dryRun ? `Would have ${verb.toLowerCase()}` : verb} ${done.length} migration(s)` : 'Nothing to do');
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch(err => {
+  console.error('Migration failed:', err.message || err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,41 @@
+// Re-wrap item data keys under the current master key.
+// Usage: node scripts/rotate-keys.js [--dry-run]
+// Add the new key to MASTER_KEYS / MASTER_KEY_FILE, make it current (MASTER_KEY_ID), run this,
+// and only then remove the old key. Item text and files are not touched — only the wrapped keys change.
+require('dotenv').config();
+const { createStoreFromEnv } = require('../src/store');
+const { loadKeyring, createEnvelope } = require('../src/envelope');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const keyring = loadKeyring();
+  if (!keyring) throw new Error('no master key configured (MASTER_KEYS or MASTER_KEY_FILE)');
+  const envelope = createEnvelope(keyring);
+  const store = createStoreFromEnv();
+  await store.init();
+  try {
+    const stale = await store.listWrappedKeys({ excludeKeyId: keyring.currentId });
+    console.log(`${stale.length} item(s) to re-wrap under master key "${keyring.currentId}"${dryRun ? ' (dry run)' : ''}`);
+    let done = 0;
+    let failed = 0;
+    for (const it of stale) {
+      try {
+        const wrapped = envelope.rewrap(it, it.id);
+        if (!dryRun) await store.updateItem(it.id, wrapped);
+        done++;
+      } catch (err) {
+        failed++;
+        console.error(`  ${it.id} (key "${it.keyId}"): ${err.message || err}`);
+      }
+    }
+    console.log(`Re-wrapped ${done} item(s)${failed ? `, ${failed} failed` : ''}`);
+    if (failed) process.exitCode = 1;
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch(err => {
+  console.error('Key rotation failed:', err.message || err);
+  process.exitCode = 1;
+});
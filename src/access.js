@@ -0,0 +1,165 @@
+// Viewer access log: listings, opens and downloads of items, and failed credential attempts against
+// them, for the owner's stats (GET /api/item/:id/stats). IP addresses and user agents are kept as
+// keyed hashes, enough to tell visitors apart without storing either in clear.
+// Items hosted with a notifyUrl get one webhook call the first time they are opened or downloaded;
+// `onFirstAccess(it, action, at)` hears about every item's first access (the configured webhooks).
+// notifyUrl is set by anonymous uploaders, so it may only reach public addresses, and its calls
+// are signed like webhook deliveries with a secret handed to the uploader.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { logger } = require('./logger');
+const { sign } = require('./webhooks');
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const NON_PUBLIC = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) NON_PUBLIC.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) NON_PUBLIC.addSubnet(address, prefix, 'ipv6');
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is judged by its IPv4 address
+  const mapped = family === 6 && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return !NON_PUBLIC.check(mapped[1], 'ipv4');
+  return !NON_PUBLIC.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// ACCESS_LOG_SECRET keys the hashes (falls back to URL_SIGNING_SECRET, else a per-process secret,
+// so visitors can't be matched up across restarts). Events older than ACCESS_LOG_RETENTION_DAYS
+// are pruned; ACCESS_NOTIFY_TIMEOUT_MS bounds a notification request. ACCESS_NOTIFY_ALLOW_PRIVATE=true
+// lets notifyUrl reach private and loopback addresses (local development only).
+function createAccessLog({ store, env = process.env, onFirstAccess = null }) {
+  const secret = env.ACCESS_LOG_SECRET || env.URL_SIGNING_SECRET || crypto.randomBytes(32);
+  const retentionDays = env.ACCESS_LOG_RETENTION_DAYS ? parseInt(env.ACCESS_LOG_RETENTION_DAYS, 10) : 90;
+  const notifyTimeout = env.ACCESS_NOTIFY_TIMEOUT_MS ? parseInt(env.ACCESS_NOTIFY_TIMEOUT_MS, 10) : 5000;
+  const allowHttp = env.NODE_ENV !== 'production';
+  const allowPrivate = ['1', 'true', 'yes', 'on'].includes(String(env.ACCESS_NOTIFY_ALLOW_PRIVATE || '').toLowerCase());
+
+  function fingerprint(value) {
+    if (!value) return null;
+    return crypto.createHmac('sha256', secret).update(String(value)).digest('hex').slice(0, 32);
+  }
+
+  // notifyUrl upload field: { url } (null when empty) or { error }
+  function parseNotifyUrl(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return { url: null };
+    let url;
+    try {
+      url = new URL(String(value).trim());
+    } catch (_) {
+      return { error: 'notifyUrl must be a URL' };
+    }
+    if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) return { error: 'notifyUrl must be an https URL' };
+    // names are checked again when they are resolved, at delivery
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivate && (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && !isPublicAddress(host)))) {
+      return { error: 'notifyUrl must point to a public address' };
+    }
+    return { url: url.toString() };
+  }
+
+  // Secret the notifications of an upload are signed with, given to the uploader. Derived from the
+  // upload's manage token hash, so items hosted together share it and nothing more is stored.
+  function notifySecret(it) {
+    return crypto.createHmac('sha256', secret).update(`notify:${it.manageTokenHash || it.id}`).digest('base64url');
+  }
+
+  // dns.lookup that refuses non-public addresses, so the address checked is the one connected to
+  function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+      if (err) return callback(err);
+      const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+      const refused = addresses.find(a => !isPublicAddress(a));
+      if (refused && !allowPrivate) return callback(new Error(`notifyUrl resolves to a non-public address (${refused})`));
+      callback(null, address, family);
+    });
+  }
+
+  function notify(it, action, at) {
+    const body = JSON.stringify({ event: 'item.accessed', item: { id: it.id, title: it.title, type: it.type }, action, at: at.toISOString() });
+    const url = new URL(it.notifyUrl);
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    // IP literals are connected to without a lookup
+    if (net.isIP(host) && !isPublicAddress(host) && !allowPrivate) return Promise.reject(new Error(`notifyUrl is a non-public address (${host})`));
+    return new Promise((resolve, reject) => {
+      const req = (url.protocol === 'https:' ? https : http).request(url, {
+        method: 'POST',
+        lookup: publicLookup,
+        timeout: notifyTimeout,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'phraseport',
+          'X-Phraseport-Event': 'item.accessed',
+          'X-Phraseport-Signature': sign(notifySecret(it), Math.floor(Date.now() / 1000), body)
+        }
+      }, (res) => {
+        res.resume();
+        if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+        else reject(new Error(`notifyUrl answered ${res.statusCode}`));
+      });
+      req.on('timeout', () => req.destroy(new Error(`notifyUrl did not answer within ${notifyTimeout} ms`)));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  // Record `action` (list | view | download) on `items` (one item or an array) with `outcome`
+  // ok | denied. Never throws: a failed write is logged, the request goes on.
+  async function record(req, items, action, outcome = 'ok') {
+    const list = (Array.isArray(items) ? items : [items]).filter(Boolean);
+    if (list.length === 0) return;
+    const now = new Date();
+    const ipHash = fingerprint(req.ip);
+    const userAgentHash = fingerprint(req.get('user-agent'));
+    try {
+      await store.insertAccessEvents(list.map(it => ({ itemId: it.id, action, outcome, ipHash, userAgentHash, createdAt: now.toISOString() })));
+      if (outcome !== 'ok' || action === 'list') return;
+      for (const it of list) {
+        if (it.firstAccessedAt || !(await store.markFirstAccess(it.id, now))) continue;
+        if (onFirstAccess) onFirstAccess(it, action, now);
+        if (it.notifyUrl) notify(it, action, now).catch(err => logger.warn('Access notification failed', { itemId: it.id, err: err.message || String(err) }));
+      }
+    } catch (err) {
+      logger.error('Access log write failed', { err });
+    }
+  }
+
+  // Owner-facing summary of an item's access log
+  async function stats(itemId, { recent = 20 } = {}) {
+    const { counts, visitors } = await store.getAccessStats(itemId);
+    const out = { listings: 0, views: 0, downloads: 0, failedAttempts: 0, visitors, lastAccessedAt: null, lastFailedAttemptAt: null };
+    const field = { list: 'listings', view: 'views', download: 'downloads' };
+    for (const c of counts) {
+      if (c.outcome === 'ok') {
+        out[field[c.action]] += c.count;
+        if (!out.lastAccessedAt || c.lastAt > out.lastAccessedAt) out.lastAccessedAt = c.lastAt;
+      } else {
+        out.failedAttempts += c.count;
+        if (!out.lastFailedAttemptAt || c.lastAt > out.lastFailedAttemptAt) out.lastFailedAttemptAt = c.lastAt;
+      }
+    }
+    const events = await store.listAccessEvents(itemId, { limit: recent });
+    out.recent = events.map(ev => ({ at: ev.createdAt, action: ev.action, outcome: ev.outcome, visitor: ev.ipHash ? ev.ipHash.slice(0, 12) : null }));
+    return out;
+  }
+
+  async function prune(now = new Date()) {
+    if (!(retentionDays > 0)) return 0;
+    return store.pruneAccessEvents(new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000));
+  }
+
+  return { record, stats, prune, parseNotifyUrl, notifySecret, fingerprint };
+}
+
+module.exports = { createAccessLog, isPublicAddress };
@@ -0,0 +1,79 @@
+// API keys for scripts and CI: `Authorization: Bearer pp_<id>_<secret>`.
+// Only a SHA-256 of the secret is stored (the secret is random, so a slow hash adds nothing);
+// the id locates the record. Each key carries scopes and its own per-minute rate limit.
+const crypto = require('crypto');
+
+// host: /api/host and /api/uploads; list: the key's own items; delete: delete the key's own items
+const SCOPES = ['host', 'list', 'delete'];
+const PREFIX = 'pp_';
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(PREFIX);
+}
+
+// API_KEY_RATE_LIMIT: default requests per minute for keys created without their own limit
+function createApiKeys({ store, env = process.env }) {
+  const defaultRateLimit = env.API_KEY_RATE_LIMIT ? parseInt(env.API_KEY_RATE_LIMIT, 10) : 120;
+  const touched = new Map(); // id -> last lastUsedAt write (ms), to write it at most once a minute
+
+  // Validated { name, scopes, rateLimit } for a new key, or { error }
+  function parseKeyOptions(body = {}) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'name is required' };
+    const scopes = Array.isArray(body.scopes) ? body.scopes : String(body.scopes || SCOPES.join(',')).split(',');
+    const cleaned = [...new Set(scopes.map(s => String(s).trim()).filter(Boolean))];
+    const unknown = cleaned.filter(s => !SCOPES.includes(s));
+    if (unknown.length || cleaned.length === 0) return { error: `scopes must be some of ${SCOPES.join(', ')}` };
+    let rateLimit = null;
+    if (body.rateLimit !== undefined && body.rateLimit !== null && body.rateLimit !== '') {
+      rateLimit = Number(body.rateLimit);
+      if (!Number.isInteger(rateLimit) || rateLimit <= 0) return { error: 'rateLimit must be a positive number of requests per minute' };
+    }
+    return { name, scopes: cleaned, rateLimit };
+  }
+
+  // Create a key; the secret is only ever returned here
+  async function issue({ name, scopes, rateLimit }) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const record = { id, name, keyHash: hashSecret(secret), scopes, rateLimit: rateLimit || null, createdAt: new Date().toISOString() };
+    await store.insertApiKey(record);
+    return { key: `${PREFIX}${id}_${secret}`, record: describe(record) };
+  }
+
+  // The active key record for a presented token, or null
+  async function authenticate(token) {
+    if (!isApiKey(token)) return null;
+    const rest = token.slice(PREFIX.length);
+    const sep = rest.indexOf('_');
+    if (sep <= 0) return null;
+    const record = await store.getApiKey(rest.slice(0, sep));
+    if (!record || record.revokedAt) return null;
+    const given = Buffer.from(hashSecret(rest.slice(sep + 1)), 'hex');
+    if (!crypto.timingSafeEqual(given, Buffer.from(record.keyHash, 'hex'))) return null;
+    const now = Date.now();
+    if (now - (touched.get(record.id) || 0) > 60 * 1000) {
+      touched.set(record.id, now);
+      await store.touchApiKey(record.id, new Date(now));
+    }
+    return record;
+  }
+
+  function rateLimitFor(record) {
+    return record.rateLimit || defaultRateLimit;
+  }
+
+  // A key record without its hash, for listings
+  function describe(record) {
+    const { keyHash, ...rest } = record;
+    return { ...rest, rateLimit: rateLimitFor(record) };
+  }
+
+  return { parseKeyOptions, issue, authenticate, rateLimitFor, describe };
+}
+
+module.exports = { createApiKeys, isApiKey, SCOPES };
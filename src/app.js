@@ -0,0 +1,2127 @@
+const http = require('http');
+const express = require('express');
+const cors = require('cors');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const { pipeline, Transform } = require('stream');
+const { once } = require('events');
+const archiver = require('archiver');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const bcrypt = require('bcrypt');
+const { createStorageFromEnv } = require('./storage');
+const { createStoreFromEnv } = require('./store');
+const { createCredentialPolicy } = require('./credentials');
+const { createLockoutGuard } = require('./lockout');
+const { createQuotas } = require('./quota');
+const { createApiKeys, isApiKey } = require('./apikeys');
+const { createAccessLog } = require('./access');
+const { createWebhooks } = require('./webhooks');
+const { createLogger } = require('./logger');
+const { createMetrics } = require('./metrics');
+const { createReadinessCheck } = require('./health');
+const { createTokenSigner } = require('./signing');
+const { createPreviewer, previewTypeFromName } = require('./preview');
+const { createScannerFromEnv } = require('./scanner');
+const { parseEncryptionField } = require('./e2e');
+const { textMatches } = require('./search');
+const { normalizeLanguage, detectLanguage, extensionFor, renderText } = require('./render');
+const { loadKeyring, createEnvelope, sealedLength, newNoncePrefix, segmentRange, parseHeader, plaintextSize, SEGMENT_SIZE, HEADER_SIZE } = require('./envelope');
+
+// The HTTP application. `config` is an environment-style map (default process.env) that every setting
+// is read from; `store` and `storage` default to the ones it configures (see src/store, src/storage),
+// and `log` to a logger at config.LOG_LEVEL. Nothing listens or runs in the background until start().
+function createApp({ config = process.env, store = createStoreFromEnv(config), storage = createStorageFromEnv(config), log = createLogger({ env: config }) } = {}) {
+  const app = express();
+  const PORT = config.PORT ? parseInt(config.PORT, 10) : 3000;
+  const SHUTDOWN_TIMEOUT_MS = config.SHUTDOWN_TIMEOUT_MS ? parseInt(config.SHUTDOWN_TIMEOUT_MS, 10) : 10000;
+  const ROOT = path.join(__dirname, '..');
+
+  // Environment-configurable storage and DB locations
+  const DATA_FILE = config.DATA_FILE ? path.resolve(config.DATA_FILE) : path.join(ROOT, 'db.json');
+  const SALT_ROUNDS = config.PASSCODE_SALT_ROUNDS ? parseInt(config.PASSCODE_SALT_ROUNDS, 10) : 10;
+
+  // Expiry: MAX_TTL_SECONDS caps how far in the future an item may expire (0 = no cap).
+  // The sweeper removes expired / used-up items and their stored files every SWEEP_INTERVAL_MS.
+  const MAX_TTL_SECONDS = config.MAX_TTL_SECONDS ? parseInt(config.MAX_TTL_SECONDS, 10) : 0;
+  const SWEEP_INTERVAL_MS = config.SWEEP_INTERVAL_MS ? parseInt(config.SWEEP_INTERVAL_MS, 10) : 60 * 1000;
+
+  log.info(`Using ${storage.name} file storage`, { bucket: storage.bucket, dir: storage.dir });
+
+  log.info(`Using ${store.name} item store`, { file: store.file });
+
+  // Encryption at rest (see src/envelope.js); disabled when no master key is configured
+  const envelope = createEnvelope(loadKeyring(config));
+  if (!envelope.enabled) log.warn('No MASTER_KEYS / MASTER_KEY_FILE configured; item text and files are stored unencrypted');
+
+  // Keyphrase / passcode generation policy (see src/credentials.js)
+  const credentials = createCredentialPolicy(config);
+
+  // Per-keyphrase / per-item failed passcode tracking (see src/lockout.js)
+  const lockout = createLockoutGuard({ store, env: config });
+
+  // Storage quotas per keyphrase, per client and overall (see src/quota.js)
+  const quotas = createQuotas({ store, env: config });
+
+  // API keys for scripts and CI, with scopes and per-key rate limits (see src/apikeys.js)
+  const apiKeys = createApiKeys({ store, env: config });
+
+  // Signed, retried webhooks for item lifecycle events (see src/webhooks.js)
+  const webhooks = createWebhooks({ store, env: config });
+
+  // Viewer access events for owner stats, and first-access notifications (see src/access.js)
+  const access = createAccessLog({
+    store,
+    env: config,
+    onFirstAccess: (it, action, at) => webhooks.emit('item.accessed', it, { action, accessedAt: at.toISOString() })
+  });
+
+  // Prometheus metrics (see src/metrics.js) and the /ready dependency checks (see src/health.js)
+  const metrics = createMetrics();
+  const readiness = createReadinessCheck({ store, storage, env: config, log });
+  const METRICS_TOKEN = config.METRICS_TOKEN || '';
+
+  // Signed download links and viewer sessions (see src/signing.js)
+  const signer = createTokenSigner({ env: config });
+  if (!signer.configured) log.warn('URL_SIGNING_SECRET is not set; download links and viewer sessions stop working when the process restarts');
+
+  // Content sniffing, thumbnails and text excerpts for uploaded files (see src/preview.js)
+  const previewer = createPreviewer({ env: config });
+  // Upload scanning (malware scanner driver plus content-policy rules, see src/scanner)
+  const scanner = createScannerFromEnv(config);
+
+  // Trust proxy (if running behind a reverse proxy/container)
+  if (config.TRUST_PROXY === '1') app.set('trust proxy', 1);
+
+  // Basic middleware
+  // blob: URLs are needed by the viewer to preview files it decrypted in the browser
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        imgSrc: ["'self'", 'data:', 'blob:'],
+        mediaSrc: ["'self'", 'blob:']
+      }
+    }
+  }));
+  app.use(cors());
+
+  // One log line and one latency observation per request, labelled with the matched route pattern
+  // (so /api/item/:id is one series however many items there are)
+  app.use((req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('close', () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      const route = req.route ? String(req.route.path) : res.statusCode === 404 ? 'unmatched' : 'static';
+      metrics.httpRequests.observe({ method: req.method, route, status: res.statusCode }, seconds);
+      log.info('request', {
+        method: req.method,
+        url: req.originalUrl,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 10000) / 10,
+        bytes: res.getHeader('content-length') ? Number(res.getHeader('content-length')) : undefined,
+        aborted: res.writableFinished ? undefined : true,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    });
+    next();
+  });
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Static assets with caching
+  app.use(express.static(path.join(ROOT, 'public'), { maxAge: '1d' }));
+
+  // Multer in-memory storage (the storage driver persists the buffer)
+  const MAX_FILE_SIZE = config.MAX_FILE_SIZE ? parseInt(config.MAX_FILE_SIZE, 10) : 10 * 1024 * 1024;
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_FILE_SIZE } });
+  // /api/host takes a single `file` or up to MAX_BUNDLE_FILES `files` (a bundle)
+  const MAX_BUNDLE_FILES = config.MAX_BUNDLE_FILES ? parseInt(config.MAX_BUNDLE_FILES, 10) : 20;
+  // GET /api/items pages: `limit` items (default LIST_PAGE_SIZE, at most LIST_PAGE_MAX) per request
+  const LIST_PAGE_SIZE = 50;
+  const LIST_PAGE_MAX = 200;
+  const LIST_SCAN_MAX = 1000; // rows one request reads through to search text encrypted at rest
+  const DENIED_LIST_LOG_MAX = 100; // items whose access log gets a failed listing
+  const hostUpload = upload.fields([{ name: 'file', maxCount: 1 }, { name: 'files', maxCount: MAX_BUNDLE_FILES }]);
+
+  // Resumable uploads (/api/uploads) for files too big to buffer: chunks are streamed into a
+  // storage multipart upload. Every chunk but the last is exactly UPLOAD_CHUNK_SIZE bytes, which must
+  // be a whole number of encryption segments and at least 5 MiB (the S3 minimum part size).
+  const MAX_UPLOAD_SIZE = config.MAX_UPLOAD_SIZE ? parseInt(config.MAX_UPLOAD_SIZE, 10) : 2 * 1024 * 1024 * 1024;
+  const UPLOAD_CHUNK_SIZE = config.UPLOAD_CHUNK_SIZE ? parseInt(config.UPLOAD_CHUNK_SIZE, 10) : 8 * 1024 * 1024;
+  const UPLOAD_SESSION_TTL_SECONDS = config.UPLOAD_SESSION_TTL_SECONDS ? parseInt(config.UPLOAD_SESSION_TTL_SECONDS, 10) : 24 * 60 * 60;
+  const UPLOAD_FINALIZE_LEASE_MS = 10 * 60 * 1000; // how long a finalize holds its session (see claimUpload)
+  if (UPLOAD_CHUNK_SIZE % SEGMENT_SIZE !== 0 || UPLOAD_CHUNK_SIZE < 5 * 1024 * 1024) {
+    throw new Error(`UPLOAD_CHUNK_SIZE must be a multiple of ${SEGMENT_SIZE} bytes and at least 5 MiB`);
+  }
+
+  // Database initialization: schema migrations (see src/store/migrate.js)
+  async function initDb() {
+    await store.init();
+    // legacy data is imported with scripts/migrate-from-dbjson.js, which also moves the files
+    if (fs.existsSync(DATA_FILE) && await store.countItems() === 0) {
+      log.warn(`Found ${DATA_FILE} and an empty store; import it with \`npm run migrate:dbjson\``);
+    }
+  }
+
+  // Expired items and items without views left are treated as gone
+  function isItemAvailable(it) {
+    if (!it) return false;
+    // quarantined by an operator: kept for review, served to no one
+    if (it.quarantinedAt) return false;
+    if (it.expiresAt && new Date(it.expiresAt).getTime() <= Date.now()) return false;
+    if (it.maxViews != null && it.viewCount >= it.maxViews) return false;
+    return true;
+  }
+
+  // Public view of an item's remaining lifetime
+  function itemLifetime(it) {
+    return {
+      expiresAt: it.expiresAt || null,
+      viewsRemaining: it.maxViews != null ? Math.max(0, it.maxViews - it.viewCount) : null
+    };
+  }
+
+  // Parse expiry / max-view options from a /api/host body.
+  // Accepts `expiresAt` (ISO date) or `ttl` (seconds), plus `maxViews` or `burnAfterRead`.
+  function parseLifetimeOptions(body) {
+    const out = { expiresAt: undefined, maxViews: undefined };
+    const now = Date.now();
+    if (body.expiresAt) {
+      const t = Date.parse(body.expiresAt);
+      if (Number.isNaN(t)) return { error: 'expiresAt must be a valid date' };
+      if (t <= now) return { error: 'expiresAt must be in the future' };
+      out.expiresAt = new Date(t).toISOString();
+    } else if (body.ttl) {
+      const ttl = parseInt(body.ttl, 10);
+      if (!Number.isFinite(ttl) || ttl <= 0) return { error: 'ttl must be a positive number of seconds' };
+      out.expiresAt = new Date(now + ttl * 1000).toISOString();
+    }
+    if (out.expiresAt && MAX_TTL_SECONDS > 0 && Date.parse(out.expiresAt) - now > MAX_TTL_SECONDS * 1000) {
+      return { error: `expiry may be at most ${MAX_TTL_SECONDS} seconds away` };
+    }
+    const burn = body.burnAfterRead === 'on' || body.burnAfterRead === 'true' || body.burnAfterRead === '1' || body.burnAfterRead === true;
+    if (burn) {
+      out.maxViews = 1;
+    } else if (body.maxViews) {
+      const mv = parseInt(body.maxViews, 10);
+      if (!Number.isFinite(mv) || mv <= 0) return { error: 'maxViews must be a positive integer' };
+      out.maxViews = mv;
+    }
+    return out;
+  }
+
+  // (Old JSON file helpers removed — we use Postgres RDS now)
+
+  // Storage key for an uploaded file: `${id}-${sanitized original name}`
+  function storageKeyFor(id, originalname) {
+    const safe = originalname.replace(/[^a-zA-Z0-9.\-_]/g, '_');
+    return `${id}-${safe}`;
+  }
+
+  // Owner manage token: returned once at creation, stored only as a bcrypt hash
+  function generateManageToken() {
+    return crypto.randomBytes(24).toString('base64url');
+  }
+
+  // Keyphrase (generated unless the uploader picked one), passcode and manage token for a new upload.
+  // Passcode length and alphabet follow the configured policy (PASSCODE_LENGTH / PASSCODE_ALPHABET).
+  async function issueCredentials(providedKey) {
+    const keyphrase = providedKey || credentials.generateKeyphrase();
+    const passcode = credentials.generatePasscode();
+    const manageToken = generateManageToken();
+    const passcodeHash = await bcrypt.hash(passcode, SALT_ROUNDS);
+    const manageTokenHash = await bcrypt.hash(manageToken, SALT_ROUNDS);
+    return { keyphrase, passcode, passcodeHash, manageToken, manageTokenHash };
+  }
+
+  // Response for a newly hosted item or bundle: share / manage links and the one-time secrets (with
+  // `notifyUrl`, also the secret its notifications are signed with)
+  function hostedResponse(req, creds, { itemId, bundleId, lifetime, notifyUrl }) {
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    let shareUrl = `${baseUrl}/view?keyphrase=${encodeURIComponent(creds.keyphrase)}&passcode=${encodeURIComponent(creds.passcode)}`;
+    if (bundleId) shareUrl += `&bundle=${encodeURIComponent(bundleId)}`;
+    // the token rides in the URL fragment so it never reaches server logs
+    const manageTarget = bundleId ? `bundle=${encodeURIComponent(bundleId)}` : `id=${encodeURIComponent(itemId)}`;
+    const manageUrl = `${baseUrl}/manage?${manageTarget}#token=${encodeURIComponent(creds.manageToken)}`;
+    // return plain passcode and manage token only in response (one-time). Not stored in DB as plaintext.
+    return {
+      success: true,
+      id: bundleId || itemId,
+      keyphrase: creds.keyphrase,
+      passcode: creds.passcode,
+      shareUrl,
+      manageToken: creds.manageToken,
+      manageUrl,
+      expiresAt: lifetime.expiresAt || null,
+      maxViews: lifetime.maxViews || null,
+      notifySecret: notifyUrl ? access.notifySecret({ manageTokenHash: creds.manageTokenHash }) : undefined
+    };
+  }
+
+  async function verifyManageToken(item, token) {
+    if (!item || !item.manageTokenHash || !token) return false;
+    try {
+      return await bcrypt.compare(String(token), item.manageTokenHash);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  // Data key of an item encrypted at rest, or null for items stored in clear
+  function itemDataKey(it) {
+    return it.wrappedKey ? envelope.unwrap(it, it.id) : null;
+  }
+
+  function readItemText(it) {
+    const dataKey = itemDataKey(it);
+    return dataKey && it.text ? envelope.decryptText(dataKey, it.text, it.id) : it.text;
+  }
+
+  // Store a file body, encrypted with the item's data key when it has one
+  async function putItemFile(key, buffer, contentType, dataKey) {
+    await storage.put(key, dataKey ? envelope.encryptBuffer(dataKey, buffer) : buffer, { contentType });
+  }
+
+  // Browsers send multipart file names as raw UTF-8, which multer decodes as latin1
+  function uploadedFileName(file) {
+    const name = file.originalname;
+    if (/[^\x00-\xff]/.test(name)) return name;
+    const utf8 = Buffer.from(name, 'latin1').toString('utf8');
+    return utf8.includes('\ufffd') ? name : utf8;
+  }
+
+  // Name to offer for an item's file: the uploaded name, or for older items the storage key minus the id
+  function itemFileName(it) {
+    if (it.originalName) return it.originalName;
+    if (it.filename && it.filename.startsWith(`${it.id}-`)) return it.filename.slice(it.id.length + 1);
+    return it.filename || it.title;
+  }
+
+  // Content-Disposition with an ASCII fallback name plus the exact UTF-8 one (RFC 6266)
+  function contentDisposition(type, name) {
+    const fallback = String(name).replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encoded = encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+  }
+
+  // Types a browser would open as a document that can run script (HTML, SVG, XML with XSLT / XHTML)
+  const ACTIVE_CONTENT_TYPES = ['text/html', 'application/xhtml+xml', 'image/svg+xml', 'text/xml', 'application/xml', 'text/xsl', 'application/xslt+xml'];
+
+  // Whether a file item is, or claims to be, active content: by its declared or its sniffed type
+  function isActiveContent(it) {
+    return [it.mimeType, it.preview && it.preview.contentType]
+      .some(type => type && ACTIVE_CONTENT_TYPES.includes(type.split(';')[0].trim().toLowerCase()));
+  }
+
+  // Serving uploaded content: no MIME sniffing, and a CSP that runs it in a sandbox (a unique origin,
+  // no scripts, no requests of its own) should a browser render it as a page. PDFs keep the app's CSP,
+  // because `sandbox` stops browsers' built-in PDF viewers.
+  const UNTRUSTED_CONTENT_CSP = "default-src 'none'; img-src 'self' data:; media-src 'self'; style-src 'unsafe-inline'; sandbox";
+
+  function setUntrustedContentHeaders(res, contentType) {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (!/^application\/pdf\b/i.test(contentType)) res.setHeader('Content-Security-Policy', UNTRUSTED_CONTENT_CSP);
+  }
+
+  // Plaintext size and cache validators of an item's stored file, or null if the object is missing
+  async function statItemFile(it) {
+    const st = await storage.stat(it.filename);
+    if (!st) return null;
+    const lastModified = new Date(st.lastModified || it.createdAt);
+    // whole seconds, as sent in Last-Modified
+    lastModified.setMilliseconds(0);
+    const tag = crypto.createHash('sha256').update(`${it.filename}:${st.size}:${lastModified.getTime()}`).digest('base64url');
+    return { size: it.wrappedKey ? plaintextSize(st.size) : st.size, lastModified, etag: `"${tag.slice(0, 27)}"` };
+  }
+
+  // Passes `length` bytes on after dropping the first `skip`
+  function sliceStream(skip, length) {
+    return new Transform({
+      transform(chunk, _enc, cb) {
+        const from = Math.min(skip, chunk.length);
+        skip -= from;
+        const out = chunk.subarray(from, from + length);
+        length -= out.length;
+        cb(null, out);
+      }
+    });
+  }
+
+  async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+
+  async function readStored(key, start, end) {
+    return readAll(await storage.stream(key, { start, end }));
+  }
+
+  // Storage keys holding an item's data: its file plus derived previews
+  function itemStorageKeys(it) {
+    const preview = it.preview || {};
+    return [it.filename, preview.thumbnail, preview.excerpt].filter(Boolean);
+  }
+
+  async function deleteItemObjects(it) {
+    for (const key of itemStorageKeys(it)) await storage.delete(key);
+  }
+
+  // Readable stream of an item's (decrypted) file, or of bytes range.start..range.end of it.
+  // Encrypted files are read from the first segment covering the range and trimmed after decryption.
+  async function openItemFile(it, range) {
+    const dataKey = itemDataKey(it);
+    if (!dataKey) return storage.stream(it.filename, range ? { start: range.start, end: range.end } : {});
+    if (!range) return pipeline(await storage.stream(it.filename), envelope.createDecryptStream(dataKey), () => {});
+    const prefix = parseHeader(await readStored(it.filename, 0, HEADER_SIZE - 1));
+    const seg = segmentRange(range.start, range.end, range.size);
+    const body = await storage.stream(it.filename, { start: seg.start, end: seg.end });
+    const plain = pipeline(body, envelope.createDecryptStream(dataKey, { prefix, firstSegment: seg.firstSegment, final: seg.final }), () => {});
+    return pipeline(plain, sliceStream(seg.skip, range.end - range.start + 1), () => {});
+  }
+
+  // Sniff a stored file's real type and store its thumbnail / excerpt as derived objects
+  // (`<id>.thumb.webp`, `<id>.excerpt.txt`, encrypted like the file). Files over
+  // PREVIEW_MAX_BYTES are only read up to their first bytes.
+  async function generatePreview(it) {
+    const file = await statItemFile(it);
+    if (!file) return;
+    const complete = file.size <= previewer.maxBytes;
+    const end = Math.min(file.size, complete ? file.size : previewer.headBytes) - 1;
+    const head = end < 0 ? Buffer.alloc(0) : await readAll(await openItemFile(it, { start: 0, end, size: file.size }));
+    const derived = await previewer.derive(head, { complete });
+    if (derived.error) log.warn('Preview generation failed', { itemId: it.id, error: derived.error });
+
+    const dataKey = itemDataKey(it);
+    const preview = { contentType: derived.contentType, previewType: derived.previewType };
+    if (derived.thumbnail) {
+      preview.thumbnail = `${it.id}.thumb.webp`;
+      await putItemFile(preview.thumbnail, derived.thumbnail, 'image/webp', dataKey);
+    }
+    if (derived.excerpt) {
+      preview.excerpt = `${it.id}.excerpt.txt`;
+      await putItemFile(preview.excerpt, Buffer.from(derived.excerpt, 'utf8'), 'text/plain; charset=utf-8', dataKey);
+    }
+    // only recorded for the file it was made from: the item may have been deleted or replaced meanwhile
+    if (!(await store.recordPreview(it.id, it.filename, preview))) {
+      for (const key of [preview.thumbnail, preview.excerpt].filter(Boolean)) await storage.delete(key);
+    }
+  }
+
+  // Scan status for a newly stored file
+  function initialScanStatus() {
+    return scanner.enabled ? 'pending' : 'clean';
+  }
+
+  // Run a stored file through the scanner (see src/scanner)
+  async function scanItemFile(it) {
+    const file = await statItemFile(it);
+    if (!file) throw new Error('stored file is missing');
+    const end = Math.min(file.size, previewer.headBytes) - 1;
+    const head = end < 0 ? Buffer.alloc(0) : await readAll(await openItemFile(it, { start: 0, end, size: file.size }));
+    return scanner.scan(
+      { size: file.size, name: itemFileName(it), encrypted: Boolean(it.encryption) },
+      { head, open: () => openItemFile(it) }
+    );
+  }
+
+  // Scan a pending file, then derive previews of clean ones. A scanner failure leaves the file
+  // pending; the sweeper queues it again.
+  async function processUpload(it) {
+    if (it.scanStatus === 'pending') {
+      const verdict = await scanItemFile(it);
+      const updated = await store.recordScanResult(it.id, it.filename, verdict);
+      if (!updated) return;
+      if (verdict.status === 'infected') log.warn('Upload blocked by scan', { itemId: it.id, reason: verdict.reason });
+      it = updated;
+    }
+    // End-to-end encrypted files are opaque to the server and get no previews
+    if (it.scanStatus !== 'infected' && !it.encryption) await generatePreview(it);
+  }
+
+  // Uploads are processed one at a time in the background, after the upload has been answered.
+  // Queued once per stored file, so a replacement is processed even while the old file still is.
+  let processingChain = Promise.resolve();
+  const queuedUploads = new Set();
+  function queueProcessing(it) {
+    if (!it || it.type !== 'file' || !it.filename) return;
+    const queued = `${it.id}:${it.filename}`;
+    if (queuedUploads.has(queued)) return;
+    queuedUploads.add(queued);
+    processingChain = processingChain
+      .then(() => processUpload(it))
+      .catch(err => log.error('Upload processing failed', { itemId: it.id, err }))
+      .finally(() => queuedUploads.delete(queued));
+  }
+
+  // Why a file can't be downloaded yet (or ever): { status, message } for pending and infected
+  // files, else null. Items stored before scanning existed have no scan status and are served.
+  function scanRefusal(it) {
+    if (it.scanStatus === 'pending') return { status: 409, message: 'file is still being scanned, try again shortly' };
+    if (it.scanStatus === 'infected') return { status: 403, message: 'file was blocked by the upload scan' };
+    return null;
+  }
+
+  // No-op: passcode migration handled during DB import/initialization
+
+  // verify passcode with backward compatibility
+  async function verifyPasscode(item, passcodePlain) {
+    if (!item) return false;
+    if (item.passcodeHash) {
+      try {
+        return await bcrypt.compare(String(passcodePlain), item.passcodeHash);
+      } catch (_) {
+        return false;
+      }
+    }
+    // legacy fallback if still present
+    if (item.passcode) return String(passcodePlain) === String(item.passcode);
+    return false;
+  }
+
+  // API keys: `Authorization: Bearer pp_…`. A bad or revoked key is refused rather than treated
+  // as anonymous, so a script with a stale key fails loudly.
+  async function authenticateApiKey(req, res, next) {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+    if (!isApiKey(token)) return next();
+    req.apiKey = await apiKeys.authenticate(token);
+    if (!req.apiKey) {
+      metrics.authFailures.inc({ reason: 'api_key' });
+      return res.status(401).json({ error: 'invalid or revoked API key' });
+    }
+    next();
+  }
+
+  // Requests made with an API key need `scope`; anonymous requests pass
+  function requireScope(scope) {
+    return (req, res, next) => {
+      if (req.apiKey && !req.apiKey.scopes.includes(scope)) return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+      next();
+    };
+  }
+
+  // Rate limiting. Requests with an API key count against that key's own per-minute limit instead.
+  const isChunkUpload = (req) => req.method === 'PATCH' && req.path.startsWith('/uploads/');
+
+  const apiKeyLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: (req) => apiKeys.rateLimitFor(req.apiKey),
+    keyGenerator: (req) => `key:${req.apiKey.id}`,
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => !req.apiKey || isChunkUpload(req),
+  });
+
+  const apiLimiter = rateLimit({
+    windowMs: config.RATE_LIMIT_WINDOW_MS ? parseInt(config.RATE_LIMIT_WINDOW_MS, 10) : 15 * 60 * 1000,
+    max: config.RATE_LIMIT_MAX ? parseInt(config.RATE_LIMIT_MAX, 10) : 200,
+    standardHeaders: true,
+    legacyHeaders: false,
+    // a large resumable upload is hundreds of chunk requests; sessions are rate limited when opened
+    skip: (req) => Boolean(req.apiKey) || isChunkUpload(req),
+  });
+
+  const hostLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: config.HOST_RATE_LIMIT_MAX ? parseInt(config.HOST_RATE_LIMIT_MAX, 10) : 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => Boolean(req.apiKey),
+  });
+
+  app.use('/api/', authenticateApiKey, apiKeyLimiter, apiLimiter);
+
+  // Liveness: the process is up and answering
+  app.get('/health', (req, res) => res.json({ status: 'ok', time: new Date().toISOString() }));
+
+  // Readiness: 503 until startup (migrations) is done, once shutting down, and whenever the item
+  // store or the object store can't be reached. Failure details are left out in production.
+  let started = false;
+  let stopping = false;
+  app.get('/ready', async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    if (stopping) return res.status(503).json({ status: 'stopping' });
+    if (!started) return res.status(503).json({ status: 'starting' });
+    const { ok, checks } = await readiness.check();
+    if (config.NODE_ENV === 'production') {
+      for (const c of Object.values(checks)) delete c.error;
+    }
+    res.status(ok ? 200 : 503).json({ status: ok ? 'ready' : 'unavailable', checks });
+  });
+
+  // Prometheus scrape endpoint; with METRICS_TOKEN set it needs `Authorization: Bearer <token>`
+  app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN) {
+      const given = crypto.createHash('sha256').update(String(req.get('authorization') || '')).digest();
+      const expected = crypto.createHash('sha256').update(`Bearer ${METRICS_TOKEN}`).digest();
+      if (!crypto.timingSafeEqual(given, expected)) return res.status(401).send('metrics token required');
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+  });
+
+  // Credential format policy, so clients can validate input without hard-coding it
+  app.get('/api/policy', (req, res) => res.json({
+    ...credentials.describe(),
+    uploads: { maxFileSize: MAX_FILE_SIZE, maxUploadSize: MAX_UPLOAD_SIZE, chunkSize: UPLOAD_CHUNK_SIZE },
+    scanning: { enabled: scanner.enabled, driver: scanner.driver, rejectsEncrypted: scanner.rejectsEncrypted },
+    quotas: quotas.limits
+  }));
+
+  // Startup: schema migrations, then the background work (pending scans, webhooks, the sweeper).
+  // Failures are logged and leave the instance not ready.
+  let sweepTimer = null;
+  async function initialize() {
+    try {
+      await initDb();
+      log.info('DB initialized');
+      for (const it of await store.findPendingScans()) queueProcessing(it);
+      webhooks.start();
+      if (SWEEP_INTERVAL_MS > 0) {
+        sweepTimer = setInterval(() => {
+          sweepExpiredItems().catch(err => log.error('Sweep error', { err }));
+        }, SWEEP_INTERVAL_MS);
+        sweepTimer.unref();
+      }
+      started = true;
+    } catch (err) {
+      log.error('DB init error', { err });
+    }
+  }
+
+  // Background sweeper: delete expired / used-up items and their stored files
+  async function sweepExpiredItems() {
+    const stale = await store.findExhaustedItems();
+    for (const it of stale) {
+      try {
+        await deleteItemObjects(it);
+      } catch (err) {
+        // leave the row so the next sweep retries the object delete
+        log.error('Storage delete failed', { itemId: it.id, err });
+        continue;
+      }
+      await store.deleteItem(it.id);
+      const usedUp = it.maxViews != null && it.viewCount >= it.maxViews;
+      await webhooks.emit('item.expired', it, { reason: usedUp ? 'views' : 'expired' });
+    }
+    if (stale.length) log.info(`Swept ${stale.length} expired item(s)`);
+    // abandoned resumable uploads
+    for (const u of await store.findStaleUploads()) await discardUpload(u);
+    await store.deleteEmptyBundles();
+    await lockout.prune();
+    await access.prune();
+    await webhooks.prune();
+    // scans that failed (scanner down) or were interrupted by a restart
+    for (const it of await store.findPendingScans()) queueProcessing(it);
+  }
+
+  // 500 body for a failed upload step (details only outside production)
+  function uploadErrorBody(message, err) {
+    const body = { error: message };
+    if (config.NODE_ENV !== 'production') {
+      body.detail = err.message || String(err);
+      body.stack = err.stack || null;
+    }
+    return body;
+  }
+
+  // Who is uploading, for per-client quotas and usage: the API key, else the client's IP address
+  function clientIdentity(req) {
+    return req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+  }
+
+  // Quota check for an upload; sends the remaining-quota headers, and the 413 / 429 when it doesn't
+  // fit. Resolves to true if the upload may go ahead. The per-client quota is the requester's unless
+  // `usage.clientId` names another (edits count against the item's uploader).
+  async function enforceQuota(req, res, usage) {
+    const result = await quotas.check({ clientId: clientIdentity(req), ...usage });
+    if (result.remaining.bytes != null) res.setHeader('X-Quota-Bytes-Remaining', String(result.remaining.bytes));
+    if (result.remaining.items != null) res.setHeader('X-Quota-Items-Remaining', String(result.remaining.items));
+    if (result.ok) return true;
+    res.status(result.status).json({ error: result.error, quota: result.scope, remaining: result.remaining });
+    return false;
+  }
+
+  // Best-effort removal of items created by a failed request
+  async function discardItems(items) {
+    for (const it of items) {
+      try {
+        await deleteItemObjects(it);
+        await store.deleteItem(it.id);
+      } catch (err) {
+        log.error('Cleanup failed', { itemId: it.id, err });
+      }
+    }
+  }
+
+  // Create a new hosted item (text or file), or a bundle of several items under one credential pair.
+  // A single `file` (plus optional text) makes one item; several `files` make a bundle with
+  // one item per file and a separate item for the text.
+  app.post('/api/host', requireScope('host'), hostLimiter, hostUpload, async (req, res) => {
+    try {
+      const files = [...((req.files && req.files.file) || []), ...((req.files && req.files.files) || [])];
+      for (const file of files) file.originalname = uploadedFileName(file);
+      const isBundle = files.length > 1;
+      const lifetime = parseLifetimeOptions(req.body);
+      if (lifetime.error) return res.status(400).json({ error: lifetime.error });
+      if (isBundle && req.body.encryption) return res.status(400).json({ error: 'end-to-end encryption supports one file or text per upload' });
+      if (req.body.encryption && files.length && scanner.rejectsEncrypted) {
+        return res.status(400).json({ error: 'end-to-end encrypted files cannot be scanned and are not accepted here' });
+      }
+      // opt-in end-to-end encryption: text and file arrive as ciphertext (see src/e2e.js)
+      const e2e = parseEncryptionField(req.body.encryption, { text: req.body.text, hasFile: files.length > 0 });
+      if (e2e.error) return res.status(400).json({ error: e2e.error });
+      // highlighting language of the text (`format` is accepted as an alias); detected when omitted
+      const requestedLanguage = req.body.language || req.body.format;
+      const language = requestedLanguage ? normalizeLanguage(requestedLanguage) : null;
+      if (requestedLanguage && !language) return res.status(400).json({ error: `unknown language: ${requestedLanguage}` });
+      const notify = access.parseNotifyUrl(req.body.notifyUrl);
+      if (notify.error) return res.status(400).json({ error: notify.error });
+
+      const parts = isBundle
+        ? [...(req.body.text ? [{ title: 'Notes', text: req.body.text }] : []), ...files.map(file => ({ title: file.originalname, file }))]
+        : [{ title: req.body.title || (files[0] ? files[0].originalname : 'untitled'), file: files[0], text: req.body.text }];
+      for (const part of parts) part.size = (part.file ? part.file.size : 0) + (part.text ? Buffer.byteLength(part.text) : 0);
+      const requestedKeyphrase = req.body.keyphrase && req.body.keyphrase.trim();
+      if (requestedKeyphrase && await store.isKeyphraseRevoked(keyphraseHash(requestedKeyphrase))) {
+        return res.status(403).json({ error: 'this keyphrase has been revoked' });
+      }
+      const quotaUsage = { keyphrase: requestedKeyphrase, bytes: parts.reduce((sum, part) => sum + part.size, 0), items: parts.length };
+      if (!(await enforceQuota(req, res, quotaUsage))) return;
+
+      // one passcode / manage token hash shared by every item of the request
+      const creds = await issueCredentials(requestedKeyphrase);
+      const { keyphrase, passcodeHash, manageTokenHash } = creds;
+
+      const bundleId = isBundle ? uuidv4() : null;
+      const now = Date.now();
+      const created = [];
+
+      for (const [index, part] of parts.entries()) {
+        const id = uuidv4();
+        // fresh data key per item when encryption at rest is on
+        const dek = envelope.enabled ? envelope.newDataKey(id) : null;
+        let filename = undefined;
+        let mimeType = undefined;
+
+        if (part.file) {
+          const key = storageKeyFor(id, part.file.originalname);
+          // ciphertext is opaque bytes; the real MIME type is inside the encrypted metadata
+          const contentType = e2e.encryption ? 'application/octet-stream' : part.file.mimetype;
+          try {
+            await putItemFile(key, part.file.buffer, contentType, dek && dek.dataKey);
+            filename = key;
+            mimeType = contentType;
+          } catch (err) {
+            log.error('File upload failed', { err });
+            await discardItems(created);
+            return res.status(500).json(uploadErrorBody('failed to store file', err));
+          }
+        }
+
+        const item = {
+          id,
+          title: e2e.encryption ? 'Encrypted item' : part.title,
+          type: part.file ? 'file' : 'text',
+          filename,
+          // the real name of an end-to-end encrypted file is inside its encrypted metadata
+          originalName: part.file && !e2e.encryption ? part.file.originalname : undefined,
+          mimeType,
+          scanStatus: part.file ? initialScanStatus() : undefined,
+          text: part.text ? (dek ? envelope.encryptText(dek.dataKey, part.text, id) : part.text) : undefined,
+          // end-to-end encrypted text is opaque to the server, so it is neither detected nor highlighted
+          language: !part.file && part.text && !e2e.encryption ? language || detectLanguage(part.text) : undefined,
+          keyphrase,
+          passcodeHash,
+          manageTokenHash,
+          encryption: e2e.encryption,
+          keyId: dek ? dek.keyId : undefined,
+          wrappedKey: dek ? dek.wrappedKey : undefined,
+          bundleId,
+          size: part.size,
+          clientId: clientIdentity(req),
+          notifyUrl: notify.url,
+          // offset by position so a bundle's items keep their upload order
+          createdAt: new Date(now + index).toISOString(),
+          expiresAt: lifetime.expiresAt,
+          maxViews: lifetime.maxViews
+        };
+
+        try {
+          await store.insertItem(item);
+          created.push(item);
+        } catch (dbErr) {
+          log.error('DB insert failed', { itemId: id, err: dbErr });
+          await discardItems(filename ? [...created, { id, filename }] : created);
+          return res.status(500).json(uploadErrorBody('failed to write item to DB', dbErr));
+        }
+      }
+
+      if (isBundle) {
+        try {
+          await store.insertBundle({
+            id: bundleId,
+            title: req.body.title || `${files.length} files`,
+            keyphrase,
+            passcodeHash,
+            manageTokenHash,
+            createdAt: new Date(now).toISOString()
+          });
+        } catch (dbErr) {
+          log.error('Bundle insert failed', { bundleId, err: dbErr });
+          await discardItems(created);
+          return res.status(500).json(uploadErrorBody('failed to write bundle to DB', dbErr));
+        }
+      }
+
+      created.forEach(queueProcessing);
+      for (const it of created) {
+        metrics.uploads.inc({ type: it.type, via: 'form' });
+        metrics.uploadBytes.inc({ type: it.type, via: 'form' }, it.size || 0);
+        await webhooks.emit('item.created', it);
+      }
+      const body = hostedResponse(req, creds, { itemId: created[0].id, bundleId, lifetime, notifyUrl: notify.url });
+      if (isBundle) {
+        body.bundleId = bundleId;
+        body.items = created.map(it => ({ id: it.id, title: it.title, type: it.type }));
+      }
+      res.json(body);
+    } catch (err) {
+      log.error('Unhandled error in /api/host', { err });
+      if (config.NODE_ENV !== 'production') {
+        return res.status(500).json({ error: 'failed to host item', detail: err.message, stack: err.stack });
+      }
+      res.status(500).json({ error: 'failed to host item' });
+    }
+  });
+
+  // Resumable uploads: POST /api/uploads opens a session, PATCH appends chunks at the offset the
+  // server reports (Upload-Offset), and POST /api/uploads/:id/finalize creates the item.
+  // The session id is the only credential for a session, so it is never shown to anyone else.
+  const activeUploads = new Set(); // sessions with a chunk in flight in this process
+
+  function uploadState(u) {
+    return { id: u.id, offset: u.offset, size: u.size, chunkSize: UPLOAD_CHUNK_SIZE, expiresAt: u.expiresAt };
+  }
+
+  async function getOpenUpload(id) {
+    const u = await store.getUpload(id);
+    if (!u || new Date(u.expiresAt).getTime() <= Date.now()) return null;
+    return u;
+  }
+
+  // Abort a session's multipart upload and forget it (best effort on the storage side)
+  async function discardUpload(u) {
+    try {
+      await storage.abortMultipart(u.storageKey, u.multipartId);
+    } catch (err) {
+      log.error('Multipart abort failed', { uploadId: u.id, err });
+    }
+    await store.deleteUpload(u.id);
+  }
+
+  // Passes exactly `length` bytes through, failing the stream on a short or oversized body
+  function exactLength(length) {
+    let seen = 0;
+    return new Transform({
+      transform(chunk, _enc, cb) {
+        seen += chunk.length;
+        if (seen > length) return cb(new Error(`chunk is larger than ${length} bytes`));
+        cb(null, chunk);
+      },
+      flush(cb) {
+        cb(seen === length ? null : new Error(`chunk ended after ${seen} of ${length} bytes`));
+      }
+    });
+  }
+
+  app.post('/api/uploads', requireScope('host'), hostLimiter, async (req, res) => {
+    const body = req.body || {};
+    const filename = typeof body.filename === 'string' ? body.filename.trim() : '';
+    const size = Number(body.size);
+    if (!filename) return res.status(400).json({ error: 'filename is required' });
+    if (!Number.isSafeInteger(size) || size <= 0) return res.status(400).json({ error: 'size must be a positive number of bytes' });
+    if (size > MAX_UPLOAD_SIZE) return res.status(413).json({ error: `files may be at most ${MAX_UPLOAD_SIZE} bytes` });
+    if (body.encryption) return res.status(400).json({ error: 'end-to-end encrypted files must be uploaded through /api/host' });
+    // validated now so a bad option fails before any bytes are sent; applied again at finalize
+    const lifetime = parseLifetimeOptions(body);
+    if (lifetime.error) return res.status(400).json({ error: lifetime.error });
+    const notify = access.parseNotifyUrl(body.notifyUrl);
+    if (notify.error) return res.status(400).json({ error: notify.error });
+    const keyphrase = (body.keyphrase && body.keyphrase.trim()) || undefined;
+    if (keyphrase && await store.isKeyphraseRevoked(keyphraseHash(keyphrase))) return res.status(403).json({ error: 'this keyphrase has been revoked' });
+    const textSize = body.text ? Buffer.byteLength(String(body.text)) : 0;
+    if (!(await enforceQuota(req, res, { keyphrase, bytes: size + textSize, items: 1 }))) return;
+
+    const itemId = uuidv4();
+    const storageKey = storageKeyFor(itemId, filename);
+    const mimeType = typeof body.mimeType === 'string' && body.mimeType ? body.mimeType : 'application/octet-stream';
+    const dek = envelope.enabled ? envelope.newDataKey(itemId) : null;
+    const now = Date.now();
+    const session = {
+      id: uuidv4(),
+      itemId,
+      storageKey,
+      filename,
+      mimeType,
+      size,
+      options: {
+        title: body.title || undefined,
+        // encrypted like item text, so the session row holds nothing the item wouldn't
+        text: body.text ? (dek ? envelope.encryptText(dek.dataKey, body.text, itemId) : body.text) : undefined,
+        keyphrase,
+        // quota accounting; checked again at finalize, since sessions can be open side by side
+        clientId: clientIdentity(req),
+        textSize,
+        ttl: body.ttl,
+        expiresAt: body.expiresAt,
+        maxViews: body.maxViews,
+        burnAfterRead: body.burnAfterRead,
+        notifyUrl: notify.url || undefined
+      },
+      keyId: dek ? dek.keyId : undefined,
+      wrappedKey: dek ? dek.wrappedKey : undefined,
+      noncePrefix: dek ? newNoncePrefix().toString('base64') : undefined,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + UPLOAD_SESSION_TTL_SECONDS * 1000).toISOString()
+    };
+    try {
+      session.multipartId = await storage.createMultipart(storageKey, { contentType: mimeType });
+    } catch (err) {
+      log.error('Multipart create failed', { err });
+      return res.status(500).json(uploadErrorBody('failed to start upload', err));
+    }
+    try {
+      await store.insertUpload(session);
+    } catch (dbErr) {
+      log.error('Upload session insert failed', { err: dbErr });
+      await storage.abortMultipart(storageKey, session.multipartId).catch(() => {});
+      return res.status(500).json(uploadErrorBody('failed to write upload session to DB', dbErr));
+    }
+    res.status(201).location(`/api/uploads/${session.id}`).json(uploadState({ ...session, offset: 0 }));
+  });
+
+  // Current offset, so a client can resume after a dropped connection (HEAD works too)
+  app.get('/api/uploads/:id', async (req, res) => {
+    const u = await getOpenUpload(req.params.id);
+    if (!u) return res.status(404).json({ error: 'upload not found' });
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Upload-Offset', String(u.offset));
+    res.setHeader('Upload-Length', String(u.size));
+    res.json(uploadState(u));
+  });
+
+  // Append one chunk. The raw body must start at the session's offset and be exactly one chunk
+  // long (or the rest of the file); anything else is a 409 / 400 carrying the offset to resume from.
+  app.patch('/api/uploads/:id', async (req, res) => {
+    const u = await getOpenUpload(req.params.id);
+    if (!u) return res.status(404).json({ error: 'upload not found' });
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Upload-Offset', String(u.offset));
+    if (!req.is('application/offset+octet-stream') && !req.is('application/octet-stream')) {
+      return res.status(415).json({ error: 'chunks must be sent as application/offset+octet-stream', offset: u.offset });
+    }
+    const offset = Number(req.get('Upload-Offset'));
+    if (offset !== u.offset) return res.status(409).json({ error: 'offset mismatch', offset: u.offset });
+    if (u.offset >= u.size) return res.status(409).json({ error: 'upload is already complete', offset: u.offset });
+    const length = Math.min(UPLOAD_CHUNK_SIZE, u.size - u.offset);
+    if (Number(req.get('Content-Length')) !== length) {
+      return res.status(400).json({ error: `expected a chunk of ${length} bytes`, offset: u.offset });
+    }
+    if (activeUploads.has(u.id)) return res.status(409).json({ error: 'another chunk is already being uploaded', offset: u.offset });
+
+    activeUploads.add(u.id);
+    try {
+      const partNumber = u.offset / UPLOAD_CHUNK_SIZE + 1;
+      const final = u.offset + length === u.size;
+      let body = pipeline(req, exactLength(length), () => {});
+      let storedLength = length;
+      if (u.wrappedKey) {
+        const segment = { prefix: Buffer.from(u.noncePrefix, 'base64'), firstSegment: u.offset / SEGMENT_SIZE, final };
+        body = pipeline(body, envelope.createEncryptStream(envelope.unwrap(u, u.itemId), segment), () => {});
+        storedLength = sealedLength(length, segment);
+      }
+      let part;
+      try {
+        part = await storage.uploadPart(u.storageKey, u.multipartId, partNumber, body, storedLength);
+      } catch (err) {
+        // usually the client went away mid-chunk; it resumes from the unchanged offset
+        log.warn('Chunk upload failed', { uploadId: u.id, err: err.message || String(err) });
+        if (!res.headersSent && !req.destroyed) res.status(400).json({ error: 'chunk upload failed', offset: u.offset });
+        return;
+      }
+      const updated = await store.advanceUpload(u.id, u.offset, u.offset + length, part);
+      if (!updated) return res.status(409).json({ error: 'upload changed while the chunk was sent', offset: u.offset });
+      res.setHeader('Upload-Offset', String(updated.offset));
+      res.status(204).end();
+    } finally {
+      activeUploads.delete(u.id);
+    }
+  });
+
+  // Assemble the uploaded parts and create the item; responds like /api/host
+  app.post('/api/uploads/:id/finalize', requireScope('host'), hostLimiter, async (req, res) => {
+    const u = await getOpenUpload(req.params.id);
+    if (!u) return res.status(404).json({ error: 'upload not found' });
+    if (u.offset !== u.size) return res.status(409).json({ error: 'upload is incomplete', offset: u.offset });
+    const lifetime = parseLifetimeOptions(u.options);
+    if (lifetime.error) return res.status(400).json({ error: lifetime.error });
+    const itemSize = u.size + (u.options.textSize || 0);
+    // the session stays open, so it can still be finalized once space is freed
+    const quota = await quotas.check({ keyphrase: u.options.keyphrase, clientId: u.options.clientId, bytes: itemSize, items: 1 });
+    if (!quota.ok) return res.status(quota.status).json({ error: quota.error, quota: quota.scope, remaining: quota.remaining });
+
+    // the lease is taken in the store, so only one finalize (on any instance) creates the item
+    if (!(await store.claimUpload(u.id, new Date(), new Date(Date.now() + UPLOAD_FINALIZE_LEASE_MS)))) {
+      return res.status(409).json({ error: 'upload is already being finalized', offset: u.offset });
+    }
+    let finished = false;
+    try {
+      try {
+        await storage.completeMultipart(u.storageKey, u.multipartId, u.parts);
+      } catch (err) {
+        log.error('Multipart complete failed', { uploadId: u.id, err });
+        return res.status(500).json(uploadErrorBody('failed to assemble upload', err));
+      }
+      const creds = await issueCredentials(u.options.keyphrase);
+      const item = {
+        id: u.itemId,
+        title: u.options.title || u.filename,
+        type: 'file',
+        filename: u.storageKey,
+        originalName: u.filename,
+        mimeType: u.mimeType,
+        scanStatus: initialScanStatus(),
+        text: u.options.text,
+        keyphrase: creds.keyphrase,
+        passcodeHash: creds.passcodeHash,
+        manageTokenHash: creds.manageTokenHash,
+        keyId: u.keyId,
+        wrappedKey: u.wrappedKey,
+        size: itemSize,
+        clientId: u.options.clientId || clientIdentity(req),
+        notifyUrl: u.options.notifyUrl,
+        createdAt: new Date().toISOString(),
+        expiresAt: lifetime.expiresAt,
+        maxViews: lifetime.maxViews
+      };
+      try {
+        await store.insertItem(item);
+      } catch (dbErr) {
+        log.error('DB insert failed', { itemId: item.id, err: dbErr });
+        // if the item exists after all (a finalize whose lease ran out), the file is its
+        if (!(await store.getItemById(item.id).catch(() => null))) await discardItems([{ id: item.id, filename: item.filename }]);
+        await store.deleteUpload(u.id);
+        finished = true;
+        return res.status(500).json(uploadErrorBody('failed to write item to DB', dbErr));
+      }
+      await store.deleteUpload(u.id);
+      finished = true;
+      queueProcessing(item);
+      metrics.uploads.inc({ type: 'file', via: 'resumable' });
+      metrics.uploadBytes.inc({ type: 'file', via: 'resumable' }, itemSize);
+      await webhooks.emit('item.created', item);
+      res.json(hostedResponse(req, creds, { itemId: item.id, lifetime, notifyUrl: item.notifyUrl }));
+    } finally {
+      // a failed finalize can be retried
+      if (!finished) await store.releaseUpload(u.id).catch(err => log.error('Upload release failed', { uploadId: u.id, err }));
+    }
+  });
+
+  app.delete('/api/uploads/:id', async (req, res) => {
+    const u = await store.getUpload(req.params.id);
+    if (!u) return res.status(404).json({ error: 'upload not found' });
+    await discardUpload(u);
+    res.status(204).end();
+  });
+
+  // Lockout response: 429 with Retry-After
+  function sendLocked(res, seconds, asText) {
+    metrics.authFailures.inc({ reason: 'locked' });
+    res.setHeader('Retry-After', String(seconds));
+    const message = 'too many failed attempts, try again later';
+    if (asText) return res.status(429).send(message);
+    return res.status(429).json({ error: message, retryAfter: seconds });
+  }
+
+  // Viewer sessions (POST /api/session) cover the items of one keyphrase whose passcode was checked
+  // when the session was issued. They hold a fingerprint of each such passcode hash, never the hash.
+  function passcodeFingerprint(passcodeHash) {
+    return crypto.createHash('sha256').update(String(passcodeHash || '')).digest('base64url').slice(0, 22);
+  }
+
+  // Works for items and bundles alike
+  function sessionCovers(session, it) {
+    return Boolean(it) && it.keyphrase === session.kp && session.pc.includes(passcodeFingerprint(it.passcodeHash));
+  }
+
+  // Credentials of a viewer request: a session token in `Authorization: Bearer`, or keyphrase and
+  // passcode in the query string (older clients). Returns { session }, { keyphrase, passcode },
+  // { expired: true } for a bad or expired token, or null if there are none.
+  function viewerCredentials(req) {
+    const header = req.get('authorization');
+    // (an API key in that header is not a viewer credential, see authenticateApiKey)
+    if (header && header.startsWith('Bearer ') && !req.apiKey) {
+      const session = signer.verify(header.slice(7).trim(), 'session');
+      return session ? { session } : { expired: true };
+    }
+    const { keyphrase, passcode } = req.query;
+    return keyphrase && passcode ? { keyphrase, passcode } : null;
+  }
+
+  // Short-lived links that work without credentials, handed out in place of ?keyphrase=&passcode= URLs
+  function signedFileUrl(req, it) {
+    return `${req.protocol}://${req.get('host')}/api/file/${it.id}?token=${signer.signUrl('file', it.id).token}`;
+  }
+
+  // previewType (from the sniffed content type, or the file name for items without preview metadata)
+  // plus signed URLs: previewUrl for media the browser plays itself, thumbnailUrl / excerptUrl for
+  // derived previews. Items with a view limit get no derived previews, which would show their content
+  // without spending a view.
+  function previewFields(req, it) {
+    const preview = it.preview || {};
+    const previewType = it.preview ? preview.previewType : previewTypeFromName(itemFileName(it));
+    const out = { previewType: previewType || undefined, contentType: preview.contentType || undefined };
+    if (scanRefusal(it)) return out;
+    if (['image', 'video', 'audio'].includes(previewType)) out.previewUrl = signedFileUrl(req, it);
+    if (it.maxViews == null) {
+      const base = `${req.protocol}://${req.get('host')}/api/file/${it.id}`;
+      const token = (preview.thumbnail || preview.excerpt) && signer.signUrl('file', it.id).token;
+      if (preview.thumbnail) out.thumbnailUrl = `${base}/thumbnail?token=${token}`;
+      if (preview.excerpt) out.excerptUrl = `${base}/excerpt?token=${token}`;
+    }
+    return out;
+  }
+
+  // A file's upload scan status, and why it was blocked
+  function scanFields(it) {
+    if (it.type !== 'file') return {};
+    return { scanStatus: it.scanStatus || undefined, scanReason: it.scanStatus === 'infected' ? it.scanReason : undefined };
+  }
+
+  // Signed links to a text item's raw text (`raw`) or a download of it (`download`)
+  function signedTextUrl(req, it, kind) {
+    return `${req.protocol}://${req.get('host')}/api/item/${it.id}/${kind}?token=${signer.signUrl('text', it.id).token}`;
+  }
+
+  function signedZipUrl(req, bundleId) {
+    return `${req.protocol}://${req.get('host')}/api/bundle/${bundleId}/zip?token=${signer.signUrl('bundle', bundleId).token}`;
+  }
+
+  // Check viewer credentials (see viewerCredentials) for a single item, with lockout bookkeeping for passcodes.
+  // Resolves to { ok: true }, { locked: seconds } or {} (not found / invalid credentials).
+  // A success only clears the item's counter: keyphrases can be shared, so holding one valid
+  // passcode must not reset the attempts counted against the others. A wrong passcode is recorded
+  // in the item's access log as a denied `action`.
+  async function authorizeItem(req, it, creds, action) {
+    if (creds.session) return isItemAvailable(it) && sessionCovers(creds.session, it) ? { ok: true } : {};
+    const { keyphrase, passcode } = creds;
+    const targets = [{ scope: 'keyphrase', key: keyphrase }];
+    if (it) targets.push({ scope: 'item', key: it.id });
+    const wait = await lockout.retryAfter(targets);
+    if (wait) return { locked: wait };
+    if (!isItemAvailable(it)) return {};
+    if (it.keyphrase === keyphrase && await verifyPasscode(it, passcode)) {
+      await lockout.recordSuccess([{ scope: 'item', key: it.id }]);
+      return { ok: true };
+    }
+    await access.record(req, it, action, 'denied');
+    metrics.authFailures.inc({ reason: 'passcode' });
+    const locked = await lockout.recordFailure(targets, { ip: req.ip });
+    return locked ? { locked } : {};
+  }
+
+  // The hashes among `passcodeHashes` that `passcode` matches. Items uploaded together share one
+  // hash, so this is a bcrypt compare per upload rather than per item, a few at a time (bcrypt runs
+  // on the libuv thread pool, four threads by default).
+  async function matchingPasscodeHashes(passcodeHashes, passcode) {
+    const out = [];
+    for (let i = 0; i < passcodeHashes.length; i += 4) {
+      const batch = passcodeHashes.slice(i, i + 4);
+      const ok = await Promise.all(batch.map(hash => bcrypt.compare(String(passcode), hash).catch(() => false)));
+      out.push(...batch.filter((_, j) => ok[j]));
+    }
+    return out;
+  }
+
+  // Keyphrase+passcode check for listing, with lockout bookkeeping on the keyphrase.
+  // Resolves to { passcodeHashes } (those of the available items the passcode opens; empty when
+  // nothing matched) or { locked: seconds }. When nothing matched, the attempt goes into the access
+  // log of the keyphrase's newest DENIED_LIST_LOG_MAX items.
+  async function authorizeKeyphrase(req, keyphrase, passcode) {
+    const targets = [{ scope: 'keyphrase', key: keyphrase }];
+    const wait = await lockout.retryAfter(targets);
+    if (wait) return { locked: wait };
+    const availableAt = new Date();
+    const passcodeHashes = await matchingPasscodeHashes(await store.listPasscodeHashes(keyphrase, { availableAt }), passcode);
+    if (passcodeHashes.length === 0) {
+      await access.record(req, await store.findItemsByKeyphrase(keyphrase, { availableAt }, { limit: DENIED_LIST_LOG_MAX }), 'list', 'denied');
+      metrics.authFailures.inc({ reason: 'passcode' });
+      const locked = await lockout.recordFailure(targets, { ip: req.ip });
+      if (locked) return { locked };
+    }
+    return { passcodeHashes };
+  }
+
+  // Exchange keyphrase+passcode (in the body) for a viewer session token, so the passcode is sent once
+  // instead of on every request
+  app.post('/api/session', async (req, res) => {
+    const { keyphrase, passcode } = req.body || {};
+    if (!keyphrase || !passcode) return res.status(400).json({ error: 'keyphrase and passcode required' });
+    const auth = await authorizeKeyphrase(req, String(keyphrase), String(passcode));
+    if (auth.locked) return sendLocked(res, auth.locked);
+    if (auth.passcodeHashes.length === 0) return res.status(404).json({ error: 'no items found for those credentials' });
+    res.json(signer.signSession({ kp: String(keyphrase), pc: auth.passcodeHashes.map(passcodeFingerprint) }));
+  });
+
+  // Items uploaded with the request's API key (`list` scope): metadata and keyphrases, no content.
+  // Passcodes are only stored hashed, so they can't be listed.
+  async function listApiKeyItems(req, res) {
+    if (!req.apiKey.scopes.includes('list')) return res.status(403).json({ error: 'API key lacks the list scope' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const items = (await store.findItemsByClient(clientIdentity(req), { limit })).filter(isItemAvailable);
+    res.json({
+      items: items.map(it => ({
+        id: it.id,
+        title: it.title,
+        type: it.type,
+        keyphrase: it.keyphrase,
+        bundleId: it.bundleId || undefined,
+        filename: it.type === 'file' && !it.encryption ? itemFileName(it) : undefined,
+        size: it.size == null ? undefined : it.size,
+        createdAt: it.createdAt,
+        encrypted: Boolean(it.encryption),
+        ...scanFields(it),
+        ...itemLifetime(it)
+      }))
+    });
+  }
+
+  // Paging and filters of GET /api/items: { filter, limit, before } or { error }. The cursor is the
+  // last item of the previous page, `${createdAt}|${id}` in base64url.
+  function parseListingQuery(query) {
+    const limit = query.limit === undefined ? LIST_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > LIST_PAGE_MAX) return { error: `limit must be a whole number from 1 to ${LIST_PAGE_MAX}` };
+    let before = null;
+    if (query.cursor) {
+      const [createdAt, id] = Buffer.from(String(query.cursor), 'base64url').toString().split('|');
+      if (!id || Number.isNaN(Date.parse(createdAt))) return { error: 'invalid cursor' };
+      before = { createdAt: new Date(createdAt).toISOString(), id };
+    }
+    const filter = {};
+    if (query.type) {
+      if (!['text', 'file'].includes(query.type)) return { error: 'type must be text or file' };
+      filter.type = query.type;
+    }
+    for (const key of ['from', 'to']) {
+      if (!query[key]) continue;
+      if (Number.isNaN(Date.parse(query[key]))) return { error: `${key} must be a date` };
+      filter[key] = new Date(query[key]).toISOString();
+    }
+    for (const [param, key] of [['title', 'title'], ['q', 'query'], ['bundle', 'bundleId']]) {
+      if (typeof query[param] === 'string' && query[param].trim()) filter[key] = query[param].trim().slice(0, 200);
+    }
+    return { filter, limit, before };
+  }
+
+  // A page of the listing: { items, last }, where `last` is the row the next page continues after
+  // (null on the last page)
+  async function findListingPage(keyphrase, filter, { limit, before }) {
+    if (filter.query && envelope.enabled) return findDecryptedMatches(keyphrase, filter, { limit, before });
+    // one extra row tells whether there is a next page
+    const page = await store.findItemsByKeyphrase(keyphrase, filter, { limit: limit + 1, before });
+    const items = page.slice(0, limit);
+    return { items, last: page.length > limit ? items[items.length - 1] : null };
+  }
+
+  // With encryption at rest the stored text is ciphertext, so `q` can't be left to the store: page
+  // through the items matching the other filters and search their decrypted text instead (end-to-end
+  // encrypted text still only matches on its title). After LIST_SCAN_MAX rows the page ends where the
+  // scan did, with whatever matched so far (possibly nothing), and the cursor carries on from there.
+  async function findDecryptedMatches(keyphrase, filter, { limit, before }) {
+    const { query, ...rest } = filter;
+    const found = [];
+    for (let scanned = 0; scanned < LIST_SCAN_MAX; scanned += LIST_PAGE_MAX) {
+      const page = await store.findItemsByKeyphrase(keyphrase, rest, { limit: LIST_PAGE_MAX, before });
+      for (const it of page) {
+        const inTitle = String(it.title || '').toLowerCase().includes(query.toLowerCase());
+        if (inTitle || (it.type === 'text' && !it.encryption && textMatches(readItemText(it), query))) found.push(it);
+        // one extra match tells whether there is a next page
+        if (found.length > limit) return { items: found.slice(0, limit), last: found[limit - 1] };
+      }
+      if (page.length < LIST_PAGE_MAX) return { items: found, last: null };
+      before = { createdAt: page[page.length - 1].createdAt, id: page[page.length - 1].id };
+    }
+    return { items: found, last: before };
+  }
+
+  function listingCursor(it) {
+    return Buffer.from(`${it.createdAt}|${it.id}`).toString('base64url');
+  }
+
+  // List items visible to a session (or keyphrase+passcode), a page at a time (see parseListingQuery).
+  // File and bundle URLs are signed links. With an API key and no viewer credentials, lists the key's
+  // own uploads instead.
+  app.get('/api/items', async (req, res) => {
+    const creds = viewerCredentials(req);
+    if (!creds && req.apiKey) return listApiKeyItems(req, res);
+    if (!creds) return res.status(400).json({ error: 'keyphrase and passcode required' });
+    if (creds.expired) return res.status(401).json({ error: 'session expired' });
+    const listing = parseListingQuery(req.query);
+    if (listing.error) return res.status(400).json({ error: listing.error });
+    const availableAt = new Date();
+    let keyphrase;
+    let passcodeHashes;
+    if (creds.session) {
+      keyphrase = creds.session.kp;
+      passcodeHashes = (await store.listPasscodeHashes(keyphrase, { availableAt })).filter(hash => creds.session.pc.includes(passcodeFingerprint(hash)));
+    } else {
+      const auth = await authorizeKeyphrase(req, creds.keyphrase, creds.passcode);
+      if (auth.locked) return sendLocked(res, auth.locked);
+      keyphrase = creds.keyphrase;
+      passcodeHashes = auth.passcodeHashes;
+    }
+    const page = passcodeHashes.length
+      ? await findListingPage(keyphrase, { ...listing.filter, passcodeHashes, availableAt }, { limit: listing.limit, before: listing.before })
+      : { items: [], last: null };
+    const matches = page.items;
+    const nextCursor = page.last ? listingCursor(page.last) : null;
+    await access.record(req, matches, 'list');
+    const out = matches.map(it => {
+      const item = { id: it.id, title: it.title, type: it.type, createdAt: it.createdAt, bundleId: it.bundleId || undefined, ...scanFields(it), ...itemLifetime(it) };
+      // encrypted items: the client decrypts the metadata and picks a preview itself
+      if (it.encryption) {
+        item.encryption = it.encryption;
+      } else if (it.type === 'file' && it.filename) {
+        item.filename = itemFileName(it);
+        Object.assign(item, previewFields(req, it));
+      } else if (it.type === 'text') {
+        item.language = it.language || undefined;
+      }
+      return item;
+    });
+    const bundleIds = [...new Set(matches.map(it => it.bundleId).filter(Boolean))];
+    res.json({ items: out, bundles: bundleIds.map(id => ({ id, zipUrl: signedZipUrl(req, id) })), nextCursor });
+  });
+
+  // Get item metadata (requires creds)
+  app.get('/api/item/:id', async (req, res) => {
+    const creds = viewerCredentials(req);
+    if (!creds) return res.status(400).json({ error: 'keyphrase and passcode required' });
+    if (creds.expired) return res.status(401).json({ error: 'session expired' });
+    const it = await store.getItemById(req.params.id);
+    const auth = await authorizeItem(req, it, creds, 'view');
+    if (auth.locked) return sendLocked(res, auth.locked);
+    if (!auth.ok) return res.status(404).json({ error: 'not found or invalid credentials' });
+    // text is consumed by reading it here; files count a view when downloaded via /api/file/:id
+    if (it.type !== 'file') {
+      if (!(await store.claimItemView(it.id))) return res.status(404).json({ error: 'not found or invalid credentials' });
+      it.viewCount += 1;
+    }
+    await access.record(req, it, 'view');
+    const lifetime = itemLifetime(it);
+    const text = readItemText(it);
+    const plainFile = it.type === 'file' && !it.encryption;
+    const body = {
+      id: it.id,
+      title: it.title,
+      type: it.type,
+      text,
+      filename: plainFile ? itemFileName(it) : undefined,
+      downloadUrl: it.type === 'file' && !scanRefusal(it) ? signedFileUrl(req, it) : undefined,
+      ...(plainFile ? previewFields(req, it) : {}),
+      ...scanFields(it),
+      encryption: it.encryption || undefined,
+      ...lifetime
+    };
+    if (it.type === 'text' && !it.encryption) {
+      // highlighted / Markdown HTML, with line anchors `<id>-L<n>`
+      Object.assign(body, renderText(text, it.language, { anchorPrefix: `${it.id}-` }));
+      // each raw view or download spends a view too, so there are no links once none are left
+      if (lifetime.viewsRemaining !== 0) {
+        body.rawUrl = signedTextUrl(req, it, 'raw');
+        body.downloadUrl = signedTextUrl(req, it, 'download');
+      }
+    }
+    res.json(body);
+  });
+
+  // Raw text of a text item as text/plain (`raw`), or as an attachment named after its title and
+  // language (`download`). Takes a signed link from /api/item/:id, a session or keyphrase+passcode,
+  // and counts a view like opening the item does.
+  app.get('/api/item/:id/:kind', async (req, res, next) => {
+    const kind = req.params.kind;
+    if (kind !== 'raw' && kind !== 'download') return next();
+    const it = await store.getItemById(req.params.id);
+    if (!(await authorizeContentRequest(req, res, it, 'text', 'download'))) return;
+    if (it.type !== 'text') return res.status(400).send('item is not text');
+    if (it.encryption) return res.status(400).send('end-to-end encrypted text can only be read in the viewer');
+    if (req.method !== 'HEAD') {
+      if (!(await store.claimItemView(it.id))) return res.status(404).send('not found or invalid credentials');
+      await access.record(req, it, 'download');
+      metrics.downloads.inc({ kind: 'text' });
+    }
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    setUntrustedContentHeaders(res, 'text/plain');
+    res.setHeader('Cache-Control', 'no-store');
+    if (kind === 'download') {
+      const language = it.language || detectLanguage(readItemText(it));
+      const name = /\.\w{1,10}$/.test(it.title) ? it.title : `${it.title || 'paste'}.${extensionFor(language)}`;
+      res.setHeader('Content-Disposition', contentDisposition('attachment', name));
+    }
+    res.send(readItemText(it) || '');
+  });
+
+  // If-Range: only serve the requested range if the client's validator still matches
+  function ifRangeMatches(req, file) {
+    const ifRange = req.get('If-Range');
+    if (!ifRange) return true;
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === file.etag;
+    return Date.parse(ifRange) === file.lastModified.getTime();
+  }
+
+  // Authorize a request for an item's content: a signed link (?token= of type `typ`), a viewer session or
+  // keyphrase+passcode. Sends the error response and resolves to false when access is refused; a bad
+  // link or passcode goes into the item's access log as a denied `action`.
+  async function authorizeContentRequest(req, res, it, typ, action) {
+    if (req.query.token) {
+      const grant = signer.verify(req.query.token, typ);
+      if (!grant || grant.id !== req.params.id) {
+        await access.record(req, it, action, 'denied');
+        metrics.authFailures.inc({ reason: 'link' });
+        res.status(403).send('download link is invalid or has expired');
+        return false;
+      }
+      if (!isItemAvailable(it)) {
+        res.status(404).send('not found or invalid credentials');
+        return false;
+      }
+      return true;
+    }
+    const creds = viewerCredentials(req);
+    if (!creds) {
+      res.status(400).send('keyphrase and passcode required');
+      return false;
+    }
+    if (creds.expired) {
+      res.status(401).send('session expired');
+      return false;
+    }
+    const auth = await authorizeItem(req, it, creds, action);
+    if (auth.locked) {
+      sendLocked(res, auth.locked, true);
+      return false;
+    }
+    if (!auth.ok) {
+      res.status(404).send('not found or invalid credentials');
+      return false;
+    }
+    return true;
+  }
+
+  // Serve file content to a signed link (?token= from /api/items or /api/item/:id), a viewer session or
+  // keyphrase+passcode. Supports single byte ranges (206, If-Range) for seeking and
+  // resumed downloads, except on items with a view limit, and conditional requests (ETag /
+  // Last-Modified, 304). `?download=1` asks the browser to save the file instead of showing it inline.
+  app.get('/api/file/:id', async (req, res) => {
+    const it = await store.getItemById(req.params.id);
+    if (!(await authorizeContentRequest(req, res, it, 'file', 'download'))) return;
+    if (it.type !== 'file' || !it.filename) return res.status(400).send('item is not a file');
+    // refused before any view is spent
+    const refusal = scanRefusal(it);
+    if (refusal) {
+      if (refusal.status === 409) res.setHeader('Retry-After', '5');
+      return res.status(refusal.status).send(refusal.message);
+    }
+    const file = await statItemFile(it);
+    if (!file) return res.status(404).send('file not found');
+
+    // a range further in spends no view, so items with a view limit are only served whole
+    const rangesAllowed = it.maxViews == null;
+    res.setHeader('Accept-Ranges', rangesAllowed ? 'bytes' : 'none');
+    res.setHeader('ETag', file.etag);
+    res.setHeader('Last-Modified', file.lastModified.toUTCString());
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    // the client's copy is current: no body, and no view spent
+    if (req.fresh) return res.status(304).end();
+
+    let range = null;
+    if (req.headers.range && rangesAllowed && ifRangeMatches(req, file)) {
+      const ranges = req.range(file.size, { combine: true });
+      if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${file.size}`);
+        return res.status(416).send('range not satisfiable');
+      }
+      // malformed or multi-range requests get the whole file
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) range = { ...ranges[0], size: file.size };
+    }
+    // a download from the first byte spends a view (and is logged); seeking or resuming one does not
+    if (req.method !== 'HEAD' && (!range || range.start === 0)) {
+      if (!(await store.claimItemView(it.id))) return res.status(404).send('not found or invalid credentials');
+      await access.record(req, it, 'download');
+      metrics.downloads.inc({ kind: 'file' });
+    }
+
+    let body = null;
+    try {
+      if (req.method !== 'HEAD') body = await openItemFile(it, range);
+    } catch (err) {
+      log.error('Storage get error', { itemId: it.id, err });
+      return res.status(404).send('file not found');
+    }
+    const contentType = it.mimeType || 'application/octet-stream';
+    res.setHeader('Content-Type', contentType);
+    setUntrustedContentHeaders(res, contentType);
+    // HTML / SVG is never shown inline, so an upload can't run script on this origin
+    const disposition = req.query.download || isActiveContent(it) ? 'attachment' : 'inline';
+    res.setHeader('Content-Disposition', contentDisposition(disposition, itemFileName(it)));
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+    }
+    res.setHeader('Content-Length', String(range ? range.end - range.start + 1 : file.size));
+    if (!body) return res.end();
+    // stream the stored (decrypted) body to the response
+    pipeline(body, res, (err) => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') log.error('File stream error', { itemId: it.id, err });
+    });
+  });
+
+  // Derived previews of a file (see generatePreview). Same access as /api/file/:id, but they spend
+  // no views, so items with a view limit have none to serve.
+  const DERIVED_PREVIEWS = {
+    thumbnail: { field: 'thumbnail', contentType: 'image/webp' },
+    excerpt: { field: 'excerpt', contentType: 'text/plain; charset=utf-8' }
+  };
+
+  app.get('/api/file/:id/:derived', async (req, res, next) => {
+    const derived = DERIVED_PREVIEWS[req.params.derived];
+    if (!derived) return next();
+    const it = await store.getItemById(req.params.id);
+    if (!(await authorizeContentRequest(req, res, it, 'file', 'view'))) return;
+    const key = it.preview && it.preview[derived.field];
+    if (!key || it.maxViews != null || scanRefusal(it)) return res.status(404).send('no preview available');
+    let body;
+    try {
+      const dataKey = itemDataKey(it);
+      body = await storage.stream(key);
+      if (dataKey) body = pipeline(body, envelope.createDecryptStream(dataKey), () => {});
+    } catch (err) {
+      log.error('Storage get error', { itemId: it.id, err });
+      return res.status(404).send('no preview available');
+    }
+    res.setHeader('Content-Type', derived.contentType);
+    setUntrustedContentHeaders(res, derived.contentType);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    pipeline(body, res, (err) => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') log.error('Preview stream error', { itemId: it.id, err });
+    });
+  });
+
+  // Stream a ZIP of a bundle's files (and its text, as notes.txt), built on the fly from storage.
+  // Each file counts as a view, so burn-after-read items in a bundle are consumed by the download.
+  // Files that are still being scanned or were blocked by the scan are left out.
+  // Like /api/file/:id, it takes a signed link (the `zipUrl` from /api/items), a session or keyphrase+passcode.
+  app.get('/api/bundle/:id/zip', async (req, res) => {
+    const bundle = await store.getBundleById(req.params.id);
+    const creds = req.query.token ? null : viewerCredentials(req);
+    if (req.query.token) {
+      const grant = signer.verify(req.query.token, 'bundle');
+      if (!grant || grant.id !== req.params.id) {
+        metrics.authFailures.inc({ reason: 'link' });
+        return res.status(403).send('download link is invalid or has expired');
+      }
+      if (!bundle) return res.status(404).send('not found or invalid credentials');
+    } else if (!creds) {
+      return res.status(400).send('keyphrase and passcode required');
+    } else if (creds.expired) {
+      return res.status(401).send('session expired');
+    } else if (creds.session) {
+      if (!sessionCovers(creds.session, bundle)) return res.status(404).send('not found or invalid credentials');
+    } else {
+      const { keyphrase, passcode } = creds;
+      const targets = [{ scope: 'keyphrase', key: keyphrase }];
+      if (bundle) targets.push({ scope: 'bundle', key: bundle.id });
+      const wait = await lockout.retryAfter(targets);
+      if (wait) return sendLocked(res, wait, true);
+      if (!bundle) return res.status(404).send('not found or invalid credentials');
+      if (bundle.keyphrase !== keyphrase || !(await verifyPasscode(bundle, passcode))) {
+        await access.record(req, await store.findItemsByBundle(bundle.id), 'download', 'denied');
+        metrics.authFailures.inc({ reason: 'passcode' });
+        const locked = await lockout.recordFailure(targets, { ip: req.ip });
+        if (locked) return sendLocked(res, locked, true);
+        return res.status(404).send('not found or invalid credentials');
+      }
+      await lockout.recordSuccess([{ scope: 'bundle', key: bundle.id }]);
+    }
+
+    const items = (await store.findItemsByBundle(bundle.id)).filter(it => isItemAvailable(it) && !scanRefusal(it));
+    if (items.length === 0) return res.status(404).send('bundle is empty or expired');
+
+    const zipName = `${(bundle.title || 'bundle').replace(/[^a-zA-Z0-9.\-_ ]/g, '_')}.zip`;
+    res.setHeader('Content-Type', 'application/zip');
+    setUntrustedContentHeaders(res, 'application/zip');
+    res.setHeader('Content-Disposition', contentDisposition('attachment', zipName));
+    res.setHeader('Cache-Control', 'private, no-store');
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    metrics.downloads.inc({ kind: 'bundle' });
+    archive.on('warning', err => log.warn('ZIP warning', { bundleId: bundle.id, err: err.message || String(err) }));
+    pipeline(archive, res, (err) => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') log.error('ZIP stream error', { bundleId: bundle.id, err });
+    });
+
+    // unique, path-free entry names
+    const used = new Set();
+    const entryName = (name) => {
+      const base = path.basename(String(name || 'file')).replace(/[\\/]/g, '_') || 'file';
+      let candidate = base;
+      for (let n = 2; used.has(candidate); n++) {
+        const ext = path.extname(base);
+        candidate = `${base.slice(0, base.length - ext.length)} (${n})${ext}`;
+      }
+      used.add(candidate);
+      return candidate;
+    };
+
+    try {
+      for (const it of items) {
+        if (it.type === 'file' && it.filename) {
+          if (!(await store.claimItemView(it.id))) continue;
+          await access.record(req, it, 'download');
+          // open one stored object at a time; the next is opened once archiver has consumed this one
+          const entryDone = once(archive, 'entry');
+          archive.append(await openItemFile(it), { name: entryName(itemFileName(it)), date: new Date(it.createdAt) });
+          await entryDone;
+        } else if (it.text) {
+          if (!(await store.claimItemView(it.id))) continue;
+          await access.record(req, it, 'download');
+          archive.append(Buffer.from(readItemText(it) || '', 'utf8'), { name: entryName('notes.txt'), date: new Date(it.createdAt) });
+        }
+      }
+      await archive.finalize();
+    } catch (err) {
+      log.error('ZIP build failed', { bundleId: bundle.id, err });
+      archive.abort();
+      res.destroy(err);
+    }
+  });
+
+  // Owner routes: authenticated with the manage token from /api/host in the X-Manage-Token header
+  async function requireOwner(req, res, next) {
+    const token = req.get('x-manage-token');
+    if (!token) return res.status(401).json({ error: 'manage token required' });
+    const it = await store.getItemById(req.params.id);
+    if (!it || !(await verifyManageToken(it, token))) {
+      metrics.authFailures.inc({ reason: 'manage_token' });
+      return res.status(404).json({ error: 'not found or invalid manage token' });
+    }
+    req.item = it;
+    next();
+  }
+
+  // Owner view of a bundle: its items, each manageable with the same token
+  app.get('/api/bundle/:id/manage', async (req, res) => {
+    const token = req.get('x-manage-token');
+    if (!token) return res.status(401).json({ error: 'manage token required' });
+    const bundle = await store.getBundleById(req.params.id);
+    if (!bundle || !(await verifyManageToken(bundle, token))) {
+      metrics.authFailures.inc({ reason: 'manage_token' });
+      return res.status(404).json({ error: 'not found or invalid manage token' });
+    }
+    const items = await store.findItemsByBundle(bundle.id);
+    res.json({ id: bundle.id, title: bundle.title, keyphrase: bundle.keyphrase, createdAt: bundle.createdAt, items: items.map(it => ({ id: it.id, title: it.title, type: it.type })) });
+  });
+
+  // Owner view of an item (does not count as a view)
+  app.get('/api/item/:id/manage', requireOwner, (req, res) => {
+    const it = req.item;
+    res.json({ id: it.id, title: it.title, type: it.type, text: readItemText(it), language: it.language || undefined, filename: it.filename, originalName: it.type === 'file' ? itemFileName(it) : undefined, mimeType: it.mimeType, createdAt: it.createdAt, keyphrase: it.keyphrase, encrypted: Boolean(it.encryption), size: it.size == null ? undefined : it.size, notifyUrl: it.notifyUrl || undefined, notifySecret: it.notifyUrl ? access.notifySecret(it) : undefined, firstAccessedAt: it.firstAccessedAt || undefined, ...scanFields(it), ...itemLifetime(it) });
+  });
+
+  // Owner view of the item's access log: listings, views, downloads, failed attempts and the latest
+  // events, with visitors identified only by a hash prefix
+  app.get('/api/item/:id/stats', requireOwner, async (req, res) => {
+    const it = req.item;
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ id: it.id, title: it.title, firstAccessedAt: it.firstAccessedAt || null, ...(await access.stats(it.id)) });
+  });
+
+  // Edit title / text
+  app.patch('/api/item/:id', requireOwner, async (req, res) => {
+    const it = req.item;
+    const fields = {};
+    if (req.body.title !== undefined) {
+      const title = String(req.body.title).trim();
+      if (!title) return res.status(400).json({ error: 'title cannot be empty' });
+      // the viewer shows the title sealed in the ciphertext, so a new one here would never be seen
+      if (it.encryption && title !== it.title) return res.status(400).json({ error: 'the title of an end-to-end encrypted item cannot be edited; delete and re-host it' });
+      fields.title = title;
+    }
+    if (req.body.text !== undefined) {
+      if (it.type !== 'text') return res.status(400).json({ error: 'only text items have text' });
+      if (it.encryption) return res.status(400).json({ error: 'encrypted text cannot be edited; delete and re-host it' });
+      fields.size = Buffer.byteLength(String(req.body.text));
+      if (!(await enforceQuota(req, res, { keyphrase: it.keyphrase, clientId: it.clientId, bytes: Math.max(0, fields.size - (it.size || 0)) }))) return;
+      const dataKey = itemDataKey(it);
+      fields.text = dataKey ? envelope.encryptText(dataKey, String(req.body.text), it.id) : String(req.body.text);
+    }
+    if (req.body.language !== undefined) {
+      if (it.type !== 'text' || it.encryption) return res.status(400).json({ error: 'only unencrypted text items have a language' });
+      fields.language = normalizeLanguage(req.body.language);
+      if (!fields.language) return res.status(400).json({ error: `unknown language: ${req.body.language}` });
+    }
+    if (req.body.notifyUrl !== undefined) {
+      const notify = access.parseNotifyUrl(req.body.notifyUrl);
+      if (notify.error) return res.status(400).json({ error: notify.error });
+      fields.notifyUrl = notify.url;
+    }
+    if (Object.keys(fields).length === 0) return res.status(400).json({ error: 'nothing to update (title, text, language, notifyUrl)' });
+    const updated = await store.updateItem(it.id, fields);
+    if (!updated) return res.status(404).json({ error: 'not found or invalid manage token' });
+    res.json({ success: true, id: updated.id, title: updated.title, type: updated.type, text: readItemText(updated), language: updated.language || undefined, notifyUrl: updated.notifyUrl || undefined, notifySecret: updated.notifyUrl ? access.notifySecret(updated) : undefined });
+  });
+
+  // Replace the stored file of a file item
+  app.put('/api/item/:id/file', hostLimiter, requireOwner, upload.single('file'), async (req, res) => {
+    const it = req.item;
+    if (it.type !== 'file') return res.status(400).json({ error: 'item is not a file' });
+    if (it.encryption) return res.status(400).json({ error: 'encrypted files cannot be replaced; delete and re-host it' });
+    if (!req.file) return res.status(400).json({ error: 'file required' });
+    req.file.originalname = uploadedFileName(req.file);
+    // only growth counts against the quotas
+    const textSize = it.text ? Buffer.byteLength(readItemText(it) || '') : 0;
+    const growth = Math.max(0, req.file.size + textSize - (it.size || 0));
+    if (!(await enforceQuota(req, res, { keyphrase: it.keyphrase, clientId: it.clientId, bytes: growth }))) return;
+    const key = storageKeyFor(it.id, req.file.originalname);
+    try {
+      await putItemFile(key, req.file.buffer, req.file.mimetype, itemDataKey(it));
+    } catch (err) {
+      log.error('File replace failed', { itemId: it.id, err });
+      return res.status(500).json({ error: 'failed to store file' });
+    }
+    const updated = await store.updateItem(it.id, { filename: key, originalName: req.file.originalname, mimeType: req.file.mimetype, preview: null, scanStatus: initialScanStatus(), scanReason: null, size: req.file.size + textSize });
+    // deleted or swept since requireOwner: the new object has nothing pointing at it
+    if (!updated) {
+      try {
+        await storage.delete(key);
+      } catch (err) {
+        log.error('Failed to delete orphaned file', { itemId: it.id, key, err });
+      }
+      return res.status(404).json({ error: 'not found or invalid manage token' });
+    }
+    // the old file's previews go with it; new ones are generated in the background
+    for (const old of itemStorageKeys(it).filter(k => k !== key)) {
+      try {
+        await storage.delete(old);
+      } catch (err) {
+        log.error('Failed to delete replaced file', { itemId: it.id, key: old, err });
+      }
+    }
+    queueProcessing(updated);
+    res.json({ success: true, id: updated.id, title: updated.title, mimeType: updated.mimeType });
+  });
+
+  // Deleting also works with an API key (`delete` scope) for items uploaded with that key
+  async function requireDeleteAccess(req, res, next) {
+    if (req.get('x-manage-token') || !req.apiKey) return requireOwner(req, res, next);
+    if (!req.apiKey.scopes.includes('delete')) return res.status(403).json({ error: 'API key lacks the delete scope' });
+    const it = await store.getItemById(req.params.id);
+    if (!it || it.clientId !== clientIdentity(req)) return res.status(404).json({ error: 'not found or not uploaded with this API key' });
+    req.item = it;
+    next();
+  }
+
+  // Take an item down: remove the stored file and the row
+  app.delete('/api/item/:id', requireDeleteAccess, async (req, res) => {
+    const it = req.item;
+    try {
+      await deleteItemObjects(it);
+    } catch (err) {
+      log.error('Storage delete failed', { itemId: it.id, err });
+      return res.status(500).json({ error: 'failed to delete file' });
+    }
+    await store.deleteItem(it.id);
+    await webhooks.emit('item.deleted', it, { reason: req.apiKey ? 'api-key' : 'owner' });
+    res.json({ success: true, id: it.id });
+  });
+
+  // Operator routes: authenticated with ADMIN_TOKEN in the X-Admin-Token header; disabled when unset
+  const ADMIN_TOKEN = config.ADMIN_TOKEN || '';
+
+  function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) return res.status(404).json({ error: 'admin API is disabled (ADMIN_TOKEN is not set)' });
+    const given = crypto.createHash('sha256').update(String(req.get('x-admin-token') || '')).digest();
+    const expected = crypto.createHash('sha256').update(ADMIN_TOKEN).digest();
+    if (!crypto.timingSafeEqual(given, expected)) {
+      metrics.authFailures.inc({ reason: 'admin_token' });
+      return res.status(401).json({ error: 'admin token required' });
+    }
+    next();
+  }
+
+  // Storage consumption: totals, the configured quotas and the biggest clients and keyphrases
+  // (`?limit=`, default 20)
+  app.get('/api/usage', requireAdmin, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 500);
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      total: await store.getUsage(),
+      quotas: quotas.limits,
+      clients: await store.listUsage({ by: 'client', limit }),
+      keyphrases: await store.listUsage({ by: 'keyphrase', limit })
+    });
+  });
+
+  // API key management
+  app.get('/api/keys', requireAdmin, async (req, res) => {
+    res.json({ keys: (await store.listApiKeys()).map(apiKeys.describe) });
+  });
+
+  // Create a key: { name, scopes (default all), rateLimit (requests per minute) }. The key is only
+  // shown in this response.
+  app.post('/api/keys', requireAdmin, async (req, res) => {
+    const options = apiKeys.parseKeyOptions(req.body || {});
+    if (options.error) return res.status(400).json({ error: options.error });
+    const { key, record } = await apiKeys.issue(options);
+    await audit(req, 'apikey.create', `key:${record.id}`, { name: record.name, scopes: record.scopes });
+    res.status(201).json({ ...record, key });
+  });
+
+  app.delete('/api/keys/:id', requireAdmin, async (req, res) => {
+    const record = await store.revokeApiKey(req.params.id, new Date());
+    if (!record) return res.status(404).json({ error: 'no such API key' });
+    await audit(req, 'apikey.revoke', `key:${record.id}`, { name: record.name });
+    res.json({ success: true, ...apiKeys.describe(record) });
+  });
+
+  // Moderation: search items, quarantine (kept but served to no one) or take them down, and revoke
+  // keyphrases. Every action is recorded in the audit log.
+  async function audit(req, action, target, detail) {
+    await store.insertAuditEvent({ action, actor: 'admin', target, detail, ip: req.ip, createdAt: new Date().toISOString() });
+  }
+
+  // Operator view of an item: everything but credentials hashes and content
+  function adminItem(it) {
+    return {
+      id: it.id,
+      title: it.title,
+      type: it.type,
+      keyphrase: it.keyphrase,
+      bundleId: it.bundleId || undefined,
+      filename: it.type === 'file' ? itemFileName(it) : undefined,
+      mimeType: it.mimeType || undefined,
+      contentType: it.preview ? it.preview.contentType : undefined,
+      language: it.language || undefined,
+      size: it.size == null ? undefined : it.size,
+      clientId: it.clientId || undefined,
+      encrypted: Boolean(it.encryption),
+      scanStatus: it.scanStatus || undefined,
+      scanReason: it.scanReason || undefined,
+      quarantinedAt: it.quarantinedAt || undefined,
+      quarantineReason: it.quarantineReason || undefined,
+      createdAt: it.createdAt,
+      expiresAt: it.expiresAt,
+      maxViews: it.maxViews,
+      viewCount: it.viewCount
+    };
+  }
+
+  const SEARCH_STATUSES = ['pending', 'clean', 'infected', 'quarantined'];
+
+  // searchItems filter from the query string, or { error }
+  function parseItemSearch(query) {
+    const filter = {};
+    for (const key of ['keyphrase', 'query', 'type', 'status']) {
+      if (query[key]) filter[key] = String(query[key]).trim();
+    }
+    if (filter.type && !['text', 'file'].includes(filter.type)) return { error: 'type must be text or file' };
+    if (filter.status && !SEARCH_STATUSES.includes(filter.status)) return { error: `status must be one of ${SEARCH_STATUSES.join(', ')}` };
+    for (const key of ['from', 'to']) {
+      if (!query[key]) continue;
+      if (Number.isNaN(Date.parse(query[key]))) return { error: `${key} must be a date` };
+      filter[key] = new Date(query[key]).toISOString();
+    }
+    for (const key of ['minSize', 'maxSize']) {
+      if (query[key] === undefined || query[key] === '') continue;
+      const n = Number(query[key]);
+      if (!Number.isSafeInteger(n) || n < 0) return { error: `${key} must be a number of bytes` };
+      filter[key] = n;
+    }
+    return { filter };
+  }
+
+  function pageOptions(query, { limit = 50, max = 200 } = {}) {
+    return {
+      limit: Math.min(Math.max(parseInt(query.limit, 10) || limit, 1), max),
+      offset: Math.max(parseInt(query.offset, 10) || 0, 0)
+    };
+  }
+
+  function keyphraseHash(keyphrase) {
+    return crypto.createHash('sha256').update(String(keyphrase)).digest('hex');
+  }
+
+  // Remove an item's stored objects and its row; `reason` goes out with the item.deleted webhook
+  async function takeDown(it, reason) {
+    await deleteItemObjects(it);
+    await store.deleteItem(it.id);
+    await webhooks.emit('item.deleted', it, { reason });
+  }
+
+  // ?keyphrase=&query=&type=text|file&status=&from=&to=&minSize=&maxSize=&limit=&offset=
+  app.get('/api/admin/items', requireAdmin, async (req, res) => {
+    const search = parseItemSearch(req.query);
+    if (search.error) return res.status(400).json({ error: search.error });
+    const page = pageOptions(req.query);
+    const { items, total } = await store.searchItems(search.filter, page);
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ items: items.map(adminItem), total, ...page });
+  });
+
+  app.get('/api/admin/items/:id', requireAdmin, async (req, res) => {
+    const it = await store.getItemById(req.params.id);
+    if (!it) return res.status(404).json({ error: 'not found' });
+    res.setHeader('Cache-Control', 'no-store');
+    res.json(adminItem(it));
+  });
+
+  // An item's text or file for review, always as a sandboxed attachment. Spends no views.
+  app.get('/api/admin/items/:id/content', requireAdmin, async (req, res) => {
+    const it = await store.getItemById(req.params.id);
+    if (!it) return res.status(404).json({ error: 'not found' });
+    await audit(req, 'item.inspect', it.id);
+    res.setHeader('Cache-Control', 'no-store');
+    if (it.type !== 'file' || !it.filename) {
+      setUntrustedContentHeaders(res, 'text/plain; charset=utf-8');
+      res.setHeader('Content-Disposition', contentDisposition('attachment', `${it.id}.txt`));
+      return res.type('text/plain; charset=utf-8').send(readItemText(it) || '');
+    }
+    let body;
+    try {
+      body = await openItemFile(it);
+    } catch (err) {
+      log.error('Storage get error', { itemId: it.id, err });
+      return res.status(404).json({ error: 'file not found' });
+    }
+    const contentType = it.mimeType || 'application/octet-stream';
+    res.setHeader('Content-Type', contentType);
+    setUntrustedContentHeaders(res, contentType);
+    res.setHeader('Content-Disposition', contentDisposition('attachment', itemFileName(it)));
+    pipeline(body, res, (err) => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') log.error('Admin content stream error', { itemId: it.id, err });
+    });
+  });
+
+  // { reason }
+  app.post('/api/admin/items/:id/quarantine', requireAdmin, async (req, res) => {
+    const reason = req.body && req.body.reason ? String(req.body.reason).slice(0, 500) : null;
+    const updated = await store.updateItem(req.params.id, { quarantinedAt: new Date().toISOString(), quarantineReason: reason });
+    if (!updated) return res.status(404).json({ error: 'not found' });
+    await audit(req, 'item.quarantine', updated.id, { reason });
+    res.json(adminItem(updated));
+  });
+
+  app.delete('/api/admin/items/:id/quarantine', requireAdmin, async (req, res) => {
+    const updated = await store.updateItem(req.params.id, { quarantinedAt: null, quarantineReason: null });
+    if (!updated) return res.status(404).json({ error: 'not found' });
+    await audit(req, 'item.release', updated.id);
+    res.json(adminItem(updated));
+  });
+
+  // Take an item down for good (?reason=)
+  app.delete('/api/admin/items/:id', requireAdmin, async (req, res) => {
+    const it = await store.getItemById(req.params.id);
+    if (!it) return res.status(404).json({ error: 'not found' });
+    try {
+      await takeDown(it, 'admin');
+    } catch (err) {
+      log.error('Takedown failed', { itemId: it.id, err });
+      return res.status(500).json({ error: 'failed to delete the stored file' });
+    }
+    await audit(req, 'item.takedown', it.id, { title: it.title, keyphrase: keyphraseHash(it.keyphrase).slice(0, 16), reason: req.query.reason || null });
+    res.json({ success: true, id: it.id });
+  });
+
+  // Take down every item under a keyphrase and keep it from being used again: { keyphrase, reason }
+  app.post('/api/admin/keyphrases/revoke', requireAdmin, async (req, res) => {
+    const keyphrase = req.body && req.body.keyphrase ? String(req.body.keyphrase).trim() : '';
+    if (!keyphrase) return res.status(400).json({ error: 'keyphrase is required' });
+    const reason = req.body.reason ? String(req.body.reason).slice(0, 500) : null;
+    const hash = keyphraseHash(keyphrase);
+    await store.insertRevokedKeyphrase({ keyHash: hash, reason, revokedAt: new Date().toISOString() });
+    let removed = 0;
+    for (const it of await store.findItemsByKeyphrase(keyphrase)) {
+      try {
+        await takeDown(it, 'revoked');
+        removed++;
+      } catch (err) {
+        log.error('Takedown failed', { itemId: it.id, err });
+      }
+    }
+    await store.deleteEmptyBundles();
+    // keyphrases are credentials, so the log keeps only a hash prefix
+    await audit(req, 'keyphrase.revoke', `keyphrase:${hash.slice(0, 16)}`, { items: removed, reason });
+    res.json({ success: true, removed });
+  });
+
+  // ?action=&target=&limit=&offset=
+  app.get('/api/admin/audit', requireAdmin, async (req, res) => {
+    const page = pageOptions(req.query, { limit: 100, max: 500 });
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ events: await store.listAuditEvents({ ...page, action: req.query.action || undefined, target: req.query.target || undefined }), ...page });
+  });
+
+  // Recent brute-force lockouts (see src/lockout.js)
+  app.get('/api/admin/lockouts', requireAdmin, async (req, res) => {
+    const { limit } = pageOptions(req.query, { limit: 100, max: 500 });
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ events: await store.listLockoutEvents({ limit }) });
+  });
+
+  // Configured webhook subscriptions (secrets left out)
+  app.get('/api/admin/webhooks', requireAdmin, (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ subscriptions: webhooks.describe() });
+  });
+
+  // Delivery log: ?status=pending|delivered|failed&event=&itemId=&limit=&offset=
+  app.get('/api/admin/webhooks/deliveries', requireAdmin, async (req, res) => {
+    const page = pageOptions(req.query, { limit: 100, max: 500 });
+    const filter = { status: req.query.status || undefined, event: req.query.event || undefined, itemId: req.query.itemId || undefined };
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ deliveries: await store.listWebhookDeliveries({ ...page, ...filter }), ...page });
+  });
+
+  app.get('/api/admin/webhooks/deliveries/:id', requireAdmin, async (req, res) => {
+    const d = await store.getWebhookDelivery(req.params.id);
+    if (!d) return res.status(404).json({ error: 'not found' });
+    res.setHeader('Cache-Control', 'no-store');
+    res.json(d);
+  });
+
+  // Send a delivery again now; a failed one gets a fresh set of attempts
+  app.post('/api/admin/webhooks/deliveries/:id/retry', requireAdmin, async (req, res) => {
+    const d = await webhooks.retry(req.params.id);
+    if (!d) return res.status(404).json({ error: 'not found' });
+    await audit(req, 'webhook.retry', `delivery:${d.id}`, { event: d.event, subscription: d.subscription });
+    res.json(d);
+  });
+
+  // Operator console (authenticates against the admin API with the token entered on the page)
+  app.get('/admin', (req, res) => {
+    res.sendFile(path.join(ROOT, 'public', 'admin.html'));
+  });
+
+  // Convenience route: serve the viewer at /view
+  app.get('/view', (req, res) => {
+    res.sendFile(path.join(ROOT, 'public', 'view.html'));
+  });
+
+  // Owner page for editing / deleting an item (id in the query, token in the fragment)
+  app.get('/manage', (req, res) => {
+    res.sendFile(path.join(ROOT, 'public', 'manage.html'));
+  });
+
+  // Debug endpoints to check DB and insert permissions (operators only, and not in production)
+  if (config.NODE_ENV !== 'production') {
+    app.get('/debug/db', requireAdmin, async (req, res) => {
+      try {
+        const r = await store.ping();
+        res.json({ ok: true, store: store.name, now: r.now });
+      } catch (err) {
+        log.error('debug/db error', { err });
+        res.status(500).json({ ok: false, error: err.message });
+      }
+    });
+
+    app.post('/debug/insert-test', requireAdmin, async (req, res) => {
+      const testId = `debug-${Date.now()}`;
+      try {
+        await store.insertItem({ id: testId, title: 'debug', type: 'text', keyphrase: null, passcodeHash: null, createdAt: new Date().toISOString() });
+        // cleanup
+        await store.deleteItem(testId);
+        res.json({ ok: true });
+      } catch (err) {
+        log.error('debug/insert-test error', { err });
+        res.status(500).json({ ok: false, error: err.message });
+      }
+    });
+  }
+
+  // Redirect legacy /public/view.html requests to the correct location
+  app.get('/public/view.html', (req, res) => {
+    res.redirect('/view.html');
+  });
+
+  // Error handler. Rejected uploads (multer limits) and malformed bodies are the client's fault and
+  // get a 4xx with the reason; anything else is a 500.
+  app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const message = err.code === 'LIMIT_FILE_SIZE' ? `files may be at most ${MAX_FILE_SIZE} bytes` : err.message;
+      return res.status(status).json({ error: message });
+    }
+    const status = err.status || err.statusCode;
+    if (status >= 400 && status < 500 && err.expose) return res.status(status).json({ error: err.message });
+    log.error('Unhandled error', { method: req.method, url: req.originalUrl, err });
+    res.status(500).json({ error: 'internal server error' });
+  });
+
+  // Listen on `port` (default PORT; 0 picks a free one) and start up in the background, so /health
+  // answers while migrations run. Resolves to the http.Server once listening.
+  let server = null;
+  let initialization = null;
+  async function start({ port = PORT, host } = {}) {
+    if (server) throw new Error('app is already started');
+    server = http.createServer(app);
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+    log.info(`Hoster app listening on http://localhost:${server.address().port}`, { port: server.address().port });
+    initialization = initialize();
+    return server;
+  }
+
+  // Resolves once startup has finished, whether or not it succeeded (see /ready)
+  function ready() {
+    return initialization || Promise.resolve();
+  }
+
+  // Graceful stop: refuse new connections and close idle ones, give requests in flight up to
+  // SHUTDOWN_TIMEOUT_MS to finish (then cut them off), stop the background work and close the store
+  // (which ends the Postgres pool).
+  async function stop({ timeoutMs = SHUTDOWN_TIMEOUT_MS } = {}) {
+    if (stopping) return;
+    stopping = true;
+    if (server) {
+      const closed = new Promise(resolve => server.close(resolve));
+      server.closeIdleConnections();
+      const deadline = setTimeout(() => {
+        log.warn('Requests still running at the shutdown deadline; closing their connections');
+        server.closeAllConnections();
+      }, timeoutMs);
+      await closed;
+      clearTimeout(deadline);
+    }
+    if (initialization) await initialization;
+    if (sweepTimer) clearInterval(sweepTimer);
+    await webhooks.stop();
+    await processingChain;
+    await store.close();
+    log.info('Stopped');
+  }
+
+  return { app, store, storage, start, ready, stop, sweep: sweepExpiredItems };
+}
+
+module.exports = { createApp };
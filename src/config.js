@@ -0,0 +1,53 @@
+// Shared configuration loaders (used by the server and the src/db.js check script)
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Postgres connection config — use DATABASE_URL if provided, else the PG* / DB_* variables.
+// By default verify server certificates. To allow self-signed certs (not recommended for production),
+// set one of: PGSSLMODE=no-verify OR DB_SSL_ALLOW_SELF_SIGNED=1 OR DB_SSL_REJECT_UNAUTHORIZED=0
+// A CA bundle can be given as a file (PG_SSL_CA_PATH / DB_SSL_CA_PATH) or inline PEM (PG_SSL_CERT).
+function loadPgConfig(env = process.env) {
+  const poolConfig = {};
+  const databaseUrl = env.DATABASE_URL || env.PG_CONNECTION_STRING;
+  if (databaseUrl) {
+    poolConfig.connectionString = databaseUrl;
+  } else {
+    // pg falls back to its own defaults (localhost, current user) for anything unset
+    const host = env.PGHOST || env.DB_HOST;
+    if (host) poolConfig.host = host;
+    const user = env.PGUSER || env.DB_USER;
+    if (user) poolConfig.user = user;
+    const database = env.PGDATABASE || env.DB_NAME;
+    if (database) poolConfig.database = database;
+    const password = env.PGPASSWORD || env.DB_PASSWORD;
+    if (password) poolConfig.password = password;
+    if (env.PGPORT || env.DB_PORT) poolConfig.port = parseInt(env.PGPORT || env.DB_PORT, 10);
+  }
+
+  let ca = env.PG_SSL_CERT || null;
+  const caPath = env.PG_SSL_CA_PATH || env.DB_SSL_CA_PATH;
+  if (!ca && caPath) {
+    try {
+      ca = fs.readFileSync(path.resolve(caPath));
+    } catch (err) {
+      logger.error('Failed to read PG SSL CA file', { path: caPath, err });
+    }
+  }
+
+  // In development default to allowing self-signed certs to avoid frequent local failures.
+  const allowSelfSignedEnv = env.PGSSLMODE === 'no-verify' || env.DB_SSL_ALLOW_SELF_SIGNED === '1' || env.DB_SSL_REJECT_UNAUTHORIZED === '0';
+  const devDefaultAllow = env.NODE_ENV !== 'production';
+  const allowSelfSigned = !ca && (allowSelfSignedEnv || devDefaultAllow);
+  if (ca) {
+    poolConfig.ssl = { rejectUnauthorized: true, ca };
+  } else if (allowSelfSigned) {
+    poolConfig.ssl = { rejectUnauthorized: false };
+  } else if (env.DB_SSL === 'true' || env.PGSSLMODE === 'require') {
+    poolConfig.ssl = { rejectUnauthorized: true };
+  }
+
+  return { poolConfig, allowSelfSigned, configured: Boolean(databaseUrl || env.PGHOST || env.DB_HOST) };
+}
+
+module.exports = { loadPgConfig };
@@ -0,0 +1,80 @@
+// Credential policy: how keyphrases and passcodes are generated, and what format clients should expect.
+// All randomness comes from crypto.randomInt (CSPRNG).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// EFF large diceware wordlist (https://www.eff.org/dice, CC BY 3.0 US), minus its four hyphenated words
+const WORDLIST_FILE = path.join(__dirname, 'wordlist.txt');
+
+const ALPHABETS = {
+  numeric: '0123456789',
+  alphanumeric: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+  // upper-case letters and digits without look-alikes (0/O, 1/I/L)
+  unambiguous: '23456789ABCDEFGHJKMNPQRSTUVWXYZ'
+};
+
+function loadWordlist(file = WORDLIST_FILE) {
+  const words = fs.readFileSync(file, 'utf8').split(/\r?\n/).map(w => w.trim()).filter(Boolean);
+  return Array.from(new Set(words));
+}
+
+// escape characters that are special inside a RegExp character class
+function escapeCharClass(chars) {
+  return chars.replace(/[\\\]^-]/g, '\\$&');
+}
+
+// PASSCODE_LENGTH / PASSCODE_MIN_LENGTH / PASSCODE_ALPHABET (a name from ALPHABETS or the literal characters)
+// KEYPHRASE_WORDS / KEYPHRASE_SEPARATOR
+// PASSCODE_MIN_LENGTH is only used when checking input, so codes issued under an older, shorter policy keep working.
+function createCredentialPolicy(env = process.env) {
+  const alphabetName = env.PASSCODE_ALPHABET || 'numeric';
+  const alphabet = Array.from(new Set(ALPHABETS[alphabetName] || alphabetName)).join('');
+  if (alphabet.length < 2) throw new Error('PASSCODE_ALPHABET must contain at least two distinct characters');
+  const length = env.PASSCODE_LENGTH ? parseInt(env.PASSCODE_LENGTH, 10) : 6;
+  if (!Number.isInteger(length) || length < 4 || length > 64) throw new Error('PASSCODE_LENGTH must be between 4 and 64');
+  const minLengthSetting = env.PASSCODE_MIN_LENGTH ? parseInt(env.PASSCODE_MIN_LENGTH, 10) : 4;
+  if (!Number.isInteger(minLengthSetting) || minLengthSetting < 4 || minLengthSetting > 64) throw new Error('PASSCODE_MIN_LENGTH must be between 4 and 64');
+  const minLength = Math.min(length, minLengthSetting);
+  const wordCount = env.KEYPHRASE_WORDS ? parseInt(env.KEYPHRASE_WORDS, 10) : 3;
+  if (!Number.isInteger(wordCount) || wordCount < 1 || wordCount > 16) throw new Error('KEYPHRASE_WORDS must be between 1 and 16');
+  const separator = env.KEYPHRASE_SEPARATOR !== undefined ? env.KEYPHRASE_SEPARATOR : '-';
+  const words = loadWordlist(env.KEYPHRASE_WORDLIST ? path.resolve(env.KEYPHRASE_WORDLIST) : WORDLIST_FILE);
+
+  const charClass = escapeCharClass(alphabet);
+  const passcodePattern = new RegExp(`^[${charClass}]{${minLength},${length}}$`);
+
+  function generatePasscode() {
+    let out = '';
+    for (let i = 0; i < length; i++) out += alphabet[crypto.randomInt(alphabet.length)];
+    return out;
+  }
+
+  function generateKeyphrase() {
+    const picked = [];
+    for (let i = 0; i < wordCount; i++) picked.push(words[crypto.randomInt(words.length)]);
+    return picked.join(separator);
+  }
+
+  function isValidPasscodeFormat(passcode) {
+    return typeof passcode === 'string' && passcodePattern.test(passcode);
+  }
+
+  // What clients need to validate input; safe to publish
+  function describe() {
+    return {
+      passcode: {
+        length,
+        minLength,
+        alphabet: ALPHABETS[alphabetName] ? alphabetName : 'custom',
+        charClass,
+        numeric: /^[0-9]+$/.test(alphabet)
+      },
+      keyphrase: { words: wordCount, separator }
+    };
+  }
+
+  return { generatePasscode, generateKeyphrase, isValidPasscodeFormat, describe, wordlistSize: words.length };
+}
+
+module.exports = { createCredentialPolicy, ALPHABETS };
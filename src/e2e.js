@@ -0,0 +1,40 @@
+// End-to-end (client-side) encryption metadata.
+// The browser encrypts text, file body and a small metadata blob (title, original filename, MIME type)
+// with AES-GCM under a random key that only lives in the share link's URL fragment.
+// The server stores the ciphertext plus this descriptor and never sees the key:
+//   { v: 1, alg: 'AES-GCM', keySource: 'fragment', iv: { meta, text?, file? }, meta: <base64url ciphertext> }
+
+const B64URL = /^[A-Za-z0-9_-]+$/;
+const MAX_META_LENGTH = 8 * 1024;
+
+function isIv(value) {
+  return typeof value === 'string' && B64URL.test(value) && Buffer.from(value, 'base64url').length === 12;
+}
+
+// Parse and validate the `encryption` field of /api/host.
+// Returns { encryption } (null when absent) or { error }.
+function parseEncryptionField(raw, { text, hasFile }) {
+  if (raw === undefined || raw === null || raw === '') return { encryption: null };
+  let enc;
+  try {
+    enc = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (_) {
+    return { error: 'encryption must be valid JSON' };
+  }
+  if (!enc || enc.v !== 1 || enc.alg !== 'AES-GCM' || enc.keySource !== 'fragment') {
+    return { error: 'unsupported encryption parameters (expected v=1, AES-GCM, fragment key)' };
+  }
+  const iv = enc.iv || {};
+  if (!isIv(iv.meta) || typeof enc.meta !== 'string' || !B64URL.test(enc.meta) || enc.meta.length > MAX_META_LENGTH) {
+    return { error: 'encryption.meta and encryption.iv.meta are required' };
+  }
+  if (text && !isIv(iv.text)) return { error: 'encryption.iv.text is required for encrypted text' };
+  if (text && !B64URL.test(text)) return { error: 'encrypted text must be base64url ciphertext' };
+  if (hasFile && !isIv(iv.file)) return { error: 'encryption.iv.file is required for an encrypted file' };
+  const out = { v: 1, alg: 'AES-GCM', keySource: 'fragment', iv: { meta: iv.meta }, meta: enc.meta };
+  if (text) out.iv.text = iv.text;
+  if (hasFile) out.iv.file = iv.file;
+  return { encryption: out };
+}
+
+module.exports = { parseEncryptionField };
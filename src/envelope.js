@@ -0,0 +1,252 @@
+// Envelope encryption at rest.
+// Every item gets a random 256-bit data key (DEK). The DEK encrypts the item's `text` column and its
+// stored file; the DEK itself is stored wrapped (AES-256-GCM) by a master key identified by a key id,
+// so master keys can be rotated by re-wrapping DEKs without touching the data (see scripts/rotate-keys.js).
+//
+// Master keys come from MASTER_KEYS ("id:base64key,id2:base64key", current = MASTER_KEY_ID or the first)
+// or MASTER_KEY_FILE (JSON { "current": "id", "keys": { "id": "base64key" } }). Keys are 32 bytes.
+// Without either, encryption at rest is disabled and items are stored as before.
+//
+// Stored files use a segmented AES-256-GCM format so they can be decrypted while streaming:
+//   'PPE1' | 7-byte nonce prefix | segment 0 | segment 1 | ...
+// Each segment is up to SEGMENT_SIZE plaintext bytes + a 16-byte tag, with
+// nonce = prefix | uint32 segment index | 1 if last segment else 0 (so truncation is detected).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+
+const MAGIC = Buffer.from('PPE1');
+const PREFIX_SIZE = 7;
+const HEADER_SIZE = MAGIC.length + PREFIX_SIZE;
+const SEGMENT_SIZE = 64 * 1024;
+const TAG_SIZE = 16;
+const TEXT_PREFIX = 'enc:v1:';
+
+function decodeKey(id, encoded) {
+  const key = Buffer.from(String(encoded).trim(), 'base64');
+  if (key.length !== 32) throw new Error(`master key "${id}" must be 32 bytes (base64-encoded)`);
+  return key;
+}
+
+// Returns { currentId, keys: Map<id, Buffer> } or null when no master key is configured
+function loadKeyring(env = process.env) {
+  const keys = new Map();
+  let currentId = env.MASTER_KEY_ID || null;
+  if (env.MASTER_KEY_FILE) {
+    const parsed = JSON.parse(fs.readFileSync(path.resolve(env.MASTER_KEY_FILE), 'utf8'));
+    for (const [id, encoded] of Object.entries(parsed.keys || {})) keys.set(id, decodeKey(id, encoded));
+    currentId = currentId || parsed.current || null;
+  }
+  if (env.MASTER_KEYS) {
+    for (const entry of env.MASTER_KEYS.split(',').map(e => e.trim()).filter(Boolean)) {
+      const idx = entry.indexOf(':');
+      if (idx <= 0) throw new Error('MASTER_KEYS entries must look like id:base64key');
+      const id = entry.slice(0, idx);
+      keys.set(id, decodeKey(id, entry.slice(idx + 1)));
+      currentId = currentId || id;
+    }
+  }
+  if (keys.size === 0) return null;
+  if (!currentId) currentId = keys.keys().next().value;
+  if (!keys.has(currentId)) throw new Error(`current master key "${currentId}" is not in the keyring`);
+  return { currentId, keys };
+}
+
+function gcmEncrypt(key, iv, plaintext, aad) {
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  if (aad) cipher.setAAD(aad);
+  const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([ct, cipher.getAuthTag()]);
+}
+
+function gcmDecrypt(key, iv, data, aad) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  if (aad) decipher.setAAD(aad);
+  decipher.setAuthTag(data.subarray(data.length - TAG_SIZE));
+  return Buffer.concat([decipher.update(data.subarray(0, data.length - TAG_SIZE)), decipher.final()]);
+}
+
+function segmentNonce(prefix, index, last) {
+  const nonce = Buffer.alloc(12);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, PREFIX_SIZE);
+  nonce[11] = last ? 1 : 0;
+  return nonce;
+}
+
+// Stored size of one encrypted piece (see createEncryptStream) of `plainLength` bytes
+function sealedLength(plainLength, { firstSegment = 0, final = true } = {}) {
+  const segments = Math.max(final ? 1 : 0, Math.ceil(plainLength / SEGMENT_SIZE));
+  return plainLength + segments * TAG_SIZE + (firstSegment === 0 ? HEADER_SIZE : 0);
+}
+
+function newNoncePrefix() {
+  return crypto.randomBytes(PREFIX_SIZE);
+}
+
+// Where plaintext bytes start..end (inclusive) of an encrypted file of `size` plaintext bytes are stored:
+// the stored byte range covering their segments, the createDecryptStream options for that range,
+// and how many leading plaintext bytes of the first segment to drop.
+function segmentRange(start, end, size) {
+  const sealed = SEGMENT_SIZE + TAG_SIZE;
+  const firstSegment = Math.floor(start / SEGMENT_SIZE);
+  const lastSegment = Math.floor(end / SEGMENT_SIZE);
+  const lastLength = Math.min(SEGMENT_SIZE, size - lastSegment * SEGMENT_SIZE);
+  return {
+    start: HEADER_SIZE + firstSegment * sealed,
+    end: HEADER_SIZE + lastSegment * sealed + lastLength + TAG_SIZE - 1,
+    firstSegment,
+    final: (lastSegment + 1) * SEGMENT_SIZE >= size,
+    skip: start - firstSegment * SEGMENT_SIZE
+  };
+}
+
+// Nonce prefix from the first HEADER_SIZE bytes of a stored encrypted file
+function parseHeader(header) {
+  if (header.length < HEADER_SIZE || !header.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new Error('stored file is not in the encrypted format');
+  }
+  return header.subarray(MAGIC.length, HEADER_SIZE);
+}
+
+// Plaintext size of a stored encrypted file, from its stored (ciphertext) size
+function plaintextSize(storedSize) {
+  const body = storedSize - HEADER_SIZE;
+  const full = Math.floor(body / (SEGMENT_SIZE + TAG_SIZE));
+  const rest = body % (SEGMENT_SIZE + TAG_SIZE);
+  return full * SEGMENT_SIZE + (rest ? rest - TAG_SIZE : 0);
+}
+
+function createEnvelope(keyring) {
+  const enabled = Boolean(keyring);
+
+  // New DEK for an item, plus its wrapped form to store next to the item
+  function newDataKey(itemId) {
+    const dataKey = crypto.randomBytes(32);
+    return { dataKey, ...wrap(dataKey, itemId) };
+  }
+
+  // The item id is bound in as AAD, so a wrapped key can't be moved to another item
+  function wrap(dataKey, itemId) {
+    const iv = crypto.randomBytes(12);
+    const sealed = gcmEncrypt(keyring.keys.get(keyring.currentId), iv, dataKey, Buffer.from(itemId));
+    return { keyId: keyring.currentId, wrappedKey: Buffer.concat([iv, sealed]).toString('base64') };
+  }
+
+  function unwrap({ keyId, wrappedKey }, itemId) {
+    if (!keyring) throw new Error('item is encrypted at rest but no master key is configured');
+    const master = keyring.keys.get(keyId);
+    if (!master) throw new Error(`master key "${keyId}" is not in the keyring`);
+    const raw = Buffer.from(wrappedKey, 'base64');
+    return gcmDecrypt(master, raw.subarray(0, 12), raw.subarray(12), Buffer.from(itemId));
+  }
+
+  // Re-wrap a DEK under the current master key (key rotation)
+  function rewrap(wrapped, itemId) {
+    return wrap(unwrap(wrapped, itemId), itemId);
+  }
+
+  function encryptText(dataKey, text, itemId) {
+    const iv = crypto.randomBytes(12);
+    const sealed = gcmEncrypt(dataKey, iv, Buffer.from(String(text), 'utf8'), Buffer.from(itemId));
+    return TEXT_PREFIX + Buffer.concat([iv, sealed]).toString('base64');
+  }
+
+  function decryptText(dataKey, stored, itemId) {
+    if (typeof stored !== 'string' || !stored.startsWith(TEXT_PREFIX)) return stored;
+    const raw = Buffer.from(stored.slice(TEXT_PREFIX.length), 'base64');
+    return gcmDecrypt(dataKey, raw.subarray(0, 12), raw.subarray(12), Buffer.from(itemId)).toString('utf8');
+  }
+
+  function encryptBuffer(dataKey, plaintext) {
+    const prefix = crypto.randomBytes(PREFIX_SIZE);
+    const parts = [MAGIC, prefix];
+    const count = Math.max(1, Math.ceil(plaintext.length / SEGMENT_SIZE));
+    for (let i = 0; i < count; i++) {
+      const chunk = plaintext.subarray(i * SEGMENT_SIZE, (i + 1) * SEGMENT_SIZE);
+      parts.push(gcmEncrypt(dataKey, segmentNonce(prefix, i, i === count - 1), chunk));
+    }
+    return Buffer.concat(parts);
+  }
+
+  // Encrypt one piece of a file that is uploaded in several requests (resumable uploads).
+  // Pieces must start on a segment boundary; `firstSegment` is the piece's first segment index,
+  // `final` marks the piece holding the end of the file, and the piece at offset 0 carries the header.
+  // Returns a Transform (plaintext in, stored bytes out).
+  function createEncryptStream(dataKey, { prefix, firstSegment = 0, final = true }) {
+    let pending = Buffer.alloc(0);
+    let index = firstSegment;
+    let started = false;
+    const emitHeader = (stream) => {
+      if (!started && firstSegment === 0) stream.push(Buffer.concat([MAGIC, prefix]));
+      started = true;
+    };
+    return new Transform({
+      transform(chunk, _enc, cb) {
+        emitHeader(this);
+        pending = Buffer.concat([pending, chunk]);
+        // hold back one full segment: whether it's the last one is only known at the end
+        while (pending.length > SEGMENT_SIZE) {
+          this.push(gcmEncrypt(dataKey, segmentNonce(prefix, index++, false), pending.subarray(0, SEGMENT_SIZE)));
+          pending = pending.subarray(SEGMENT_SIZE);
+        }
+        cb();
+      },
+      flush(cb) {
+        emitHeader(this);
+        if (final) {
+          this.push(gcmEncrypt(dataKey, segmentNonce(prefix, index, true), pending));
+        } else if (pending.length === SEGMENT_SIZE) {
+          this.push(gcmEncrypt(dataKey, segmentNonce(prefix, index, false), pending));
+        } else if (pending.length !== 0) {
+          return cb(new Error('a non-final piece must be a whole number of segments'));
+        }
+        cb();
+      }
+    });
+  }
+
+  // Transform stream: stored (encrypted) file in, plaintext out.
+  // For a byte range of the file (see segmentRange), pass the nonce `prefix` from the file's header
+  // and the range's `firstSegment` / `final`; the stream then holds segments only.
+  function createDecryptStream(dataKey, { prefix = null, firstSegment = 0, final = true } = {}) {
+    let header = prefix;
+    let pending = Buffer.alloc(0);
+    let index = firstSegment;
+    const sealedSize = SEGMENT_SIZE + TAG_SIZE;
+    return new Transform({
+      transform(chunk, _enc, cb) {
+        pending = Buffer.concat([pending, chunk]);
+        try {
+          if (!header) {
+            if (pending.length < HEADER_SIZE) return cb();
+            header = parseHeader(pending);
+            pending = pending.subarray(HEADER_SIZE);
+          }
+          // keep at least one sealed segment back: only the final one may carry the last flag
+          while (pending.length > sealedSize) {
+            this.push(gcmDecrypt(dataKey, segmentNonce(header, index++, false), pending.subarray(0, sealedSize)));
+            pending = pending.subarray(sealedSize);
+          }
+          cb();
+        } catch (err) {
+          cb(err);
+        }
+      },
+      flush(cb) {
+        try {
+          if (!header || pending.length < TAG_SIZE) throw new Error('stored file is truncated');
+          this.push(gcmDecrypt(dataKey, segmentNonce(header, index, final), pending));
+          cb();
+        } catch (err) {
+          cb(err);
+        }
+      }
+    });
+  }
+
+  return { enabled, keyring, newDataKey, unwrap, rewrap, encryptText, decryptText, encryptBuffer, createEncryptStream, createDecryptStream, plaintextSize };
+}
+
+module.exports = { loadKeyring, createEnvelope, plaintextSize, sealedLength, newNoncePrefix, segmentRange, parseHeader, SEGMENT_SIZE, HEADER_SIZE };
@@ -0,0 +1,55 @@
+// Readiness (GET /ready): can this instance reach its item store and its object store? Each check
+// runs with a READY_TIMEOUT_MS deadline (default 3000) so a hung dependency reads as not ready.
+const fs = require('fs');
+const { testS3Bucket } = require('./db');
+const { logger } = require('./logger');
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} did not answer within ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+function createReadinessCheck({ store, storage, env = process.env, log = logger }) {
+  const timeoutMs = env.READY_TIMEOUT_MS ? parseInt(env.READY_TIMEOUT_MS, 10) : 3000;
+
+  async function storageCheck() {
+    if (storage.name === 's3') {
+      // testS3Bucket logs every success; only failures are worth a line here
+      const quiet = { info() {}, warn: log.warn, error: log.error };
+      const r = await testS3Bucket({ client: storage.client, bucket: storage.bucket, log: quiet });
+      if (!r.ok) throw new Error(r.error || r.reason);
+      return;
+    }
+    if (storage.dir) await fs.promises.access(storage.dir, fs.constants.R_OK | fs.constants.W_OK);
+  }
+
+  async function timed(name, fn) {
+    const started = Date.now();
+    try {
+      await withTimeout(fn(), timeoutMs, name);
+      return { ok: true, ms: Date.now() - started };
+    } catch (err) {
+      log.warn('Readiness check failed', { check: name, err });
+      return { ok: false, ms: Date.now() - started, error: err.message || String(err) };
+    }
+  }
+
+  // { ok, checks: { store, storage } }, each check { ok, ms, error? }
+  async function check() {
+    const [storeResult, storageResult] = await Promise.all([
+      timed('store', () => store.ping()),
+      timed('storage', storageCheck)
+    ]);
+    return {
+      ok: storeResult.ok && storageResult.ok,
+      checks: { store: { driver: store.name, ...storeResult }, storage: { driver: storage.name, ...storageResult } }
+    };
+  }
+
+  return { check };
+}
+
+module.exports = { createReadinessCheck };
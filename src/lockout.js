@@ -0,0 +1,68 @@
+// Failed-credential tracking with exponential backoff lockout.
+// Counters live in the item store so they survive restarts and are shared between instances.
+// Keys are hashed before storage so keyphrases never sit in the failure tables in clear.
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// LOCKOUT_THRESHOLD failures within LOCKOUT_RESET_SECONDS lock the key for LOCKOUT_BASE_SECONDS,
+// doubling with every further failure up to LOCKOUT_MAX_SECONDS.
+function createLockoutGuard({ store, env = process.env }) {
+  const threshold = env.LOCKOUT_THRESHOLD ? parseInt(env.LOCKOUT_THRESHOLD, 10) : 5;
+  const baseSeconds = env.LOCKOUT_BASE_SECONDS ? parseInt(env.LOCKOUT_BASE_SECONDS, 10) : 30;
+  const maxSeconds = env.LOCKOUT_MAX_SECONDS ? parseInt(env.LOCKOUT_MAX_SECONDS, 10) : 60 * 60;
+  const resetSeconds = env.LOCKOUT_RESET_SECONDS ? parseInt(env.LOCKOUT_RESET_SECONDS, 10) : 60 * 60;
+
+  function lockSecondsFor(failures) {
+    if (failures < threshold) return 0;
+    return Math.min(maxSeconds, baseSeconds * 2 ** Math.min(failures - threshold, 30));
+  }
+
+  // Seconds until the first of `targets` ({ scope, key }) unlocks, or 0 if none is locked
+  async function retryAfter(targets, now = new Date()) {
+    let wait = 0;
+    for (const t of targets) {
+      const rec = await store.getAuthFailure(t.scope, hashKey(t.key));
+      if (rec && rec.lockedUntil && new Date(rec.lockedUntil) > now) {
+        wait = Math.max(wait, Math.ceil((new Date(rec.lockedUntil) - now) / 1000));
+      }
+    }
+    return wait;
+  }
+
+  // Count a failed attempt against every target; locks (and audits) those that crossed the threshold.
+  // Returns the longest resulting lock in seconds (0 if nothing is locked).
+  async function recordFailure(targets, { ip } = {}) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - resetSeconds * 1000);
+    let wait = 0;
+    for (const t of targets) {
+      const key = hashKey(t.key);
+      const failures = await store.incrementAuthFailure(t.scope, key, now, staleBefore);
+      const seconds = lockSecondsFor(failures);
+      if (seconds === 0) continue;
+      const lockedUntil = new Date(now.getTime() + seconds * 1000);
+      await store.setAuthLock(t.scope, key, lockedUntil);
+      await store.insertLockoutEvent({ scope: t.scope, key, failures, lockedUntil: lockedUntil.toISOString(), ip: ip || null, createdAt: now.toISOString() });
+      logger.warn(`Locked ${t.scope} for ${seconds}s after ${failures} failed attempts`, { scope: t.scope, keyHash: key.slice(0, 12), failures, seconds, ip: ip || null });
+      wait = Math.max(wait, seconds);
+    }
+    return wait;
+  }
+
+  async function recordSuccess(targets) {
+    for (const t of targets) await store.clearAuthFailure(t.scope, hashKey(t.key));
+  }
+
+  // Drop counters that are neither locked nor recent
+  async function prune(now = new Date()) {
+    return store.pruneAuthFailures(new Date(now.getTime() - resetSeconds * 1000), now);
+  }
+
+  return { retryAfter, recordFailure, recordSuccess, prune, hashKey };
+}
+
+module.exports = { createLockoutGuard, hashKey };
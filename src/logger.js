@@ -0,0 +1,73 @@
+// Structured logging: one JSON object per line, `{ time, level, msg, ...fields }`, on stdout (warn and
+// error on stderr). Credentials never reach the log: fields named like one (keyphrase, passcode,
+// tokens, secrets, auth headers) are replaced with "[redacted]" at any depth, and so are credential
+// query parameters inside strings such as request URLs.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = '[redacted]';
+const SENSITIVE_KEYS = new Set([
+  'keyphrase', 'passcode', 'passcodehash', 'password', 'secret', 'token', 'managetoken', 'managetokenhash',
+  'wrappedkey', 'authorization', 'cookie', 'set-cookie', 'x-manage-token', 'x-admin-token'
+]);
+const SENSITIVE_PARAMS = /([?&](?:keyphrase|passcode|token|session)=)[^&#\s"]*/gi;
+
+function redactString(value) {
+  return value.replace(SENSITIVE_PARAMS, `$1${REDACTED}`);
+}
+
+// Errors keep their message, stack and driver codes (pg's constraint / table / column), but not
+// pg's `detail` or the statement parameters, which may hold the values being written
+function serializeError(err) {
+  const out = { name: err.name, message: redactString(String(err.message)) };
+  for (const key of ['code', 'constraint', 'table', 'column', 'status']) {
+    if (err[key] !== undefined) out[key] = err[key];
+  }
+  if (err.stack) out.stack = redactString(err.stack);
+  return out;
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) return serializeError(value);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+  if (depth > 6) return '[nested]';
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    out[key] = SENSITIVE_KEYS.has(key.toLowerCase()) && v != null ? REDACTED : redact(v, depth + 1);
+  }
+  return out;
+}
+
+// LOG_LEVEL: debug | info (default) | warn | error | silent. `write(level, line)` replaces the
+// output (tests).
+function createLogger({ env = process.env, fields = {}, write = null } = {}) {
+  const threshold = LEVELS[(env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+  const out = write || ((level, line) => (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`));
+
+  function log(level, msg, extra) {
+    if (LEVELS[level] < threshold) return;
+    const entry = redact({ time: new Date().toISOString(), level, msg, ...fields, ...extra });
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (_) {
+      line = JSON.stringify({ time: entry.time, level, msg: entry.msg, note: 'fields were not serializable' });
+    }
+    out(level, line);
+  }
+
+  return {
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    // a logger that adds `more` to every entry
+    child: (more) => createLogger({ env, fields: { ...fields, ...more }, write })
+  };
+}
+
+// Shared process logger
+const logger = createLogger();
+
+module.exports = { createLogger, logger, redact };
@@ -0,0 +1,93 @@
+// Prometheus metrics (GET /metrics) in the text exposition format. Counters and histograms live in
+// process memory, so every instance reports its own and Prometheus aggregates them.
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(pairs) {
+  return pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+// The series in `all` for one combination of `labelNames` values, created with `init()` on first use
+function seriesFor(all, labelNames, labels, init) {
+  const values = labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+  const key = values.join('\u0000');
+  let s = all.get(key);
+  if (!s) {
+    s = { pairs: labelNames.map((name, i) => [name, values[i]]), ...init() };
+    all.set(key, s);
+  }
+  return s;
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function counter(name, help, labelNames = []) {
+    const all = new Map();
+    metrics.push({ name, help, type: 'counter', lines: () => [...all.values()].map(s => `${name}${labelText(s.pairs)} ${s.value}`) });
+    return {
+      inc(labels = {}, by = 1) {
+        seriesFor(all, labelNames, labels, () => ({ value: 0 })).value += by;
+      }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    const all = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => [...all.values()].flatMap(s => [
+        ...buckets.map((le, i) => `${name}_bucket${labelText([...s.pairs, ['le', le]])} ${s.counts[i]}`),
+        `${name}_bucket${labelText([...s.pairs, ['le', '+Inf']])} ${s.count}`,
+        `${name}_sum${labelText(s.pairs)} ${s.sum}`,
+        `${name}_count${labelText(s.pairs)} ${s.count}`
+      ])
+    });
+    return {
+      observe(labels, value) {
+        const s = seriesFor(all, labelNames, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+      }
+    };
+  }
+
+  // A value read at scrape time
+  function gauge(name, help, read) {
+    metrics.push({ name, help, type: 'gauge', lines: () => [`${name} ${read()}`] });
+  }
+
+  function render() {
+    return metrics.map(m => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+// The server's metrics
+function createMetrics() {
+  const registry = createRegistry();
+  const startedAt = Date.now() / 1000;
+  registry.gauge('phraseport_process_start_time_seconds', 'Start time of the process (unix seconds)', () => startedAt);
+  registry.gauge('phraseport_process_resident_memory_bytes', 'Resident memory of the process', () => process.memoryUsage.rss());
+  return {
+    // route is the matched path pattern (/api/item/:id), never the raw URL
+    httpRequests: registry.histogram('phraseport_http_request_duration_seconds', 'Time to answer HTTP requests', ['method', 'route', 'status']),
+    // type text | file, via form (/api/host) | resumable (/api/uploads)
+    uploads: registry.counter('phraseport_uploads_total', 'Items uploaded', ['type', 'via']),
+    uploadBytes: registry.counter('phraseport_upload_bytes_total', 'Bytes of text and files uploaded', ['type', 'via']),
+    // kind file | text | bundle
+    downloads: registry.counter('phraseport_downloads_total', 'Item contents served', ['kind']),
+    // reason passcode | link | locked | api_key | manage_token | admin_token
+    authFailures: registry.counter('phraseport_auth_failures_total', 'Refused credentials', ['reason']),
+    render: registry.render
+  };
+}
+
+module.exports = { createMetrics, createRegistry };
@@ -0,0 +1,141 @@
+// Post-upload previews: the real content type sniffed from a file's first bytes, an image thumbnail
+// (via sharp) and a text excerpt for text-like files and the first page of PDFs.
+// The server stores thumbnails and excerpts as derived objects next to the file (see generatePreview).
+const sharp = require('sharp');
+const { PDFParse } = require('pdf-parse');
+
+const ascii = (buf, start, text) => buf.length >= start + text.length && buf.toString('latin1', start, start + text.length) === text;
+
+// Content types recognised by their leading bytes, first match wins
+const SIGNATURES = [
+  ['image/png', h => ascii(h, 0, '\x89PNG\r\n\x1a\n')],
+  ['image/jpeg', h => h[0] === 0xff && h[1] === 0xd8 && h[2] === 0xff],
+  ['image/gif', h => ascii(h, 0, 'GIF87a') || ascii(h, 0, 'GIF89a')],
+  ['image/webp', h => ascii(h, 0, 'RIFF') && ascii(h, 8, 'WEBP')],
+  ['image/bmp', h => ascii(h, 0, 'BM') && h.length >= 26],
+  ['image/tiff', h => ascii(h, 0, 'II*\0') || ascii(h, 0, 'MM\0*')],
+  ['image/avif', h => ascii(h, 4, 'ftypavif') || ascii(h, 4, 'ftypavis')],
+  ['image/heic', h => ascii(h, 4, 'ftypheic') || ascii(h, 4, 'ftypheix') || ascii(h, 4, 'ftypmif1')],
+  ['application/pdf', h => ascii(h, 0, '%PDF-')],
+  ['video/quicktime', h => ascii(h, 4, 'ftypqt  ')],
+  ['audio/mp4', h => ascii(h, 4, 'ftypM4A ')],
+  ['video/mp4', h => ascii(h, 4, 'ftyp')],
+  ['video/webm', h => h[0] === 0x1a && h[1] === 0x45 && h[2] === 0xdf && h[3] === 0xa3],
+  ['video/ogg', h => ascii(h, 0, 'OggS') && h.includes('theora')],
+  ['audio/ogg', h => ascii(h, 0, 'OggS')],
+  ['audio/wav', h => ascii(h, 0, 'RIFF') && ascii(h, 8, 'WAVE')],
+  ['audio/flac', h => ascii(h, 0, 'fLaC')],
+  ['audio/mpeg', h => ascii(h, 0, 'ID3') || (h[0] === 0xff && (h[1] & 0xe0) === 0xe0)],
+  ['application/zip', h => ascii(h, 0, 'PK\x03\x04')],
+  ['application/gzip', h => h[0] === 0x1f && h[1] === 0x8b],
+  // executables, for the upload scanner's type rules (src/scanner)
+  ['application/x-msdownload', h => ascii(h, 0, 'MZ')],
+  ['application/x-executable', h => ascii(h, 0, '\x7fELF')],
+  ['application/x-mach-binary', h => [0xfeedface, 0xfeedfacf, 0xcefaedfe, 0xcffaedfe].includes(h.length >= 4 && h.readUInt32BE(0))]
+];
+
+// UTF-8 without NULs and with few control characters (a multi-byte sequence cut off at the end is fine)
+function looksLikeText(head) {
+  if (head.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+  } catch (_) {
+    return false;
+  }
+  let control = 0;
+  for (const b of head) if (b < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d, 0x1b].includes(b)) control++;
+  return control <= head.length * 0.01;
+}
+
+function textContentType(head) {
+  const start = head.toString('utf8', 0, 512).replace(/^\uFEFF/, '').trimStart().toLowerCase();
+  if (start.startsWith('<svg') || (start.startsWith('<?xml') && start.includes('<svg'))) return 'image/svg+xml';
+  if (start.startsWith('<!doctype html') || start.startsWith('<html')) return 'text/html';
+  if (start.startsWith('<?xml')) return 'application/xml';
+  if (start.startsWith('{') || start.startsWith('[')) return 'application/json';
+  return 'text/plain';
+}
+
+// How the viewer can show a content type: image | video | audio | pdf | text | null
+function previewTypeFor(contentType) {
+  if (!contentType) return null;
+  // rasterizing SVG server-side is not worth the risk; its source is shown as text
+  if (contentType === 'image/svg+xml') return 'text';
+  const [major] = contentType.split('/');
+  if (['image', 'video', 'audio'].includes(major)) return major;
+  if (contentType === 'application/pdf') return 'pdf';
+  if (major === 'text' || contentType === 'application/json' || contentType === 'application/xml') return 'text';
+  return null;
+}
+
+// { contentType, previewType } from a file's first bytes; contentType is null when unrecognised
+function sniffContentType(head) {
+  const match = SIGNATURES.find(([, test]) => test(head));
+  const contentType = match ? match[0] : head.length && looksLikeText(head) ? textContentType(head) : null;
+  return { contentType, previewType: previewTypeFor(contentType) };
+}
+
+// Fallback for items stored before previews existed: guess from the file name
+const EXTENSION_PREVIEWS = {
+  image: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp'],
+  video: ['mp4', 'webm', 'ogg', 'mov'],
+  audio: ['mp3', 'wav', 'm4a']
+};
+
+function previewTypeFromName(name) {
+  const ext = String(name || '').split('.').pop().toLowerCase();
+  return Object.keys(EXTENSION_PREVIEWS).find(type => EXTENSION_PREVIEWS[type].includes(ext)) || null;
+}
+
+// THUMBNAIL_SIZE bounds thumbnails (px, default 320). Files larger than PREVIEW_MAX_BYTES
+// (default 25 MiB) are only sniffed and get text excerpts from their first bytes.
+function createPreviewer({ env = process.env } = {}) {
+  const thumbnailSize = env.THUMBNAIL_SIZE ? parseInt(env.THUMBNAIL_SIZE, 10) : 320;
+  const maxBytes = env.PREVIEW_MAX_BYTES ? parseInt(env.PREVIEW_MAX_BYTES, 10) : 25 * 1024 * 1024;
+  const headBytes = 64 * 1024;
+  const excerptLines = 20;
+  const excerptChars = 4000;
+
+  function firstLines(text) {
+    return text.split(/\r?\n/).slice(0, excerptLines).join('\n').slice(0, excerptChars).trimEnd();
+  }
+
+  async function thumbnail(buffer) {
+    return sharp(buffer, { failOn: 'error' })
+      .rotate() // honour EXIF orientation
+      .resize(thumbnailSize, thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 70 })
+      .toBuffer();
+  }
+
+  async function pdfExcerpt(buffer) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+      const result = await parser.getText({ first: 1 });
+      return firstLines((result.pages[0] && result.pages[0].text) || '');
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  // Derive previews from a file's content: all of it when `complete`, else its first bytes.
+  // Resolves to { contentType, previewType, thumbnail?: Buffer, excerpt?: string }; a file that
+  // fails to decode (corrupt image, broken PDF) still gets its sniffed type.
+  async function derive(buffer, { complete }) {
+    const sniffed = sniffContentType(buffer.subarray(0, headBytes));
+    const out = { ...sniffed };
+    try {
+      if (sniffed.previewType === 'image' && complete) out.thumbnail = await thumbnail(buffer);
+      if (sniffed.previewType === 'pdf' && complete) out.excerpt = await pdfExcerpt(buffer);
+      if (sniffed.previewType === 'text') out.excerpt = firstLines(new TextDecoder().decode(buffer.subarray(0, excerptChars * 4)));
+    } catch (err) {
+      out.error = err.message || String(err);
+    }
+    if (out.excerpt === '') delete out.excerpt;
+    return out;
+  }
+
+  return { maxBytes, headBytes, derive };
+}
+
+module.exports = { createPreviewer, sniffContentType, previewTypeFor, previewTypeFromName };
@@ -0,0 +1,58 @@
+// Storage quotas: total bytes and item count per keyphrase, per client (API key or IP) and overall.
+// Usage is summed from the item store, where every item records its size and uploading client, so
+// it survives restarts and is shared between instances. A check is not atomic with the insert that
+// follows it: uploads racing each other can overshoot a limit by their own size.
+
+// Limits by scope, in the order they are checked
+const SCOPES = {
+  keyphrase: { env: 'KEYPHRASE', label: 'keyphrase' },
+  client: { env: 'CLIENT', label: 'per-client' },
+  global: { env: 'GLOBAL', label: 'server' }
+};
+
+function parseLimit(value) {
+  const n = value === undefined || value === '' ? NaN : parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// QUOTA_<SCOPE>_BYTES and QUOTA_<SCOPE>_ITEMS for SCOPE = KEYPHRASE, CLIENT, GLOBAL; unset = unlimited
+function createQuotas({ store, env = process.env }) {
+  const limits = {};
+  for (const [scope, { env: name }] of Object.entries(SCOPES)) {
+    limits[scope] = { bytes: parseLimit(env[`QUOTA_${name}_BYTES`]), items: parseLimit(env[`QUOTA_${name}_ITEMS`]) };
+  }
+
+  // Whether `bytes` more in `items` more items fit the global quota and those of `keyphrase` and
+  // `clientId` (either may be omitted). Resolves to { ok: true, remaining } with what is left
+  // afterwards, or { ok: false, status, error, scope, remaining } with what is left now: 413 when
+  // bytes run out, 429 when items do. `remaining` is the tightest { bytes, items } across the
+  // scopes, null where nothing is limited.
+  async function check({ keyphrase, clientId, bytes = 0, items = 0 }) {
+    const before = { bytes: null, items: null };
+    const after = { bytes: null, items: null };
+    let refusal = null;
+    for (const [scope, { label }] of Object.entries(SCOPES)) {
+      const limit = limits[scope];
+      if (limit.bytes == null && limit.items == null) continue;
+      const filter = scope === 'keyphrase' ? keyphrase && { keyphrase } : scope === 'client' ? clientId && { clientId } : {};
+      if (!filter) continue;
+      const used = await store.getUsage(filter);
+      for (const [field, amount] of [['bytes', bytes], ['items', items]]) {
+        if (limit[field] == null) continue;
+        const left = Math.max(0, limit[field] - used[field]);
+        before[field] = before[field] == null ? left : Math.min(before[field], left);
+        after[field] = Math.min(after[field] == null ? Infinity : after[field], Math.max(0, left - amount));
+        if (!refusal && amount > left) {
+          refusal = field === 'bytes'
+            ? { status: 413, scope, error: `${label} storage quota exceeded: ${left} of ${limit.bytes} bytes left, ${amount} needed` }
+            : { status: 429, scope, error: `${label} item quota exceeded: ${left} of ${limit.items} items left` };
+        }
+      }
+    }
+    return refusal ? { ok: false, ...refusal, remaining: before } : { ok: true, remaining: after };
+  }
+
+  return { limits, check };
+}
+
+module.exports = { createQuotas };
@@ -0,0 +1,154 @@
+// Rendering of text items: language detection, syntax highlighting (highlight.js) split into
+// numbered, linkable lines, and Markdown rendered to sanitized HTML (marked + sanitize-html).
+// Rendering happens server-side, so the viewer only ever inserts HTML built here.
+const hljs = require('highlight.js');
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// Languages auto-detection picks from; detecting among all ~190 guesses obscure ones far too often.
+// On equal relevance the earlier one wins, so the list is roughly ordered by how common pastes are.
+const DETECTABLE = [
+  'json', 'javascript', 'python', 'bash', 'shell', 'sql', 'yaml', 'xml', 'markdown', 'diff', 'typescript', 'java',
+  'go', 'c', 'cpp', 'csharp', 'css', 'php', 'ruby', 'rust', 'kotlin', 'swift', 'dockerfile', 'ini', 'accesslog'
+];
+
+// Extensions for downloads; anything else is saved as .txt
+const EXTENSIONS = {
+  bash: 'sh', c: 'c', cpp: 'cpp', csharp: 'cs', css: 'css', diff: 'diff', go: 'go', ini: 'ini', java: 'java',
+  javascript: 'js', json: 'json', kotlin: 'kt', markdown: 'md', php: 'php', python: 'py', ruby: 'rb',
+  rust: 'rs', shell: 'sh', sql: 'sql', swift: 'swift', typescript: 'ts', xml: 'xml', yaml: 'yaml'
+};
+
+const LOG_LINE = /^\[?\d{4}-\d{2}-\d{2}\b|^\w{3} [ \d]\d \d{2}:\d{2}:\d{2}/;
+const DETECT_BYTES = 16 * 1024;
+const MIN_RELEVANCE = 2;
+
+// Canonical language name for user input ('js', 'Python', 'md', 'text'), or null if unknown
+function normalizeLanguage(name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  if (!wanted) return null;
+  if (['plaintext', 'text', 'txt', 'plain'].includes(wanted)) return 'plaintext';
+  const lang = hljs.getLanguage(wanted);
+  if (!lang) return null;
+  // aliases resolve to the language object; find its canonical name
+  return hljs.listLanguages().find(l => hljs.getLanguage(l) === lang) || null;
+}
+
+function isJson(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Best guess for a paste's language from its first bytes; 'plaintext' when nothing fits well
+function detectLanguage(text) {
+  const sample = String(text || '').slice(0, DETECT_BYTES);
+  if (!sample.trim()) return 'plaintext';
+  // cases highlight.js' relevance scoring gets wrong on short pastes
+  if (/^\s*[[{]/.test(sample) && isJson(sample)) return 'json';
+  if (/^\s*(select|insert\s+into|update|delete\s+from|create\s+(table|index|view)|alter\s+table|with\s+\w+\s+as)\b/i.test(sample)) return 'sql';
+  // log lines (a timestamp first) read best unhighlighted
+  const lines = sample.split('\n').filter(l => l.trim()).slice(0, 20);
+  if (lines.filter(l => LOG_LINE.test(l)).length > lines.length / 2) return 'plaintext';
+  const result = hljs.highlightAuto(sample, DETECTABLE);
+  return result.language && result.relevance >= MIN_RELEVANCE ? result.language : 'plaintext';
+}
+
+function extensionFor(language) {
+  return EXTENSIONS[language] || 'txt';
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;' }[c]));
+}
+
+// Split highlighted HTML into lines, closing the spans open at each line break and reopening them
+// on the next line, so every line is well-formed on its own
+function splitLines(html) {
+  const lines = [];
+  const open = [];
+  let line = '';
+  for (const token of html.split(/(<span[^>]*>|<\/span>|\n)/)) {
+    if (token === '\n') {
+      lines.push(line + '</span>'.repeat(open.length));
+      line = open.join('');
+    } else if (token.startsWith('<span')) {
+      open.push(token);
+      line += token;
+    } else if (token === '</span>') {
+      open.pop();
+      line += token;
+    } else {
+      line += token;
+    }
+  }
+  lines.push(line);
+  return lines;
+}
+
+// Highlighted code as numbered lines (block spans, so no newlines between them). Line n has the
+// id `${anchorPrefix}L${n}` and links to itself.
+function renderCode(text, language, anchorPrefix) {
+  const html = language === 'plaintext' ? escapeHtml(text) : hljs.highlight(text, { language, ignoreIllegals: true }).value;
+  const lines = splitLines(html.replace(/\r\n?/g, '\n'));
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  const body = lines.map((line, i) => {
+    const id = `${anchorPrefix}L${i + 1}`;
+    return `<span class="line" id="${id}"><a class="ln" href="#${id}">${i + 1}</a><span class="lc">${line}</span></span>`;
+  }).join('');
+  return `<pre class="code hljs language-${language}"><code>${body}</code></pre>`;
+}
+
+const markdown = new Marked({
+  gfm: true,
+  renderer: {
+    // fenced code blocks get highlighted when their language is known
+    code({ text, lang }) {
+      const language = normalizeLanguage(lang);
+      const html = language && language !== 'plaintext'
+        ? hljs.highlight(text, { language, ignoreIllegals: true }).value
+        : escapeHtml(text);
+      return `<pre class="hljs"><code>${html}</code></pre>\n`;
+    }
+  }
+});
+
+// No images (they would load from third-party hosts on view), scripts, styles or event handlers
+const MARKDOWN_POLICY = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.filter(tag => tag !== 'img').concat(['del', 'input', 'span']),
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    code: ['class'],
+    pre: ['class'],
+    span: ['class'],
+    input: ['type', 'checked', 'disabled'],
+    th: ['align'],
+    td: ['align']
+  },
+  allowedClasses: { code: [/^language-/], pre: ['hljs'], span: [/^hljs-/] },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow', target: '_blank' }),
+    // only GFM task list checkboxes
+    input: (tagName, attribs) => (attribs.type === 'checkbox'
+      ? { tagName, attribs: { type: 'checkbox', disabled: '', ...(attribs.checked !== undefined ? { checked: '' } : {}) } }
+      : { tagName: 'span', attribs: {} })
+  }
+};
+
+function renderMarkdown(text) {
+  return `<div class="markdown">${sanitizeHtml(markdown.parse(text), MARKDOWN_POLICY)}</div>`;
+}
+
+// HTML for a text item in `language` (detected when missing). Markdown is rendered as a
+// document; everything else as highlighted, numbered lines whose ids start with `anchorPrefix`.
+function renderText(text, language, { anchorPrefix = '' } = {}) {
+  const lang = normalizeLanguage(language) || detectLanguage(text);
+  const source = String(text || '');
+  return { language: lang, html: lang === 'markdown' ? renderMarkdown(source) : renderCode(source, lang, anchorPrefix) };
+}
+
+module.exports = { normalizeLanguage, detectLanguage, extensionFor, renderText };
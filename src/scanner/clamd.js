@@ -0,0 +1,72 @@
+// ClamAV daemon scanner: streams content to clamd's INSTREAM command over its unix socket or TCP port
+const net = require('net');
+
+// INSTREAM sends the data as chunks of <4-byte big-endian length><bytes>, ended by a zero length.
+// clamd replies "stream: OK", "stream: <signature> FOUND" or "<message> ERROR" (NUL-terminated
+// with the z-prefixed command). Streams longer than clamd's StreamMaxLength get an ERROR reply.
+function createClamdScanner({ socket, host = '127.0.0.1', port = 3310, timeoutMs = 60000 }) {
+  function connect() {
+    return socket ? net.createConnection({ path: socket }) : net.createConnection({ host, port });
+  }
+
+  // Resolves to { infected: false } or { infected: true, signature }; rejects when clamd
+  // can't be reached or reports an error, so the caller can retry later
+  function scanStream(body) {
+    return new Promise((resolve, reject) => {
+      const conn = connect();
+      const reply = [];
+      let settled = false;
+      const finish = (err, result) => {
+        if (settled) return;
+        settled = true;
+        conn.destroy();
+        if (typeof body.destroy === 'function') body.destroy();
+        if (err) reject(err);
+        else resolve(result);
+      };
+      conn.setTimeout(timeoutMs, () => finish(new Error('clamd timed out')));
+      conn.on('error', err => finish(new Error(`clamd: ${err.message}`)));
+      conn.on('data', chunk => reply.push(chunk));
+      conn.on('end', () => {
+        const text = Buffer.concat(reply).toString('utf8').replace(/\0/g, '').trim();
+        const found = /^stream: (.+) FOUND$/.exec(text);
+        if (found) return finish(null, { infected: true, signature: found[1] });
+        if (text === 'stream: OK') return finish(null, { infected: false });
+        finish(new Error(`clamd: ${text || 'no reply'}`));
+      });
+
+      conn.on('connect', async () => {
+        try {
+          conn.write('zINSTREAM\0');
+          for await (const chunk of body) {
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(chunk.length);
+            // respect backpressure; clamd may also answer early (size limit) and close
+            if (!conn.write(Buffer.concat([length, chunk]))) await new Promise(r => conn.once('drain', r));
+            if (settled) return;
+          }
+          conn.write(Buffer.alloc(4));
+        } catch (err) {
+          finish(err);
+        }
+      });
+    });
+  }
+
+  // PING / PONG, for health checks
+  function ping() {
+    return new Promise((resolve, reject) => {
+      const conn = connect();
+      let reply = '';
+      conn.setTimeout(5000, () => conn.destroy(new Error('clamd timed out')));
+      conn.on('connect', () => conn.write('zPING\0'));
+      conn.on('data', chunk => { reply += chunk; });
+      conn.on('error', err => reject(new Error(`clamd: ${err.message}`)));
+      conn.on('end', () => (reply.replace(/\0/g, '').trim() === 'PONG' ? resolve() : reject(new Error(`clamd: ${reply || 'no reply'}`))));
+    });
+  }
+
+  return { name: 'clamd', scanStream, ping };
+}
+
+module.exports = { createClamdScanner };
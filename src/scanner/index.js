@@ -0,0 +1,48 @@
+// Upload scanning: content-policy rules (./rules) and an optional malware scanner driver.
+// A scanner driver exposes:
+//   scanStream(readable)  -> { infected: false } or { infected: true, signature } (rejects on errors)
+//   ping()                -> void (rejects when the scanner is unreachable)
+const { createClamdScanner } = require('./clamd');
+const { createScanRules } = require('./rules');
+
+// SCAN_DRIVER=clamd|none. Defaults to clamd when CLAMD_SOCKET or CLAMD_HOST is set.
+// SCAN_REJECT_ENCRYPTED=1 refuses end-to-end encrypted files, which no scanner can look into.
+function createScannerFromEnv(env = process.env) {
+  const driver = (env.SCAN_DRIVER || (env.CLAMD_SOCKET || env.CLAMD_HOST ? 'clamd' : 'none')).toLowerCase();
+  let engine = null;
+  if (driver === 'clamd') {
+    engine = createClamdScanner({
+      socket: env.CLAMD_SOCKET || undefined,
+      host: env.CLAMD_HOST || undefined,
+      port: env.CLAMD_PORT ? parseInt(env.CLAMD_PORT, 10) : undefined,
+      timeoutMs: env.CLAMD_TIMEOUT_MS ? parseInt(env.CLAMD_TIMEOUT_MS, 10) : undefined
+    });
+  } else if (driver !== 'none') {
+    throw new Error(`Unknown SCAN_DRIVER "${driver}" (expected clamd or none)`);
+  }
+  const rules = createScanRules(env);
+
+  // Verdict for one stored file: { status: 'clean' } or { status: 'infected', reason }.
+  // `file` is { size, name, encrypted }, `head` its first bytes and `open()` a readable stream of
+  // its (decrypted) content. Rejects when the scanner fails; the file then stays pending.
+  async function scan(file, { head, open }) {
+    const violation = rules.check(file, head);
+    if (violation) return { status: 'infected', reason: violation };
+    if (engine && !file.encrypted) {
+      const result = await engine.scanStream(await open());
+      if (result.infected) return { status: 'infected', reason: `malware detected: ${result.signature}` };
+    }
+    return { status: 'clean' };
+  }
+
+  return {
+    driver,
+    // when false, uploads are clean as soon as they are stored
+    enabled: Boolean(engine) || rules.active,
+    rejectsEncrypted: ['1', 'true', 'yes'].includes(String(env.SCAN_REJECT_ENCRYPTED || '').toLowerCase()),
+    scan,
+    ping: engine ? engine.ping : async () => {}
+  };
+}
+
+module.exports = { createScannerFromEnv, createClamdScanner, createScanRules };
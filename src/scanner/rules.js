@@ -0,0 +1,62 @@
+// Content-policy rules applied to every upload before the malware scan: file-type allow / deny
+// lists, a size limit and an entropy limit for content of unrecognised type
+const path = require('path');
+const { sniffContentType } = require('../preview');
+
+function parseList(value) {
+  return String(value || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+// Entries are MIME types (`application/pdf`), type wildcards (`image/*`) or extensions (`.exe`)
+function matches(entries, { contentType, name }) {
+  const ext = path.extname(String(name || '')).toLowerCase();
+  return entries.some(entry => {
+    if (entry.startsWith('.')) return entry === ext;
+    if (entry.endsWith('/*')) return contentType.startsWith(entry.slice(0, -1));
+    return entry === contentType;
+  });
+}
+
+// Shannon entropy in bits per byte (0..8); random or encrypted data is close to 8
+function entropy(buf) {
+  if (buf.length === 0) return 0;
+  const counts = new Array(256).fill(0);
+  for (const b of buf) counts[b]++;
+  let bits = 0;
+  for (const c of counts) {
+    if (c === 0) continue;
+    const p = c / buf.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+// SCAN_ALLOW_TYPES (only these), SCAN_DENY_TYPES (never these), SCAN_MAX_SIZE (bytes) and
+// SCAN_MAX_ENTROPY (bits per byte, e.g. 7.9). Types are the sniffed ones, not what the client claims;
+// unrecognised content counts as application/octet-stream.
+function createScanRules(env = process.env) {
+  const allow = parseList(env.SCAN_ALLOW_TYPES);
+  const deny = parseList(env.SCAN_DENY_TYPES);
+  const maxSize = env.SCAN_MAX_SIZE ? parseInt(env.SCAN_MAX_SIZE, 10) : null;
+  const maxEntropy = env.SCAN_MAX_ENTROPY ? parseFloat(env.SCAN_MAX_ENTROPY) : null;
+
+  // Reason the file breaks a rule, or null. `head` is the file's first bytes (decrypted);
+  // end-to-end encrypted files are opaque, so only the size rule applies to them.
+  function check({ size, name, encrypted }, head) {
+    if (maxSize != null && size > maxSize) return `file is larger than the ${maxSize}-byte scan limit`;
+    if (encrypted) return null;
+    const sniffed = sniffContentType(head).contentType;
+    const file = { contentType: sniffed || 'application/octet-stream', name };
+    if (deny.length && matches(deny, file)) return `file type ${file.contentType} (${name}) is not allowed`;
+    if (allow.length && !matches(allow, file)) return `file type ${file.contentType} is not on the allow list`;
+    // packed or encrypted blobs are opaque to the malware scanner; known formats compress legitimately
+    if (maxEntropy != null && !sniffed && entropy(head) > maxEntropy) {
+      return `unrecognised content with entropy above ${maxEntropy} bits/byte (encrypted or packed?)`;
+    }
+    return null;
+  }
+
+  return { active: Boolean(allow.length || deny.length || maxSize != null || maxEntropy != null), check };
+}
+
+module.exports = { createScanRules, entropy };
@@ -0,0 +1,15 @@
+// Word search over item text, shared by the in-memory store and the app's search of text encrypted
+// at rest. Approximates the Postgres store's `to_tsvector('simple', …) @@ plainto_tsquery('simple', …)`.
+
+// Full-text search reads the first FULL_TEXT_CHARS characters of a text, as in the Postgres store
+const FULL_TEXT_CHARS = 65536;
+const WORD = /[\p{L}\p{N}_]+/gu;
+
+// Every word of the query is a word of the text
+function textMatches(text, query) {
+  const words = new Set(String(text || '').slice(0, FULL_TEXT_CHARS).toLowerCase().match(WORD) || []);
+  const wanted = query.toLowerCase().match(WORD) || [];
+  return wanted.length > 0 && wanted.every(w => words.has(w));
+}
+
+module.exports = { textMatches };
@@ -0,0 +1,55 @@
+// Short-lived signed tokens, so keyphrases and passcodes don't travel in URLs
+// (where they end up in access logs, browser history and Referer headers).
+// A token is base64url(JSON payload) + '.' + base64url(HMAC-SHA256 of that part); the payload
+// carries its type (`typ`) and expiry (`exp`, epoch seconds). Tokens are signed, not encrypted.
+const crypto = require('crypto');
+
+// URL_SIGNING_SECRET should be set and shared by every instance. Without it a random secret is
+// generated per process, so links and sessions stop working after a restart.
+// SIGNED_URL_TTL_SECONDS bounds download links, SESSION_TTL_SECONDS viewer sessions.
+function createTokenSigner({ env = process.env } = {}) {
+  const configured = Boolean(env.URL_SIGNING_SECRET);
+  const secret = configured ? Buffer.from(env.URL_SIGNING_SECRET, 'utf8') : crypto.randomBytes(32);
+  const urlTtl = env.SIGNED_URL_TTL_SECONDS ? parseInt(env.SIGNED_URL_TTL_SECONDS, 10) : 15 * 60;
+  const sessionTtl = env.SESSION_TTL_SECONDS ? parseInt(env.SESSION_TTL_SECONDS, 10) : 60 * 60;
+
+  function mac(body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  }
+
+  function sign(typ, claims, ttlSeconds) {
+    const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const body = Buffer.from(JSON.stringify({ ...claims, typ, exp })).toString('base64url');
+    return { token: `${body}.${mac(body)}`, expiresAt: new Date(exp * 1000).toISOString() };
+  }
+
+  // Payload of a valid, unexpired token of type `typ`, else null
+  function verify(token, typ) {
+    if (typeof token !== 'string') return null;
+    const [body, sig] = token.split('.');
+    if (!body || !sig) return null;
+    const expected = Buffer.from(mac(body));
+    const given = Buffer.from(sig);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (_) {
+      return null;
+    }
+    if (!payload || payload.typ !== typ || !(payload.exp > Date.now() / 1000)) return null;
+    return payload;
+  }
+
+  return {
+    configured,
+    urlTtl,
+    sessionTtl,
+    // download link for one item or bundle
+    signUrl: (typ, id) => sign(typ, { id }, urlTtl),
+    signSession: (claims) => sign('session', claims, sessionTtl),
+    verify
+  };
+}
+
+module.exports = { createTokenSigner };
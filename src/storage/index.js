@@ -0,0 +1,34 @@
+// Storage driver selection.
+// Every driver exposes the same async interface:
+//   put(key, body, { contentType })  -> void          (body: Buffer or readable stream)
+//   get(key)                         -> Buffer
+//   stream(key, { start, end })      -> readable stream (byte range is optional, inclusive)
+//   stat(key)                        -> { size, lastModified, contentType } or null if missing
+//   delete(key)                      -> void           (missing keys are not an error)
+// and, for resumable uploads, multipart writes where parts arrive in separate requests:
+//   createMultipart(key, { contentType })                 -> uploadId
+//   uploadPart(key, uploadId, partNumber, stream, length)  -> { partNumber, etag }
+//   completeMultipart(key, uploadId, parts)                -> void (parts in order)
+//   abortMultipart(key, uploadId)                          -> void
+const path = require('path');
+const { createS3Storage } = require('./s3');
+const { createLocalStorage } = require('./local');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// STORAGE_DRIVER=s3|local. Defaults to s3 when a bucket is configured, else local disk.
+function createStorageFromEnv(env = process.env) {
+  const bucket = env.S3_BUCKET || env.AWS_S3_BUCKET;
+  const driver = (env.STORAGE_DRIVER || (bucket ? 's3' : 'local')).toLowerCase();
+  if (driver === 's3') {
+    if (!bucket) throw new Error('STORAGE_DRIVER=s3 requires S3_BUCKET');
+    return createS3Storage({ bucket, region: env.AWS_REGION || env.AWS_DEFAULT_REGION || 'us-east-1' });
+  }
+  if (driver === 'local') {
+    const dir = env.STORAGE_DIR ? path.resolve(env.STORAGE_DIR) : path.join(ROOT, 'storage');
+    return createLocalStorage({ dir });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected s3 or local)`);
+}
+
+module.exports = { createStorageFromEnv, createS3Storage, createLocalStorage };
@@ -0,0 +1,105 @@
+// Local filesystem storage driver — objects are plain files under `dir`
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+function createLocalStorage({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  // in-progress multipart uploads: one directory of part files per upload
+  const partsDir = path.join(dir, '.multipart');
+
+  // keys are generated server-side, but never let one escape the storage dir
+  function resolveKey(key) {
+    const p = path.resolve(dir, key);
+    if (path.dirname(p) !== path.resolve(dir)) throw new Error(`invalid storage key: ${key}`);
+    return p;
+  }
+
+  async function put(key, body) {
+    const p = resolveKey(key);
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+      await fs.promises.writeFile(p, body);
+    } else {
+      await pipeline(body, fs.createWriteStream(p));
+    }
+  }
+
+  async function get(key) {
+    return fs.promises.readFile(resolveKey(key));
+  }
+
+  async function stream(key, opts = {}) {
+    const p = resolveKey(key);
+    // surface a missing file as a rejected promise rather than a stream error
+    await fs.promises.access(p);
+    return fs.createReadStream(p, { start: opts.start, end: opts.end });
+  }
+
+  async function stat(key) {
+    try {
+      const st = await fs.promises.stat(resolveKey(key));
+      return { size: st.size, lastModified: st.mtime, contentType: null };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function del(key) {
+    await fs.promises.rm(resolveKey(key), { force: true });
+  }
+
+  function uploadDir(uploadId) {
+    if (!/^[a-f0-9]{32}$/.test(uploadId)) throw new Error(`invalid upload id: ${uploadId}`);
+    return path.join(partsDir, uploadId);
+  }
+
+  async function createMultipart(key) {
+    resolveKey(key);
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    await fs.promises.mkdir(uploadDir(uploadId), { recursive: true });
+    return uploadId;
+  }
+
+  // parts are written to a temp file and only renamed into place once complete
+  async function uploadPart(key, uploadId, partNumber, body) {
+    const final = path.join(uploadDir(uploadId), `part-${partNumber}`);
+    const tmp = `${final}.tmp`;
+    try {
+      await pipeline(body, fs.createWriteStream(tmp));
+    } catch (err) {
+      await fs.promises.rm(tmp, { force: true });
+      throw err;
+    }
+    await fs.promises.rename(tmp, final);
+    return { partNumber, etag: null };
+  }
+
+  async function completeMultipart(key, uploadId, parts) {
+    const p = resolveKey(key);
+    const tmp = `${p}.tmp`;
+    const out = fs.createWriteStream(tmp);
+    try {
+      for (const part of parts) {
+        await pipeline(fs.createReadStream(path.join(uploadDir(uploadId), `part-${part.partNumber}`)), out, { end: false });
+      }
+      out.end();
+      await new Promise((resolve, reject) => { out.on('finish', resolve); out.on('error', reject); });
+      await fs.promises.rename(tmp, p);
+    } catch (err) {
+      out.destroy();
+      await fs.promises.rm(tmp, { force: true });
+      throw err;
+    }
+    await fs.promises.rm(uploadDir(uploadId), { recursive: true, force: true });
+  }
+
+  async function abortMultipart(key, uploadId) {
+    await fs.promises.rm(uploadDir(uploadId), { recursive: true, force: true });
+  }
+
+  return { name: 'local', dir, put, get, stream, stat, delete: del, createMultipart, uploadPart, completeMultipart, abortMultipart };
+}
+
+module.exports = { createLocalStorage };
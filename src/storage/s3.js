@@ -0,0 +1,76 @@
+// S3 storage driver
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+
+function createS3Storage({ bucket, region, client }) {
+  const s3 = client || new S3Client({ region });
+
+  async function put(key, body, opts = {}) {
+    await s3.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: opts.contentType }));
+  }
+
+  async function stream(key, opts = {}) {
+    const params = { Bucket: bucket, Key: key };
+    if (opts.start != null || opts.end != null) params.Range = `bytes=${opts.start || 0}-${opts.end != null ? opts.end : ''}`;
+    const data = await s3.send(new GetObjectCommand(params));
+    return data.Body;
+  }
+
+  async function get(key) {
+    const body = await stream(key);
+    const chunks = [];
+    for await (const chunk of body) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+
+  async function stat(key) {
+    try {
+      const head = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return { size: head.ContentLength, lastModified: head.LastModified || null, contentType: head.ContentType || null };
+    } catch (err) {
+      if (err.name === 'NotFound' || (err.$metadata && err.$metadata.httpStatusCode === 404)) return null;
+      throw err;
+    }
+  }
+
+  async function del(key) {
+    await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  }
+
+  // S3 multipart upload: every part but the last must be at least 5 MiB
+  async function createMultipart(key, opts = {}) {
+    const r = await s3.send(new CreateMultipartUploadCommand({ Bucket: bucket, Key: key, ContentType: opts.contentType }));
+    return r.UploadId;
+  }
+
+  async function uploadPart(key, uploadId, partNumber, body, length) {
+    const r = await s3.send(new UploadPartCommand({ Bucket: bucket, Key: key, UploadId: uploadId, PartNumber: partNumber, Body: body, ContentLength: length }));
+    return { partNumber, etag: r.ETag };
+  }
+
+  async function completeMultipart(key, uploadId, parts) {
+    await s3.send(new CompleteMultipartUploadCommand({
+      Bucket: bucket,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: { Parts: parts.map(p => ({ PartNumber: p.partNumber, ETag: p.etag })) }
+    }));
+  }
+
+  async function abortMultipart(key, uploadId) {
+    await s3.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId: uploadId }));
+  }
+
+  return { name: 's3', bucket, client: s3, put, get, stream, stat, delete: del, createMultipart, uploadPart, completeMultipart, abortMultipart };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,91 @@
+// Item metadata store selection.
+// Every store exposes the same async interface:
+//   init()                      -> migrate the schema (see ./migrate) / load data
+//   insertItem(item)            -> void (throws if the id exists)
+//   getItemById(id)             -> item or null
+//   findItemsByKeyphrase(kp, filter, { limit, before }) -> items, newest first (by createdAt, then id),
+//                                  after `before` ({ createdAt, id }) if given. Filters: passcodeHashes,
+//                                  bundleId, availableAt (not quarantined, expired or out of views then),
+//                                  type, from, to, title (substring), query (title substring or words
+//                                  of a text item's text)
+//   listPasscodeHashes(kp, { availableAt }) -> the distinct passcode hashes of the keyphrase's items
+//   findItemsByClient(clientId, { limit }) -> items uploaded by one client, newest first
+//   searchItems(filter, { limit, offset }) -> { items, total }, newest first (operator search;
+//                                  keyphrase, type, query, from, to, minSize, maxSize, status)
+//   updateItem(id, fields)      -> updated item or null (title, text, language, filename, originalName, mimeType, keyId, wrappedKey, preview, scanStatus, scanReason, size,
+//                                  quarantinedAt, quarantineReason, notifyUrl)
+//   markFirstAccess(id, when)   -> true if this set the item's firstAccessedAt (it was unset)
+//   listWrappedKeys({ excludeKeyId }) -> [{ id, keyId, wrappedKey }] of items encrypted at rest
+//   countItems()                -> number
+//   getUsage({ keyphrase, clientId }) -> { items, bytes } overall, or for one keyphrase / client
+//   listUsage({ by, limit })    -> [{ key, items, bytes }] per keyphrase or client, most bytes first
+//   insertBundle(bundle) / getBundleById(id) / findItemsByBundle(bundleId) (upload order)
+//   deleteEmptyBundles()        -> number of bundles removed because all their items are gone
+//   claimItemView(id)           -> true if a view was counted, false if none are left
+//   findExhaustedItems(now)     -> items past their expiry or out of views
+//   findPendingScans(limit)     -> items whose upload scan hasn't completed, oldest first
+//   recordScanResult(id, filename, { status, reason }) -> updated item, or null if the item's file changed
+//   recordPreview(id, filename, preview) -> updated item, or null if the item's file changed
+//   deleteItem(id)              -> void
+// Failed-credential tracking (see src/lockout.js):
+//   getAuthFailure(scope, key)                          -> { failures, lockedUntil } or null
+//   incrementAuthFailure(scope, key, now, staleBefore)  -> failure count after this one
+//   setAuthLock(scope, key, lockedUntil) / clearAuthFailure(scope, key)
+//   pruneAuthFailures(staleBefore, now)                 -> number of counters removed
+//   insertLockoutEvent(event) / listLockoutEvents({ limit })
+// Resumable upload sessions (see /api/uploads in src/app.js):
+//   insertUpload(upload) / getUpload(id) / deleteUpload(id)
+//   advanceUpload(id, fromOffset, offset, part) -> session, or null if it isn't at fromOffset
+//   claimUpload(id, now, leaseUntil) -> session leased to one finalize until leaseUntil, or null if it
+//                                  is gone or already leased; releaseUpload(id) ends the lease
+//   findStaleUploads(now)       -> sessions past their expiry
+// API keys (see src/apikeys.js):
+//   insertApiKey(key) / getApiKey(id) / listApiKeys() (newest first)
+//   touchApiKey(id, when)       -> records lastUsedAt
+//   revokeApiKey(id, when)      -> the key, or null if there is none
+// Operator audit log and keyphrase revocation (see the admin routes in src/app.js):
+//   insertAuditEvent({ action, actor, target, detail, ip, createdAt })
+//   listAuditEvents({ limit, offset, action, target }) -> events, newest first
+//   insertRevokedKeyphrase({ keyHash, reason, revokedAt }) / isKeyphraseRevoked(keyHash) -> boolean
+// Viewer access log (see src/access.js):
+//   insertAccessEvents(events)  -> void; events are { itemId, action, outcome, ipHash, userAgentHash, createdAt }
+//   listAccessEvents(itemId, { limit }) -> events, newest first
+//   getAccessStats(itemId)      -> { counts: [{ action, outcome, count, lastAt }], visitors }
+//   pruneAccessEvents(before)   -> number of events removed
+// Webhook deliveries (see src/webhooks.js):
+//   insertWebhookDelivery({ id, subscription, event, url, itemId, payload, createdAt, nextAttemptAt })
+//   claimWebhookDeliveries(now, leaseUntil, limit) -> pending deliveries due by now, leased until leaseUntil
+//   updateWebhookDelivery(id, fields) -> delivery or null (status, attempts, nextAttemptAt, lastAttemptAt,
+//                                  lastStatus, lastError, deliveredAt)
+//   getWebhookDelivery(id) / listWebhookDeliveries({ limit, offset, status, event, itemId }) (newest first)
+//   pruneWebhookDeliveries(before) -> number of finished deliveries removed
+//   ping()                      -> { now } (connectivity check)
+//   close()                     -> release connections / flush
+// Items use the camelCase shape produced by rowToItem in ./postgres.
+const path = require('path');
+const { loadPgConfig } = require('../config');
+const { createPostgresStore } = require('./postgres');
+const { createMemoryStore } = require('./memory');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// STORE_DRIVER=postgres|file|memory. Defaults to postgres when a database is configured
+// (or in production), else an in-memory store that is lost on restart.
+// Postgres schema migrations run at startup unless DB_MIGRATE_ON_START=false (then `npm run migrate`).
+function createStoreFromEnv(env = process.env) {
+  const pg = loadPgConfig(env);
+  const fallback = pg.configured || env.NODE_ENV === 'production' ? 'postgres' : 'memory';
+  const driver = (env.STORE_DRIVER || fallback).toLowerCase();
+  if (driver === 'postgres') {
+    const migrateOnStart = !['0', 'false', 'no', 'off'].includes(String(env.DB_MIGRATE_ON_START || '').toLowerCase());
+    return createPostgresStore({ poolConfig: pg.poolConfig, allowSelfSigned: pg.allowSelfSigned, migrateOnStart });
+  }
+  if (driver === 'file') {
+    const file = env.STORE_FILE ? path.resolve(env.STORE_FILE) : path.join(ROOT, 'data', 'phraseport.json');
+    return createMemoryStore({ file });
+  }
+  if (driver === 'memory') return createMemoryStore();
+  throw new Error(`Unknown STORE_DRIVER "${driver}" (expected postgres, file or memory)`);
+}
+
+module.exports = { createStoreFromEnv, createPostgresStore, createMemoryStore };
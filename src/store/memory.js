@@ -0,0 +1,627 @@
+// In-memory item store, optionally persisted to a JSON file.
+// Used for local development and tests where no Postgres is available.
+const fs = require('fs');
+const path = require('path');
+const { textMatches } = require('../search');
+
+function createMemoryStore({ file } = {}) {
+  const items = new Map();
+  const bundles = new Map();
+  const authFailures = new Map(); // `${scope}:${key}` -> { scope, key, failures, lockedUntil, lastFailureAt }
+  const lockoutEvents = [];
+  const uploads = new Map();
+  const apiKeys = new Map();
+  const auditLog = [];
+  const revokedKeyphrases = new Map(); // keyHash -> { keyHash, reason, revokedAt }
+  let accessEvents = [];
+  const webhookDeliveries = new Map();
+  let writing = Promise.resolve();
+
+  // hand out copies so callers can't mutate stored records
+  const clone = it => (it ? { ...it } : null);
+  const cloneUpload = u => (u ? { ...u, parts: u.parts.map(p => ({ ...p })), options: { ...u.options } } : null);
+
+  // Persist the whole dataset; writes are serialized and go through a temp file + rename
+  function persist() {
+    if (!file) return Promise.resolve();
+    const data = JSON.stringify({
+      items: Array.from(items.values()),
+      bundles: Array.from(bundles.values()),
+      authFailures: Array.from(authFailures.values()),
+      lockoutEvents,
+      uploads: Array.from(uploads.values()),
+      apiKeys: Array.from(apiKeys.values()),
+      auditLog,
+      revokedKeyphrases: Array.from(revokedKeyphrases.values()),
+      accessEvents,
+      webhookDeliveries: Array.from(webhookDeliveries.values())
+    }, null, 2);
+    writing = writing.then(async () => {
+      const tmp = `${file}.tmp`;
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, file);
+    });
+    return writing;
+  }
+
+  async function init() {
+    if (!file) return;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    try {
+      const parsed = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      for (const it of parsed.items || []) items.set(it.id, it);
+      for (const b of parsed.bundles || []) bundles.set(b.id, b);
+      for (const f of parsed.authFailures || []) authFailures.set(`${f.scope}:${f.key}`, f);
+      lockoutEvents.push(...(parsed.lockoutEvents || []));
+      for (const u of parsed.uploads || []) uploads.set(u.id, u);
+      for (const k of parsed.apiKeys || []) apiKeys.set(k.id, k);
+      auditLog.push(...(parsed.auditLog || []));
+      for (const r of parsed.revokedKeyphrases || []) revokedKeyphrases.set(r.keyHash, r);
+      accessEvents = parsed.accessEvents || [];
+      for (const d of parsed.webhookDeliveries || []) webhookDeliveries.set(d.id, d);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  async function insertItem(item) {
+    if (items.has(item.id)) throw new Error(`duplicate item id ${item.id}`);
+    items.set(item.id, {
+      id: item.id,
+      title: item.title,
+      type: item.type,
+      filename: item.filename || null,
+      originalName: item.originalName || null,
+      mimeType: item.mimeType || null,
+      text: item.text || null,
+      language: item.language || null,
+      keyphrase: item.keyphrase,
+      passcodeHash: item.passcodeHash,
+      manageTokenHash: item.manageTokenHash || null,
+      encryption: item.encryption || null,
+      keyId: item.keyId || null,
+      wrappedKey: item.wrappedKey || null,
+      bundleId: item.bundleId || null,
+      preview: null,
+      scanStatus: item.scanStatus || null,
+      scanReason: null,
+      size: item.size == null ? null : item.size,
+      clientId: item.clientId || null,
+      quarantinedAt: null,
+      quarantineReason: null,
+      notifyUrl: item.notifyUrl || null,
+      firstAccessedAt: null,
+      createdAt: new Date(item.createdAt).toISOString(),
+      expiresAt: item.expiresAt ? new Date(item.expiresAt).toISOString() : null,
+      maxViews: item.maxViews || null,
+      viewCount: 0
+    });
+    await persist();
+  }
+
+  function matchesKeyphraseFilter(it, filter) {
+    if (filter.passcodeHashes && !filter.passcodeHashes.includes(it.passcodeHash)) return false;
+    if (filter.bundleId && it.bundleId !== filter.bundleId) return false;
+    if (filter.availableAt) {
+      if (it.quarantinedAt) return false;
+      if (it.expiresAt && new Date(it.expiresAt) <= filter.availableAt) return false;
+      if (it.maxViews != null && it.viewCount >= it.maxViews) return false;
+    }
+    if (filter.type && it.type !== filter.type) return false;
+    if (filter.from && new Date(it.createdAt) < new Date(filter.from)) return false;
+    if (filter.to && new Date(it.createdAt) >= new Date(filter.to)) return false;
+    if (filter.title && !String(it.title || '').toLowerCase().includes(filter.title.toLowerCase())) return false;
+    if (filter.query) {
+      const inTitle = String(it.title || '').toLowerCase().includes(filter.query.toLowerCase());
+      if (!inTitle && !(it.type === 'text' && textMatches(it.text, filter.query))) return false;
+    }
+    return true;
+  }
+
+  async function findItemsByKeyphrase(keyphrase, filter = {}, { limit, before } = {}) {
+    const found = Array.from(items.values())
+      .filter(it => it.keyphrase === keyphrase && matchesKeyphraseFilter(it, filter))
+      .filter(it => !before || it.createdAt < before.createdAt || (it.createdAt === before.createdAt && it.id < before.id))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+    return (limit ? found.slice(0, limit) : found).map(clone);
+  }
+
+  async function listPasscodeHashes(keyphrase, { availableAt } = {}) {
+    const found = Array.from(items.values()).filter(it => it.keyphrase === keyphrase && it.passcodeHash && matchesKeyphraseFilter(it, { availableAt }));
+    return [...new Set(found.map(it => it.passcodeHash))];
+  }
+
+  async function findItemsByClient(clientId, { limit = 100 } = {}) {
+    return Array.from(items.values())
+      .filter(it => it.clientId === clientId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map(clone);
+  }
+
+  function matchesSearch(it, filter) {
+    if (filter.keyphrase && it.keyphrase !== filter.keyphrase) return false;
+    if (filter.type && it.type !== filter.type) return false;
+    if (filter.query) {
+      const q = filter.query.toLowerCase();
+      if (!String(it.title || '').toLowerCase().includes(q) && !String(it.originalName || '').toLowerCase().includes(q)) return false;
+    }
+    if (filter.from && new Date(it.createdAt) < new Date(filter.from)) return false;
+    if (filter.to && new Date(it.createdAt) >= new Date(filter.to)) return false;
+    if (filter.minSize != null && !(it.size >= filter.minSize)) return false;
+    if (filter.maxSize != null && !(it.size != null && it.size <= filter.maxSize)) return false;
+    if (filter.status === 'quarantined') return Boolean(it.quarantinedAt);
+    if (filter.status && it.scanStatus !== filter.status) return false;
+    return true;
+  }
+
+  async function searchItems(filter = {}, { limit = 50, offset = 0 } = {}) {
+    const found = Array.from(items.values())
+      .filter(it => matchesSearch(it, filter))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+    return { items: found.slice(offset, offset + limit).map(clone), total: found.length };
+  }
+
+  async function getItemById(id) {
+    return clone(items.get(id));
+  }
+
+  async function updateItem(id, fields) {
+    const it = items.get(id);
+    if (!it) return null;
+    for (const key of ['title', 'text', 'language', 'filename', 'originalName', 'mimeType', 'keyId', 'wrappedKey', 'preview', 'scanStatus', 'scanReason', 'size', 'quarantinedAt', 'quarantineReason', 'notifyUrl']) {
+      if (fields[key] !== undefined) it[key] = fields[key];
+    }
+    await persist();
+    return clone(it);
+  }
+
+  async function listWrappedKeys({ excludeKeyId } = {}) {
+    return Array.from(items.values())
+      .filter(it => it.wrappedKey && it.keyId !== excludeKeyId)
+      .map(it => ({ id: it.id, keyId: it.keyId, wrappedKey: it.wrappedKey }));
+  }
+
+  async function insertBundle(bundle) {
+    if (bundles.has(bundle.id)) throw new Error(`duplicate bundle id ${bundle.id}`);
+    bundles.set(bundle.id, {
+      id: bundle.id,
+      title: bundle.title,
+      keyphrase: bundle.keyphrase,
+      passcodeHash: bundle.passcodeHash,
+      manageTokenHash: bundle.manageTokenHash || null,
+      createdAt: new Date(bundle.createdAt).toISOString()
+    });
+    await persist();
+  }
+
+  async function getBundleById(id) {
+    return clone(bundles.get(id));
+  }
+
+  async function findItemsByBundle(bundleId) {
+    return Array.from(items.values())
+      .filter(it => it.bundleId === bundleId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id))
+      .map(clone);
+  }
+
+  async function deleteEmptyBundles() {
+    const used = new Set(Array.from(items.values()).map(it => it.bundleId).filter(Boolean));
+    let removed = 0;
+    for (const id of bundles.keys()) {
+      if (!used.has(id)) {
+        bundles.delete(id);
+        removed++;
+      }
+    }
+    if (removed) await persist();
+    return removed;
+  }
+
+  async function countItems() {
+    return items.size;
+  }
+
+  async function getUsage({ keyphrase, clientId } = {}) {
+    const usage = { items: 0, bytes: 0 };
+    for (const it of items.values()) {
+      if ((keyphrase && it.keyphrase !== keyphrase) || (clientId && it.clientId !== clientId)) continue;
+      usage.items++;
+      usage.bytes += it.size || 0;
+    }
+    return usage;
+  }
+
+  async function listUsage({ by = 'client', limit = 20 } = {}) {
+    const field = by === 'keyphrase' ? 'keyphrase' : 'clientId';
+    const totals = new Map();
+    for (const it of items.values()) {
+      if (!it[field]) continue;
+      const t = totals.get(it[field]) || { key: it[field], items: 0, bytes: 0 };
+      t.items++;
+      t.bytes += it.size || 0;
+      totals.set(it[field], t);
+    }
+    return Array.from(totals.values()).sort((a, b) => b.bytes - a.bytes || b.items - a.items).slice(0, limit);
+  }
+
+  async function claimItemView(id) {
+    const it = items.get(id);
+    if (!it) return false;
+    if (it.maxViews != null && it.viewCount >= it.maxViews) return false;
+    it.viewCount += 1;
+    await persist();
+    return true;
+  }
+
+  async function findExhaustedItems(now = new Date()) {
+    return Array.from(items.values())
+      .filter(it => (it.expiresAt && new Date(it.expiresAt) <= now) || (it.maxViews != null && it.viewCount >= it.maxViews))
+      .map(clone);
+  }
+
+  async function recordScanResult(id, filename, { status, reason }) {
+    const it = items.get(id);
+    if (!it || it.filename !== filename) return null;
+    it.scanStatus = status;
+    it.scanReason = reason || null;
+    await persist();
+    return clone(it);
+  }
+
+  async function recordPreview(id, filename, preview) {
+    const it = items.get(id);
+    if (!it || it.filename !== filename) return null;
+    it.preview = preview;
+    await persist();
+    return clone(it);
+  }
+
+  async function findPendingScans(limit = 100) {
+    return Array.from(items.values())
+      .filter(it => it.scanStatus === 'pending')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .slice(0, limit)
+      .map(clone);
+  }
+
+  async function deleteItem(id) {
+    if (items.delete(id)) await persist();
+  }
+
+  async function getAuthFailure(scope, key) {
+    const f = authFailures.get(`${scope}:${key}`);
+    return f ? { scope: f.scope, key: f.key, failures: f.failures, lockedUntil: f.lockedUntil } : null;
+  }
+
+  async function incrementAuthFailure(scope, key, now, staleBefore) {
+    const id = `${scope}:${key}`;
+    let f = authFailures.get(id);
+    if (!f) {
+      f = { scope, key, failures: 0, lockedUntil: null, lastFailureAt: null };
+      authFailures.set(id, f);
+    }
+    f.failures = f.lastFailureAt && new Date(f.lastFailureAt) < staleBefore ? 1 : f.failures + 1;
+    f.lastFailureAt = now.toISOString();
+    await persist();
+    return f.failures;
+  }
+
+  async function setAuthLock(scope, key, lockedUntil) {
+    const f = authFailures.get(`${scope}:${key}`);
+    if (!f) return;
+    f.lockedUntil = lockedUntil.toISOString();
+    await persist();
+  }
+
+  async function clearAuthFailure(scope, key) {
+    if (authFailures.delete(`${scope}:${key}`)) await persist();
+  }
+
+  async function pruneAuthFailures(staleBefore, now) {
+    let removed = 0;
+    for (const [id, f] of authFailures) {
+      if (new Date(f.lastFailureAt) < staleBefore && (!f.lockedUntil || new Date(f.lockedUntil) < now)) {
+        authFailures.delete(id);
+        removed++;
+      }
+    }
+    if (removed) await persist();
+    return removed;
+  }
+
+  async function insertLockoutEvent(ev) {
+    lockoutEvents.push({ id: lockoutEvents.length + 1, ...ev });
+    await persist();
+  }
+
+  async function listLockoutEvents({ limit = 100 } = {}) {
+    return lockoutEvents.slice(-limit).reverse().map(ev => ({ ...ev }));
+  }
+
+  async function insertUpload(upload) {
+    if (uploads.has(upload.id)) throw new Error(`duplicate upload id ${upload.id}`);
+    uploads.set(upload.id, cloneUpload({
+      ...upload,
+      offset: 0,
+      parts: [],
+      finalizingUntil: null,
+      createdAt: new Date(upload.createdAt).toISOString(),
+      expiresAt: new Date(upload.expiresAt).toISOString()
+    }));
+    await persist();
+  }
+
+  async function getUpload(id) {
+    return cloneUpload(uploads.get(id));
+  }
+
+  async function advanceUpload(id, fromOffset, offset, part) {
+    const u = uploads.get(id);
+    if (!u || u.offset !== fromOffset) return null;
+    u.offset = offset;
+    u.parts.push({ ...part });
+    await persist();
+    return cloneUpload(u);
+  }
+
+  async function claimUpload(id, now, leaseUntil) {
+    const u = uploads.get(id);
+    if (!u || (u.finalizingUntil && new Date(u.finalizingUntil) > now)) return null;
+    u.finalizingUntil = leaseUntil.toISOString();
+    await persist();
+    return cloneUpload(u);
+  }
+
+  async function releaseUpload(id) {
+    const u = uploads.get(id);
+    if (!u) return;
+    u.finalizingUntil = null;
+    await persist();
+  }
+
+  async function findStaleUploads(now = new Date()) {
+    return Array.from(uploads.values()).filter(u => new Date(u.expiresAt) <= now).map(cloneUpload);
+  }
+
+  async function deleteUpload(id) {
+    if (uploads.delete(id)) await persist();
+  }
+
+  const cloneKey = k => (k ? { ...k, scopes: [...k.scopes] } : null);
+
+  async function insertApiKey(k) {
+    if (apiKeys.has(k.id)) throw new Error(`duplicate api key id ${k.id}`);
+    apiKeys.set(k.id, cloneKey({ ...k, rateLimit: k.rateLimit || null, lastUsedAt: null, revokedAt: null }));
+    await persist();
+  }
+
+  async function getApiKey(id) {
+    return cloneKey(apiKeys.get(id));
+  }
+
+  async function listApiKeys() {
+    return Array.from(apiKeys.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt)).map(cloneKey);
+  }
+
+  async function touchApiKey(id, when) {
+    const k = apiKeys.get(id);
+    if (!k) return;
+    k.lastUsedAt = when.toISOString();
+    await persist();
+  }
+
+  async function revokeApiKey(id, when) {
+    const k = apiKeys.get(id);
+    if (!k) return null;
+    if (!k.revokedAt) k.revokedAt = when.toISOString();
+    await persist();
+    return cloneKey(k);
+  }
+
+  async function insertAuditEvent(ev) {
+    auditLog.push({ id: auditLog.length + 1, ...ev, actor: ev.actor || null, target: ev.target || null, detail: ev.detail || null, ip: ev.ip || null });
+    await persist();
+  }
+
+  async function listAuditEvents({ limit = 100, offset = 0, action, target } = {}) {
+    return auditLog
+      .filter(ev => (!action || ev.action === action) && (!target || ev.target === target))
+      .reverse()
+      .slice(offset, offset + limit)
+      .map(ev => ({ ...ev }));
+  }
+
+  async function insertRevokedKeyphrase({ keyHash, reason, revokedAt }) {
+    if (revokedKeyphrases.has(keyHash)) return;
+    revokedKeyphrases.set(keyHash, { keyHash, reason: reason || null, revokedAt });
+    await persist();
+  }
+
+  async function isKeyphraseRevoked(keyHash) {
+    return revokedKeyphrases.has(keyHash);
+  }
+
+  async function markFirstAccess(id, when) {
+    const it = items.get(id);
+    if (!it || it.firstAccessedAt) return false;
+    it.firstAccessedAt = when.toISOString();
+    await persist();
+    return true;
+  }
+
+  async function insertAccessEvents(events) {
+    if (events.length === 0) return;
+    const nextId = accessEvents.length ? accessEvents[accessEvents.length - 1].id + 1 : 1;
+    accessEvents.push(...events.map((ev, i) => ({ id: nextId + i, ...ev, ipHash: ev.ipHash || null, userAgentHash: ev.userAgentHash || null })));
+    await persist();
+  }
+
+  async function listAccessEvents(itemId, { limit = 50 } = {}) {
+    return accessEvents.filter(ev => ev.itemId === itemId).slice(-limit).reverse().map(ev => ({ ...ev }));
+  }
+
+  async function getAccessStats(itemId) {
+    const groups = new Map();
+    const visitors = new Set();
+    for (const ev of accessEvents) {
+      if (ev.itemId !== itemId) continue;
+      const key = `${ev.action}:${ev.outcome}`;
+      const group = groups.get(key) || { action: ev.action, outcome: ev.outcome, count: 0, lastAt: ev.createdAt };
+      group.count += 1;
+      if (ev.createdAt > group.lastAt) group.lastAt = ev.createdAt;
+      groups.set(key, group);
+      if (ev.outcome === 'ok') visitors.add(ev.ipHash);
+    }
+    return { counts: Array.from(groups.values()), visitors: visitors.size };
+  }
+
+  async function pruneAccessEvents(before) {
+    const kept = accessEvents.filter(ev => new Date(ev.createdAt) >= before);
+    const removed = accessEvents.length - kept.length;
+    accessEvents = kept;
+    if (removed) await persist();
+    return removed;
+  }
+
+  const cloneDelivery = d => (d ? { ...d, payload: JSON.parse(JSON.stringify(d.payload)) } : null);
+
+  async function insertWebhookDelivery(d) {
+    if (webhookDeliveries.has(d.id)) throw new Error(`duplicate webhook delivery id ${d.id}`);
+    webhookDeliveries.set(d.id, cloneDelivery({
+      id: d.id,
+      subscription: d.subscription,
+      event: d.event,
+      url: d.url,
+      itemId: d.itemId || null,
+      payload: d.payload,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: d.nextAttemptAt,
+      lastAttemptAt: null,
+      lastStatus: null,
+      lastError: null,
+      createdAt: d.createdAt,
+      deliveredAt: null
+    }));
+    await persist();
+  }
+
+  async function claimWebhookDeliveries(now, leaseUntil, limit = 20) {
+    const due = Array.from(webhookDeliveries.values())
+      .filter(d => d.status === 'pending' && new Date(d.nextAttemptAt) <= now)
+      .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+      .slice(0, limit);
+    for (const d of due) d.nextAttemptAt = leaseUntil.toISOString();
+    if (due.length) await persist();
+    return due.map(cloneDelivery);
+  }
+
+  async function updateWebhookDelivery(id, fields) {
+    const d = webhookDeliveries.get(id);
+    if (!d) return null;
+    for (const key of ['status', 'attempts', 'nextAttemptAt', 'lastAttemptAt', 'lastStatus', 'lastError', 'deliveredAt']) {
+      if (fields[key] !== undefined) d[key] = fields[key];
+    }
+    await persist();
+    return cloneDelivery(d);
+  }
+
+  async function getWebhookDelivery(id) {
+    return cloneDelivery(webhookDeliveries.get(id));
+  }
+
+  async function listWebhookDeliveries({ limit = 100, offset = 0, status, event, itemId } = {}) {
+    return Array.from(webhookDeliveries.values())
+      .filter(d => (!status || d.status === status) && (!event || d.event === event) && (!itemId || d.itemId === itemId))
+      .reverse()
+      .slice(offset, offset + limit)
+      .map(cloneDelivery);
+  }
+
+  async function pruneWebhookDeliveries(before) {
+    let removed = 0;
+    for (const d of webhookDeliveries.values()) {
+      if (d.status !== 'pending' && new Date(d.createdAt) < before) {
+        webhookDeliveries.delete(d.id);
+        removed++;
+      }
+    }
+    if (removed) await persist();
+    return removed;
+  }
+
+  async function ping() {
+    return { now: new Date() };
+  }
+
+  async function close() {
+    await writing;
+  }
+
+  return {
+    name: file ? 'file' : 'memory',
+    file,
+    init,
+    insertItem,
+    findItemsByKeyphrase,
+    listPasscodeHashes,
+    findItemsByClient,
+    searchItems,
+    getItemById,
+    updateItem,
+    listWrappedKeys,
+    insertBundle,
+    getBundleById,
+    findItemsByBundle,
+    deleteEmptyBundles,
+    countItems,
+    getUsage,
+    listUsage,
+    claimItemView,
+    findExhaustedItems,
+    findPendingScans,
+    recordScanResult,
+    recordPreview,
+    deleteItem,
+    getAuthFailure,
+    incrementAuthFailure,
+    setAuthLock,
+    clearAuthFailure,
+    pruneAuthFailures,
+    insertLockoutEvent,
+    listLockoutEvents,
+    insertUpload,
+    getUpload,
+    advanceUpload,
+    claimUpload,
+    releaseUpload,
+    findStaleUploads,
+    deleteUpload,
+    insertApiKey,
+    getApiKey,
+    listApiKeys,
+    touchApiKey,
+    revokeApiKey,
+    insertAuditEvent,
+    listAuditEvents,
+    insertRevokedKeyphrase,
+    isKeyphraseRevoked,
+    markFirstAccess,
+    insertAccessEvents,
+    listAccessEvents,
+    getAccessStats,
+    pruneAccessEvents,
+    insertWebhookDelivery,
+    claimWebhookDeliveries,
+    updateWebhookDelivery,
+    getWebhookDelivery,
+    listWebhookDeliveries,
+    pruneWebhookDeliveries,
+    ping,
+    close
+  };
+}
+
+module.exports = { createMemoryStore };
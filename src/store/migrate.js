@@ -0,0 +1,116 @@
+// Versioned schema migrations for the Postgres store.
+// Each file in ./migrations is `<version>-<name>.js` exporting async up(db) and down(db). They run in
+// version order, each in its own transaction, and the schema_migrations table records the applied
+// versions. An advisory lock keeps instances starting side by side from migrating at the same time.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// pg_advisory_lock key; any constant unlikely to be used by something else on the database
+const LOCK_KEY = 7310624;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .map(file => file.match(/^(\d+)-([\w-]+)\.js$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: Number(version), name, ...require(path.join(dir, file)) }))
+    .sort((a, b) => a.version - b.version);
+}
+
+function createMigrator({ pool, migrations = loadMigrations(), log = () => {} }) {
+  // Run `fn(client)` holding the migration lock, with schema_migrations in place
+  async function locked(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+      try {
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            appliedat TIMESTAMP WITHOUT TIME ZONE NOT NULL
+          )
+        `);
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  async function applied(client) {
+    const r = await client.query('SELECT version, name, appliedat FROM schema_migrations ORDER BY version');
+    return r.rows.map(row => ({ version: row.version, name: row.name, appliedAt: new Date(row.appliedat).toISOString() }));
+  }
+
+  async function run(client, migration, direction) {
+    await client.query('BEGIN');
+    try {
+      await migration[direction](client);
+      if (direction === 'up') {
+        await client.query('INSERT INTO schema_migrations(version, name, appliedat) VALUES($1, $2, $3)', [migration.version, migration.name, new Date()]);
+      } else {
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw new Error(`migration ${migration.version}-${migration.name} (${direction}) failed: ${err.message || err}`);
+    }
+  }
+
+  // { current, latest, applied, pending }; applied versions without a file (a newer release ran
+  // against this database) are listed with `missing: true`
+  async function status() {
+    return locked(async (client) => {
+      const done = await applied(client);
+      const known = new Set(migrations.map(m => m.version));
+      const doneVersions = new Set(done.map(m => m.version));
+      return {
+        current: done.length ? done[done.length - 1].version : 0,
+        latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+        applied: done.map(m => (known.has(m.version) ? m : { ...m, missing: true })),
+        pending: migrations.filter(m => !doneVersions.has(m.version)).map(({ version, name }) => ({ version, name }))
+      };
+    });
+  }
+
+  // Apply pending migrations up to version `to` (default: all). Returns the ones applied (or, with
+  // dryRun, the ones that would be).
+  async function up({ to = Infinity, dryRun = false } = {}) {
+    return locked(async (client) => {
+      const doneVersions = new Set((await applied(client)).map(m => m.version));
+      const todo = migrations.filter(m => !doneVersions.has(m.version) && m.version <= to);
+      for (const m of todo) {
+        log(`${dryRun ? 'Would apply' : 'Applying'} migration ${m.version}-${m.name}`);
+        if (!dryRun) await run(client, m, 'up');
+      }
+      return todo.map(({ version, name }) => ({ version, name }));
+    });
+  }
+
+  // Revert the last `steps` applied migrations (default 1), or all of those above version `to`
+  async function down({ to, steps = 1, dryRun = false } = {}) {
+    return locked(async (client) => {
+      const done = (await applied(client)).reverse();
+      const targets = to === undefined ? done.slice(0, steps) : done.filter(m => m.version > to);
+      const todo = [];
+      for (const target of targets) {
+        const m = migrations.find(candidate => candidate.version === target.version);
+        if (!m) throw new Error(`migration ${target.version}-${target.name} has no file to revert it with`);
+        todo.push(m);
+      }
+      for (const m of todo) {
+        log(`${dryRun ? 'Would revert' : 'Reverting'} migration ${m.version}-${m.name}`);
+        if (!dryRun) await run(client, m, 'down');
+      }
+      return todo.map(({ version, name }) => ({ version, name }));
+    });
+  }
+
+  return { status, up, down, migrations };
+}
+
+module.exports = { createMigrator, loadMigrations };
@@ -0,0 +1,157 @@
+// Initial schema: everything the store created at startup before versioned migrations existed.
+// Every statement is IF NOT EXISTS, so databases set up by those releases adopt it as-is.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS items (
+        id TEXT PRIMARY KEY,
+        title TEXT,
+        type TEXT,
+        filename TEXT,
+        mimetype TEXT,
+        text TEXT,
+        keyphrase TEXT,
+        passcodehash TEXT,
+        createdat TIMESTAMP WITHOUT TIME ZONE
+      )
+    `);
+    // expiry / burn-after-read columns (added after the initial schema)
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS expiresat TIMESTAMP WITHOUT TIME ZONE');
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS maxviews INTEGER');
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS viewcount INTEGER NOT NULL DEFAULT 0');
+    // owner manage token (bcrypt hash, like passcodehash)
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS managetokenhash TEXT');
+    // client-side (end-to-end) encryption parameters as JSON; null for plaintext items
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS encryption TEXT');
+    // encryption at rest: the item's data key, wrapped by master key `keyid` (null = stored in clear)
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS keyid TEXT');
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS wrappedkey TEXT');
+    // bundles group several items under one keyphrase/passcode pair
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS bundles (
+        id TEXT PRIMARY KEY,
+        title TEXT,
+        keyphrase TEXT,
+        passcodehash TEXT,
+        managetokenhash TEXT,
+        createdat TIMESTAMP WITHOUT TIME ZONE
+      )
+    `);
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS bundleid TEXT');
+    // uploaded file name as given by the client (`filename` is the storage key)
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS originalname TEXT');
+    // derived previews as JSON: sniffed content type, preview type, thumbnail / excerpt storage keys
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS preview TEXT');
+    // highlighting language of text items (highlight.js name, 'markdown' or 'plaintext')
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS language TEXT');
+    // upload scan verdict: pending | clean | infected (NULL for items stored before scanning existed)
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS scanstatus TEXT');
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS scanreason TEXT');
+    // quota accounting: stored bytes (file or text) and the uploading client (`key:<id>` or `ip:<address>`)
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS size BIGINT');
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS clientid TEXT');
+    await db.query('CREATE INDEX IF NOT EXISTS items_clientid_idx ON items (clientid)');
+    await db.query('CREATE INDEX IF NOT EXISTS items_keyphrase_idx ON items (keyphrase)');
+    // moderation: quarantined items are kept for review but not served
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS quarantinedat TIMESTAMP WITHOUT TIME ZONE');
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS quarantinereason TEXT');
+    // access notifications: the owner's webhook URL, and when the item was first opened or downloaded
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS notifyurl TEXT');
+    await db.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS firstaccessedat TIMESTAMP WITHOUT TIME ZONE');
+    // failed-credential counters (scope: keyphrase | item; key: sha256 of the keyphrase / item id)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS auth_failures (
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        failures INTEGER NOT NULL DEFAULT 0,
+        lockeduntil TIMESTAMP WITHOUT TIME ZONE,
+        lastfailureat TIMESTAMP WITHOUT TIME ZONE,
+        PRIMARY KEY (scope, key)
+      )
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS lockout_events (
+        id SERIAL PRIMARY KEY,
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        failures INTEGER NOT NULL,
+        lockeduntil TIMESTAMP WITHOUT TIME ZONE,
+        ip TEXT,
+        createdat TIMESTAMP WITHOUT TIME ZONE
+      )
+    `);
+    // resumable upload sessions; parts and options are JSON
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS uploads (
+        id TEXT PRIMARY KEY,
+        itemid TEXT NOT NULL,
+        storagekey TEXT NOT NULL,
+        multipartid TEXT NOT NULL,
+        filename TEXT,
+        mimetype TEXT,
+        size BIGINT NOT NULL,
+        uploadoffset BIGINT NOT NULL DEFAULT 0,
+        parts TEXT NOT NULL DEFAULT '[]',
+        options TEXT NOT NULL DEFAULT '{}',
+        keyid TEXT,
+        wrappedkey TEXT,
+        nonceprefix TEXT,
+        createdat TIMESTAMP WITHOUT TIME ZONE,
+        expiresat TIMESTAMP WITHOUT TIME ZONE
+      )
+    `);
+    // API keys (see src/apikeys.js): sha256 of the secret, scopes as JSON, requests per minute
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        keyhash TEXT NOT NULL,
+        scopes TEXT NOT NULL DEFAULT '[]',
+        ratelimit INTEGER,
+        createdat TIMESTAMP WITHOUT TIME ZONE,
+        lastusedat TIMESTAMP WITHOUT TIME ZONE,
+        revokedat TIMESTAMP WITHOUT TIME ZONE
+      )
+    `);
+    // operator actions (takedowns, quarantines, revocations, key management); detail is JSON
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id SERIAL PRIMARY KEY,
+        action TEXT NOT NULL,
+        actor TEXT,
+        target TEXT,
+        detail TEXT,
+        ip TEXT,
+        createdat TIMESTAMP WITHOUT TIME ZONE
+      )
+    `);
+    // keyphrases that may not be used again (sha256, like the lockout keys)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS revoked_keyphrases (
+        keyhash TEXT PRIMARY KEY,
+        reason TEXT,
+        revokedat TIMESTAMP WITHOUT TIME ZONE
+      )
+    `);
+    // viewer access to items (see src/access.js); IP address and user agent as keyed hashes
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS access_events (
+        id BIGSERIAL PRIMARY KEY,
+        itemid TEXT NOT NULL,
+        action TEXT NOT NULL,
+        outcome TEXT NOT NULL,
+        iphash TEXT,
+        uahash TEXT,
+        createdat TIMESTAMP WITHOUT TIME ZONE
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS access_events_itemid_idx ON access_events (itemid, createdat)');
+    await db.query('CREATE INDEX IF NOT EXISTS access_events_createdat_idx ON access_events (createdat)');
+  },
+
+  async down(db) {
+    for (const table of ['access_events', 'revoked_keyphrases', 'audit_log', 'api_keys', 'uploads', 'lockout_events', 'auth_failures', 'bundles', 'items']) {
+      await db.query(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
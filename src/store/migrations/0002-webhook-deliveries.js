@@ -0,0 +1,30 @@
+// Outgoing webhook deliveries (see src/webhooks.js): the durable queue and the delivery log.
+// status is pending | delivered | failed; payload is JSON.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        subscription TEXT NOT NULL,
+        event TEXT NOT NULL,
+        url TEXT NOT NULL,
+        itemid TEXT,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        nextattemptat TIMESTAMP WITHOUT TIME ZONE,
+        lastattemptat TIMESTAMP WITHOUT TIME ZONE,
+        laststatus INTEGER,
+        lasterror TEXT,
+        createdat TIMESTAMP WITHOUT TIME ZONE NOT NULL,
+        deliveredat TIMESTAMP WITHOUT TIME ZONE
+      )
+    `);
+    await db.query(`CREATE INDEX webhook_deliveries_due_idx ON webhook_deliveries (nextattemptat) WHERE status = 'pending'`);
+    await db.query('CREATE INDEX webhook_deliveries_createdat_idx ON webhook_deliveries (createdat)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS webhook_deliveries');
+  }
+};
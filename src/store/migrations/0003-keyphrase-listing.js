@@ -0,0 +1,15 @@
+// Paged listing of a keyphrase's items (GET /api/items): newest first, continuing after a
+// (createdat, id) cursor. The composite index covers the old keyphrase-only one.
+module.exports = {
+  async up(db) {
+    await db.query('CREATE INDEX items_keyphrase_createdat_idx ON items (keyphrase, createdat DESC, id DESC)');
+    await db.query('DROP INDEX IF EXISTS items_keyphrase_idx');
+    await db.query('CREATE INDEX items_createdat_idx ON items (createdat)');
+  },
+
+  async down(db) {
+    await db.query('CREATE INDEX IF NOT EXISTS items_keyphrase_idx ON items (keyphrase)');
+    await db.query('DROP INDEX IF EXISTS items_keyphrase_createdat_idx');
+    await db.query('DROP INDEX IF EXISTS items_createdat_idx');
+  }
+};
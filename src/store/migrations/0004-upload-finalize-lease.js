@@ -0,0 +1,11 @@
+// Resumable uploads: a finalize leases its session (finalizinguntil), so two requests finalizing
+// the same upload, on one instance or several, can't both create its item.
+module.exports = {
+  async up(db) {
+    await db.query('ALTER TABLE uploads ADD COLUMN finalizinguntil TIMESTAMP WITHOUT TIME ZONE');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE uploads DROP COLUMN IF EXISTS finalizinguntil');
+  }
+};
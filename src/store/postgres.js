@@ -0,0 +1,755 @@
+// Postgres item store
+const { Pool } = require('pg');
+const { createMigrator } = require('./migrate');
+const { logger } = require('../logger');
+
+function rowToItem(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    type: row.type,
+    filename: row.filename,
+    originalName: row.originalname || null,
+    mimeType: row.mimetype,
+    text: row.text,
+    language: row.language || null,
+    keyphrase: row.keyphrase,
+    passcodeHash: row.passcodehash,
+    manageTokenHash: row.managetokenhash || null,
+    encryption: row.encryption ? JSON.parse(row.encryption) : null,
+    keyId: row.keyid || null,
+    wrappedKey: row.wrappedkey || null,
+    bundleId: row.bundleid || null,
+    preview: row.preview ? JSON.parse(row.preview) : null,
+    scanStatus: row.scanstatus || null,
+    scanReason: row.scanreason || null,
+    size: row.size == null ? null : Number(row.size),
+    clientId: row.clientid || null,
+    quarantinedAt: row.quarantinedat ? new Date(row.quarantinedat).toISOString() : null,
+    quarantineReason: row.quarantinereason || null,
+    notifyUrl: row.notifyurl || null,
+    firstAccessedAt: row.firstaccessedat ? new Date(row.firstaccessedat).toISOString() : null,
+    createdAt: row.createdat ? new Date(row.createdat).toISOString() : null,
+    expiresAt: row.expiresat ? new Date(row.expiresat).toISOString() : null,
+    maxViews: row.maxviews == null ? null : row.maxviews,
+    viewCount: row.viewcount || 0
+  };
+}
+
+// item fields that updateItem may change, and their columns
+const UPDATABLE_COLUMNS = {
+  title: 'title',
+  text: 'text',
+  language: 'language',
+  filename: 'filename',
+  originalName: 'originalname',
+  mimeType: 'mimetype',
+  keyId: 'keyid',
+  wrappedKey: 'wrappedkey',
+  preview: 'preview',
+  scanStatus: 'scanstatus',
+  scanReason: 'scanreason',
+  size: 'size',
+  quarantinedAt: 'quarantinedat',
+  quarantineReason: 'quarantinereason',
+  notifyUrl: 'notifyurl'
+};
+
+// updatable fields stored as JSON text
+const JSON_FIELDS = new Set(['preview']);
+
+function rowToBundle(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    keyphrase: row.keyphrase,
+    passcodeHash: row.passcodehash,
+    manageTokenHash: row.managetokenhash || null,
+    createdAt: row.createdat ? new Date(row.createdat).toISOString() : null
+  };
+}
+
+function rowToUpload(row) {
+  return {
+    id: row.id,
+    itemId: row.itemid,
+    storageKey: row.storagekey,
+    multipartId: row.multipartid,
+    filename: row.filename,
+    mimeType: row.mimetype,
+    size: Number(row.size),
+    offset: Number(row.uploadoffset),
+    parts: JSON.parse(row.parts),
+    options: JSON.parse(row.options),
+    keyId: row.keyid || null,
+    wrappedKey: row.wrappedkey || null,
+    noncePrefix: row.nonceprefix || null,
+    finalizingUntil: row.finalizinguntil ? new Date(row.finalizinguntil).toISOString() : null,
+    createdAt: new Date(row.createdat).toISOString(),
+    expiresAt: new Date(row.expiresat).toISOString()
+  };
+}
+
+function rowToAuditEvent(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    actor: row.actor,
+    target: row.target,
+    detail: row.detail ? JSON.parse(row.detail) : null,
+    ip: row.ip,
+    createdAt: new Date(row.createdat).toISOString()
+  };
+}
+
+function rowToAccessEvent(row) {
+  return {
+    id: Number(row.id),
+    itemId: row.itemid,
+    action: row.action,
+    outcome: row.outcome,
+    ipHash: row.iphash,
+    userAgentHash: row.uahash,
+    createdAt: new Date(row.createdat).toISOString()
+  };
+}
+
+function rowToWebhookDelivery(row) {
+  return {
+    id: row.id,
+    subscription: row.subscription,
+    event: row.event,
+    url: row.url,
+    itemId: row.itemid,
+    payload: JSON.parse(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.nextattemptat ? new Date(row.nextattemptat).toISOString() : null,
+    lastAttemptAt: row.lastattemptat ? new Date(row.lastattemptat).toISOString() : null,
+    lastStatus: row.laststatus == null ? null : row.laststatus,
+    lastError: row.lasterror || null,
+    createdAt: new Date(row.createdat).toISOString(),
+    deliveredAt: row.deliveredat ? new Date(row.deliveredat).toISOString() : null
+  };
+}
+
+// webhook delivery fields that updateWebhookDelivery may change, and their columns
+const DELIVERY_COLUMNS = {
+  status: 'status',
+  attempts: 'attempts',
+  nextAttemptAt: 'nextattemptat',
+  lastAttemptAt: 'lastattemptat',
+  lastStatus: 'laststatus',
+  lastError: 'lasterror',
+  deliveredAt: 'deliveredat'
+};
+const DELIVERY_DATE_FIELDS = new Set(['nextAttemptAt', 'lastAttemptAt', 'deliveredAt']);
+
+// WHERE clause for searchItems; `params` collects the values
+function itemSearchConditions(filter, params) {
+  const conditions = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+  if (filter.keyphrase) add('keyphrase = ?', filter.keyphrase);
+  if (filter.type) add('type = ?', filter.type);
+  if (filter.query) {
+    const n = params.push(`%${filter.query.replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(`(title ILIKE $${n} ESCAPE '\\' OR originalname ILIKE $${n} ESCAPE '\\')`);
+  }
+  if (filter.from) add('createdat >= ?', new Date(filter.from));
+  if (filter.to) add('createdat < ?', new Date(filter.to));
+  if (filter.minSize != null) add('size >= ?', filter.minSize);
+  if (filter.maxSize != null) add('size <= ?', filter.maxSize);
+  if (filter.status === 'quarantined') conditions.push('quarantinedat IS NOT NULL');
+  else if (filter.status) add('scanstatus = ?', filter.status);
+  return conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// Conditions for findItemsByKeyphrase (see src/store/index.js). Full-text search reads the first
+// 64k characters of a text: to_tsvector fails on documents past 1 MB.
+function keyphraseItemConditions(keyphrase, filter, before, params) {
+  const conditions = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+  add('keyphrase = ?', keyphrase);
+  if (filter.passcodeHashes) add('passcodehash = ANY(?)', filter.passcodeHashes);
+  if (filter.bundleId) add('bundleid = ?', filter.bundleId);
+  if (filter.availableAt) {
+    add('(expiresat IS NULL OR expiresat > ?)', filter.availableAt);
+    conditions.push('quarantinedat IS NULL', '(maxviews IS NULL OR viewcount < maxviews)');
+  }
+  if (filter.type) add('type = ?', filter.type);
+  if (filter.from) add('createdat >= ?', new Date(filter.from));
+  if (filter.to) add('createdat < ?', new Date(filter.to));
+  if (filter.title) add(`title ILIKE ? ESCAPE '\\'`, `%${filter.title.replace(/[\\%_]/g, '\\$&')}%`);
+  if (filter.query) {
+    const like = params.push(`%${filter.query.replace(/[\\%_]/g, '\\$&')}%`);
+    const words = params.push(filter.query);
+    conditions.push(`(title ILIKE $${like} ESCAPE '\\' OR (type = 'text' AND to_tsvector('simple', left(coalesce(text, ''), 65536)) @@ plainto_tsquery('simple', $${words})))`);
+  }
+  if (before) {
+    params.push(new Date(before.createdAt), before.id);
+    conditions.push(`(createdat, id) < ($${params.length - 1}, $${params.length})`);
+  }
+  return `WHERE ${conditions.join(' AND ')}`;
+}
+
+function rowToApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    keyHash: row.keyhash,
+    scopes: JSON.parse(row.scopes),
+    rateLimit: row.ratelimit == null ? null : row.ratelimit,
+    createdAt: new Date(row.createdat).toISOString(),
+    lastUsedAt: row.lastusedat ? new Date(row.lastusedat).toISOString() : null,
+    revokedAt: row.revokedat ? new Date(row.revokedat).toISOString() : null
+  };
+}
+
+function createPostgresStore({ poolConfig, allowSelfSigned, pool: existingPool, migrateOnStart = true }) {
+  if (allowSelfSigned) {
+    logger.warn('Postgres SSL certificate verification is disabled (rejectUnauthorized=false). ' +
+      'This is insecure and should only be used in development or when you understand the risks. ' +
+      'To enable verification, set DB_SSL=true and provide a valid CA or set PGSSLMODE=require.');
+    // If self-signed certs are allowed, disable Node's global TLS rejection as well
+    // This is only for local/dev convenience. Do NOT enable in production.
+    process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
+    logger.warn('NODE_TLS_REJECT_UNAUTHORIZED set to 0 for development (TLS cert verification disabled)');
+  }
+  const pool = existingPool || new Pool(poolConfig);
+
+  // Bring the schema up to date (see ./migrate), or with migrateOnStart off, refuse to run on an
+  // outdated one
+  async function init() {
+    const migrator = createMigrator({ pool, log: (line) => logger.info(line) });
+    if (migrateOnStart) {
+      await migrator.up();
+      return;
+    }
+    const { current, pending } = await migrator.status();
+    if (pending.length) {
+      throw new Error(`database schema is at version ${current}, ${pending.length} migration(s) behind; run \`npm run migrate\``);
+    }
+  }
+
+  async function insertItem(item) {
+    const sql = `INSERT INTO items(id,title,type,filename,mimetype,text,keyphrase,passcodehash,createdat,expiresat,maxviews,managetokenhash,encryption,keyid,wrappedkey,bundleid,originalname,language,scanstatus,size,clientid,notifyurl)
+       VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22)`;
+    const params = [item.id, item.title, item.type, item.filename || null, item.mimeType || null, item.text || null, item.keyphrase, item.passcodeHash, new Date(item.createdAt), item.expiresAt ? new Date(item.expiresAt) : null, item.maxViews || null, item.manageTokenHash || null, item.encryption ? JSON.stringify(item.encryption) : null, item.keyId || null, item.wrappedKey || null, item.bundleId || null, item.originalName || null, item.language || null, item.scanStatus || null, item.size == null ? null : item.size, item.clientId || null, item.notifyUrl || null];
+    await pool.query(sql, params);
+  }
+
+  async function findItemsByKeyphrase(keyphrase, filter = {}, { limit, before } = {}) {
+    const params = [];
+    const where = keyphraseItemConditions(keyphrase, filter, before, params);
+    const r = await pool.query(
+      `SELECT * FROM items ${where} ORDER BY createdat DESC, id DESC${limit ? ` LIMIT $${params.push(limit)}` : ''}`,
+      params
+    );
+    return r.rows.map(rowToItem);
+  }
+
+  async function listPasscodeHashes(keyphrase, { availableAt } = {}) {
+    const params = [];
+    const where = keyphraseItemConditions(keyphrase, { availableAt }, null, params);
+    const r = await pool.query(`SELECT DISTINCT passcodehash FROM items ${where} AND passcodehash IS NOT NULL`, params);
+    return r.rows.map(row => row.passcodehash);
+  }
+
+  // Items uploaded by one client (`key:<id>` / `ip:<address>`), newest first
+  async function findItemsByClient(clientId, { limit = 100 } = {}) {
+    const r = await pool.query('SELECT * FROM items WHERE clientid = $1 ORDER BY createdat DESC LIMIT $2', [clientId, limit]);
+    return r.rows.map(rowToItem);
+  }
+
+  // Operator search, newest first: { items, total }. Filters: keyphrase, type, query (title or
+  // file name substring), from / to (createdAt), minSize / maxSize, status (a scan status or 'quarantined')
+  async function searchItems(filter = {}, { limit = 50, offset = 0 } = {}) {
+    const params = [];
+    const where = itemSearchConditions(filter, params);
+    const total = await pool.query(`SELECT count(*)::int AS c FROM items ${where}`, params);
+    const r = await pool.query(
+      `SELECT * FROM items ${where} ORDER BY createdat DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return { items: r.rows.map(rowToItem), total: total.rows[0].c };
+  }
+
+  async function getItemById(id) {
+    const r = await pool.query('SELECT * FROM items WHERE id = $1', [id]);
+    if (r.rows.length === 0) return null;
+    return rowToItem(r.rows[0]);
+  }
+
+  // Update editable fields of an item; returns the updated item or null if it doesn't exist
+  async function updateItem(id, fields) {
+    const sets = [];
+    const params = [];
+    for (const [key, column] of Object.entries(UPDATABLE_COLUMNS)) {
+      if (fields[key] === undefined) continue;
+      params.push(JSON_FIELDS.has(key) && fields[key] ? JSON.stringify(fields[key]) : fields[key]);
+      sets.push(`${column} = $${params.length}`);
+    }
+    if (sets.length === 0) return getItemById(id);
+    params.push(id);
+    const r = await pool.query(`UPDATE items SET ${sets.join(', ')} WHERE id = $${params.length} RETURNING *`, params);
+    if (r.rows.length === 0) return null;
+    return rowToItem(r.rows[0]);
+  }
+
+  // Items whose data key is wrapped by a master key other than `currentKeyId` (for rotation)
+  async function listWrappedKeys({ excludeKeyId } = {}) {
+    const r = await pool.query(
+      'SELECT id, keyid, wrappedkey FROM items WHERE wrappedkey IS NOT NULL AND keyid IS DISTINCT FROM $1',
+      [excludeKeyId || null]
+    );
+    return r.rows.map(row => ({ id: row.id, keyId: row.keyid, wrappedKey: row.wrappedkey }));
+  }
+
+  async function insertBundle(bundle) {
+    await pool.query(
+      'INSERT INTO bundles(id,title,keyphrase,passcodehash,managetokenhash,createdat) VALUES($1,$2,$3,$4,$5,$6)',
+      [bundle.id, bundle.title, bundle.keyphrase, bundle.passcodeHash, bundle.manageTokenHash || null, new Date(bundle.createdAt)]
+    );
+  }
+
+  async function getBundleById(id) {
+    const r = await pool.query('SELECT * FROM bundles WHERE id = $1', [id]);
+    if (r.rows.length === 0) return null;
+    return rowToBundle(r.rows[0]);
+  }
+
+  // A bundle's items in upload order
+  async function findItemsByBundle(bundleId) {
+    const r = await pool.query('SELECT * FROM items WHERE bundleid = $1 ORDER BY createdat ASC, id ASC', [bundleId]);
+    return r.rows.map(rowToItem);
+  }
+
+  // Remove bundles whose items have all been deleted or swept
+  async function deleteEmptyBundles() {
+    const r = await pool.query('DELETE FROM bundles b WHERE NOT EXISTS (SELECT 1 FROM items i WHERE i.bundleid = b.id)');
+    return r.rowCount;
+  }
+
+  async function countItems() {
+    const r = await pool.query('SELECT count(*)::int as c FROM items');
+    return r.rows[0].c;
+  }
+
+  // Stored bytes and item count, overall or for one keyphrase / client. Items stored before sizes
+  // were recorded count as items but not bytes.
+  async function getUsage({ keyphrase, clientId } = {}) {
+    const where = keyphrase ? 'WHERE keyphrase = $1' : clientId ? 'WHERE clientid = $1' : '';
+    const r = await pool.query(
+      `SELECT count(*)::int AS items, COALESCE(sum(size), 0)::bigint AS bytes FROM items ${where}`,
+      keyphrase ? [keyphrase] : clientId ? [clientId] : []
+    );
+    return { items: r.rows[0].items, bytes: Number(r.rows[0].bytes) };
+  }
+
+  // The biggest consumers by `keyphrase` or `client`: [{ key, items, bytes }], most bytes first
+  async function listUsage({ by = 'client', limit = 20 } = {}) {
+    const column = by === 'keyphrase' ? 'keyphrase' : 'clientid';
+    const r = await pool.query(
+      `SELECT ${column} AS key, count(*)::int AS items, COALESCE(sum(size), 0)::bigint AS bytes
+       FROM items WHERE ${column} IS NOT NULL GROUP BY ${column} ORDER BY bytes DESC, items DESC LIMIT $1`,
+      [limit]
+    );
+    return r.rows.map(row => ({ key: row.key, items: row.items, bytes: Number(row.bytes) }));
+  }
+
+  // Atomically count one view against an item's max-view budget.
+  // Returns false if the item has no views left (another request got the last one).
+  async function claimItemView(id) {
+    const r = await pool.query(
+      `UPDATE items SET viewcount = viewcount + 1
+       WHERE id = $1 AND (maxviews IS NULL OR viewcount < maxviews)
+       RETURNING viewcount`,
+      [id]
+    );
+    return r.rows.length > 0;
+  }
+
+  async function findExhaustedItems(now = new Date()) {
+    const r = await pool.query(
+      `SELECT * FROM items
+       WHERE (expiresat IS NOT NULL AND expiresat <= $1)
+          OR (maxviews IS NOT NULL AND viewcount >= maxviews)`,
+      [now]
+    );
+    return r.rows.map(rowToItem);
+  }
+
+  // Record a scan verdict, unless the item's file was replaced (or the item deleted) meanwhile
+  async function recordScanResult(id, filename, { status, reason }) {
+    const r = await pool.query(
+      'UPDATE items SET scanstatus = $3, scanreason = $4 WHERE id = $1 AND filename = $2 RETURNING *',
+      [id, filename, status, reason || null]
+    );
+    return r.rows[0] ? rowToItem(r.rows[0]) : null;
+  }
+
+  async function recordPreview(id, filename, preview) {
+    const r = await pool.query(
+      'UPDATE items SET preview = $3 WHERE id = $1 AND filename = $2 RETURNING *',
+      [id, filename, preview ? JSON.stringify(preview) : null]
+    );
+    return r.rows[0] ? rowToItem(r.rows[0]) : null;
+  }
+
+  async function findPendingScans(limit = 100) {
+    const r = await pool.query(`SELECT * FROM items WHERE scanstatus = 'pending' ORDER BY createdat LIMIT $1`, [limit]);
+    return r.rows.map(rowToItem);
+  }
+
+  // Set firstAccessedAt unless it is already set; true if this call set it
+  async function markFirstAccess(id, when) {
+    const r = await pool.query('UPDATE items SET firstaccessedat = $2 WHERE id = $1 AND firstaccessedat IS NULL RETURNING id', [id, when]);
+    return r.rows.length > 0;
+  }
+
+  async function deleteItem(id) {
+    await pool.query('DELETE FROM items WHERE id = $1', [id]);
+  }
+
+  async function getAuthFailure(scope, key) {
+    const r = await pool.query('SELECT * FROM auth_failures WHERE scope = $1 AND key = $2', [scope, key]);
+    if (r.rows.length === 0) return null;
+    const row = r.rows[0];
+    return { scope: row.scope, key: row.key, failures: row.failures, lockedUntil: row.lockeduntil ? new Date(row.lockeduntil).toISOString() : null };
+  }
+
+  // Atomically add one failure; counters whose last failure is older than staleBefore restart at 1
+  async function incrementAuthFailure(scope, key, now, staleBefore) {
+    const r = await pool.query(
+      `INSERT INTO auth_failures(scope,key,failures,lastfailureat) VALUES($1,$2,1,$3)
+       ON CONFLICT (scope, key) DO UPDATE SET
+         failures = CASE WHEN auth_failures.lastfailureat < $4 THEN 1 ELSE auth_failures.failures + 1 END,
+         lastfailureat = $3
+       RETURNING failures`,
+      [scope, key, now, staleBefore]
+    );
+    return r.rows[0].failures;
+  }
+
+  async function setAuthLock(scope, key, lockedUntil) {
+    await pool.query('UPDATE auth_failures SET lockeduntil = $3 WHERE scope = $1 AND key = $2', [scope, key, lockedUntil]);
+  }
+
+  async function clearAuthFailure(scope, key) {
+    await pool.query('DELETE FROM auth_failures WHERE scope = $1 AND key = $2', [scope, key]);
+  }
+
+  async function pruneAuthFailures(staleBefore, now) {
+    const r = await pool.query(
+      'DELETE FROM auth_failures WHERE lastfailureat < $1 AND (lockeduntil IS NULL OR lockeduntil < $2)',
+      [staleBefore, now]
+    );
+    return r.rowCount;
+  }
+
+  async function insertLockoutEvent(ev) {
+    await pool.query(
+      'INSERT INTO lockout_events(scope,key,failures,lockeduntil,ip,createdat) VALUES($1,$2,$3,$4,$5,$6)',
+      [ev.scope, ev.key, ev.failures, new Date(ev.lockedUntil), ev.ip, new Date(ev.createdAt)]
+    );
+  }
+
+  async function listLockoutEvents({ limit = 100 } = {}) {
+    const r = await pool.query('SELECT * FROM lockout_events ORDER BY createdat DESC, id DESC LIMIT $1', [limit]);
+    return r.rows.map(row => ({
+      id: row.id,
+      scope: row.scope,
+      key: row.key,
+      failures: row.failures,
+      lockedUntil: row.lockeduntil ? new Date(row.lockeduntil).toISOString() : null,
+      ip: row.ip,
+      createdAt: new Date(row.createdat).toISOString()
+    }));
+  }
+
+  async function insertUpload(u) {
+    await pool.query(
+      `INSERT INTO uploads(id,itemid,storagekey,multipartid,filename,mimetype,size,options,keyid,wrappedkey,nonceprefix,createdat,expiresat)
+       VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)`,
+      [u.id, u.itemId, u.storageKey, u.multipartId, u.filename, u.mimeType || null, u.size, JSON.stringify(u.options || {}), u.keyId || null, u.wrappedKey || null, u.noncePrefix || null, new Date(u.createdAt), new Date(u.expiresAt)]
+    );
+  }
+
+  async function getUpload(id) {
+    const r = await pool.query('SELECT * FROM uploads WHERE id = $1', [id]);
+    if (r.rows.length === 0) return null;
+    return rowToUpload(r.rows[0]);
+  }
+
+  // Record a stored part and move the offset, only if the session is still at `fromOffset`.
+  // Returns the updated session, or null if it is gone or another request moved it first.
+  async function advanceUpload(id, fromOffset, offset, part) {
+    const r = await pool.query(
+      `UPDATE uploads SET uploadoffset = $3, parts = (parts::jsonb || $4::jsonb)::text
+       WHERE id = $1 AND uploadoffset = $2
+       RETURNING *`,
+      [id, fromOffset, offset, JSON.stringify([part])]
+    );
+    if (r.rows.length === 0) return null;
+    return rowToUpload(r.rows[0]);
+  }
+
+  // Lease a session to one finalize request. Returns the session, or null if it is gone or another
+  // request holds a lease that hasn't run out.
+  async function claimUpload(id, now, leaseUntil) {
+    const r = await pool.query(
+      `UPDATE uploads SET finalizinguntil = $3
+       WHERE id = $1 AND (finalizinguntil IS NULL OR finalizinguntil <= $2)
+       RETURNING *`,
+      [id, now, leaseUntil]
+    );
+    if (r.rows.length === 0) return null;
+    return rowToUpload(r.rows[0]);
+  }
+
+  async function releaseUpload(id) {
+    await pool.query('UPDATE uploads SET finalizinguntil = NULL WHERE id = $1', [id]);
+  }
+
+  async function findStaleUploads(now = new Date()) {
+    const r = await pool.query('SELECT * FROM uploads WHERE expiresat <= $1', [now]);
+    return r.rows.map(rowToUpload);
+  }
+
+  async function deleteUpload(id) {
+    await pool.query('DELETE FROM uploads WHERE id = $1', [id]);
+  }
+
+  async function insertApiKey(k) {
+    await pool.query(
+      'INSERT INTO api_keys(id,name,keyhash,scopes,ratelimit,createdat) VALUES($1,$2,$3,$4,$5,$6)',
+      [k.id, k.name, k.keyHash, JSON.stringify(k.scopes), k.rateLimit || null, new Date(k.createdAt)]
+    );
+  }
+
+  async function getApiKey(id) {
+    const r = await pool.query('SELECT * FROM api_keys WHERE id = $1', [id]);
+    return r.rows[0] ? rowToApiKey(r.rows[0]) : null;
+  }
+
+  async function listApiKeys() {
+    const r = await pool.query('SELECT * FROM api_keys ORDER BY createdat DESC');
+    return r.rows.map(rowToApiKey);
+  }
+
+  async function touchApiKey(id, when) {
+    await pool.query('UPDATE api_keys SET lastusedat = $2 WHERE id = $1', [id, when]);
+  }
+
+  // Revoke a key; returns it, or null if there is no such key
+  async function revokeApiKey(id, when) {
+    const r = await pool.query('UPDATE api_keys SET revokedat = COALESCE(revokedat, $2) WHERE id = $1 RETURNING *', [id, when]);
+    return r.rows[0] ? rowToApiKey(r.rows[0]) : null;
+  }
+
+  async function insertAuditEvent(ev) {
+    await pool.query(
+      'INSERT INTO audit_log(action,actor,target,detail,ip,createdat) VALUES($1,$2,$3,$4,$5,$6)',
+      [ev.action, ev.actor || null, ev.target || null, ev.detail ? JSON.stringify(ev.detail) : null, ev.ip || null, new Date(ev.createdAt)]
+    );
+  }
+
+  // Newest first, optionally only one action or target
+  async function listAuditEvents({ limit = 100, offset = 0, action, target } = {}) {
+    const params = [];
+    const conditions = [];
+    if (action) conditions.push(`action = $${params.push(action)}`);
+    if (target) conditions.push(`target = $${params.push(target)}`);
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const r = await pool.query(
+      `SELECT * FROM audit_log ${where} ORDER BY createdat DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return r.rows.map(rowToAuditEvent);
+  }
+
+  async function insertRevokedKeyphrase({ keyHash, reason, revokedAt }) {
+    await pool.query(
+      'INSERT INTO revoked_keyphrases(keyhash,reason,revokedat) VALUES($1,$2,$3) ON CONFLICT (keyhash) DO NOTHING',
+      [keyHash, reason || null, new Date(revokedAt)]
+    );
+  }
+
+  async function isKeyphraseRevoked(keyHash) {
+    const r = await pool.query('SELECT 1 FROM revoked_keyphrases WHERE keyhash = $1', [keyHash]);
+    return r.rows.length > 0;
+  }
+
+  async function insertAccessEvents(events) {
+    if (events.length === 0) return;
+    const params = [];
+    const rows = events.map(ev => {
+      const n = params.push(ev.itemId, ev.action, ev.outcome, ev.ipHash || null, ev.userAgentHash || null, new Date(ev.createdAt));
+      return `($${n - 5},$${n - 4},$${n - 3},$${n - 2},$${n - 1},$${n})`;
+    });
+    await pool.query(`INSERT INTO access_events(itemid,action,outcome,iphash,uahash,createdat) VALUES ${rows.join(',')}`, params);
+  }
+
+  // Newest first
+  async function listAccessEvents(itemId, { limit = 50 } = {}) {
+    const r = await pool.query('SELECT * FROM access_events WHERE itemid = $1 ORDER BY createdat DESC, id DESC LIMIT $2', [itemId, limit]);
+    return r.rows.map(rowToAccessEvent);
+  }
+
+  async function getAccessStats(itemId) {
+    const r = await pool.query(
+      `SELECT action, outcome, COUNT(*)::int AS n, MAX(createdat) AS last FROM access_events
+       WHERE itemid = $1 GROUP BY action, outcome`,
+      [itemId]
+    );
+    const visitors = await pool.query(`SELECT COUNT(DISTINCT iphash)::int AS n FROM access_events WHERE itemid = $1 AND outcome = 'ok'`, [itemId]);
+    return { counts: r.rows.map(row => ({ action: row.action, outcome: row.outcome, count: row.n, lastAt: new Date(row.last).toISOString() })), visitors: visitors.rows[0].n };
+  }
+
+  async function pruneAccessEvents(before) {
+    const r = await pool.query('DELETE FROM access_events WHERE createdat < $1', [before]);
+    return r.rowCount;
+  }
+
+  async function insertWebhookDelivery(d) {
+    await pool.query(
+      `INSERT INTO webhook_deliveries(id,subscription,event,url,itemid,payload,status,attempts,nextattemptat,createdat)
+       VALUES($1,$2,$3,$4,$5,$6,'pending',0,$7,$8)`,
+      [d.id, d.subscription, d.event, d.url, d.itemId || null, JSON.stringify(d.payload), new Date(d.nextAttemptAt), new Date(d.createdAt)]
+    );
+  }
+
+  // Lease up to `limit` pending deliveries due by `now` until `leaseUntil`; SKIP LOCKED keeps
+  // workers on other instances from claiming the same ones
+  async function claimWebhookDeliveries(now, leaseUntil, limit = 20) {
+    const r = await pool.query(
+      `UPDATE webhook_deliveries SET nextattemptat = $2
+       WHERE id IN (
+         SELECT id FROM webhook_deliveries WHERE status = 'pending' AND nextattemptat <= $1
+         ORDER BY nextattemptat LIMIT $3 FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [now, leaseUntil, limit]
+    );
+    return r.rows.map(rowToWebhookDelivery);
+  }
+
+  async function updateWebhookDelivery(id, fields) {
+    const sets = [];
+    const params = [id];
+    for (const [key, column] of Object.entries(DELIVERY_COLUMNS)) {
+      if (fields[key] === undefined) continue;
+      const value = DELIVERY_DATE_FIELDS.has(key) && fields[key] ? new Date(fields[key]) : fields[key];
+      sets.push(`${column} = $${params.push(value)}`);
+    }
+    if (sets.length === 0) return getWebhookDelivery(id);
+    const r = await pool.query(`UPDATE webhook_deliveries SET ${sets.join(', ')} WHERE id = $1 RETURNING *`, params);
+    return r.rows[0] ? rowToWebhookDelivery(r.rows[0]) : null;
+  }
+
+  async function getWebhookDelivery(id) {
+    const r = await pool.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+    return r.rows[0] ? rowToWebhookDelivery(r.rows[0]) : null;
+  }
+
+  // Newest first, optionally only one status, event or item
+  async function listWebhookDeliveries({ limit = 100, offset = 0, status, event, itemId } = {}) {
+    const params = [];
+    const conditions = [];
+    if (status) conditions.push(`status = $${params.push(status)}`);
+    if (event) conditions.push(`event = $${params.push(event)}`);
+    if (itemId) conditions.push(`itemid = $${params.push(itemId)}`);
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const r = await pool.query(
+      `SELECT * FROM webhook_deliveries ${where} ORDER BY createdat DESC, id LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return r.rows.map(rowToWebhookDelivery);
+  }
+
+  // Drop finished (delivered or failed) deliveries created before `before`
+  async function pruneWebhookDeliveries(before) {
+    const r = await pool.query(`DELETE FROM webhook_deliveries WHERE status <> 'pending' AND createdat < $1`, [before]);
+    return r.rowCount;
+  }
+
+  async function ping() {
+    const r = await pool.query('SELECT NOW() as now');
+    return { now: r.rows[0].now };
+  }
+
+  async function close() {
+    await pool.end();
+  }
+
+  return {
+    name: 'postgres',
+    pool,
+    init,
+    insertItem,
+    findItemsByKeyphrase,
+    listPasscodeHashes,
+    findItemsByClient,
+    searchItems,
+    getItemById,
+    updateItem,
+    listWrappedKeys,
+    insertBundle,
+    getBundleById,
+    findItemsByBundle,
+    deleteEmptyBundles,
+    countItems,
+    getUsage,
+    listUsage,
+    claimItemView,
+    findExhaustedItems,
+    findPendingScans,
+    recordScanResult,
+    recordPreview,
+    deleteItem,
+    getAuthFailure,
+    incrementAuthFailure,
+    setAuthLock,
+    clearAuthFailure,
+    pruneAuthFailures,
+    insertLockoutEvent,
+    listLockoutEvents,
+    insertUpload,
+    getUpload,
+    advanceUpload,
+    claimUpload,
+    releaseUpload,
+    findStaleUploads,
+    deleteUpload,
+    insertApiKey,
+    getApiKey,
+    listApiKeys,
+    touchApiKey,
+    revokeApiKey,
+    insertAuditEvent,
+    listAuditEvents,
+    insertRevokedKeyphrase,
+    isKeyphraseRevoked,
+    markFirstAccess,
+    insertAccessEvents,
+    listAccessEvents,
+    getAccessStats,
+    pruneAccessEvents,
+    insertWebhookDelivery,
+    claimWebhookDeliveries,
+    updateWebhookDelivery,
+    getWebhookDelivery,
+    listWebhookDeliveries,
+    pruneWebhookDeliveries,
+    ping,
+    close
+  };
+}
+
+module.exports = { createPostgresStore, rowToItem };
@@ -0,0 +1,210 @@
+// Webhooks for item lifecycle events (item.created, item.accessed, item.deleted, item.expired).
+// Subscriptions come from config: WEBHOOKS (a JSON array) or WEBHOOKS_FILE (a JSON file holding
+// one), each { name, url, secret, events, keyphrase }. Without `keyphrase` a subscription gets the
+// events of every item; `events` defaults to all of them, `secret` to WEBHOOK_SECRET.
+// Every event is queued in the store as one delivery per matching subscription, so nothing is lost
+// on a restart, and sent by a background worker: a POST of JSON signed with HMAC-SHA256 in
+// `X-Phraseport-Signature: t=<unix time>,v1=<hex HMAC of "<t>.<body>">`. Failed deliveries are
+// retried with exponential backoff, up to WEBHOOK_MAX_ATTEMPTS.
+const crypto = require('crypto');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+
+const EVENTS = ['item.created', 'item.accessed', 'item.deleted', 'item.expired'];
+
+function parseSubscriptions(env) {
+  let raw = env.WEBHOOKS || '';
+  if (env.WEBHOOKS_FILE) raw = fs.readFileSync(env.WEBHOOKS_FILE, 'utf8');
+  if (!raw.trim()) return [];
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`WEBHOOKS${env.WEBHOOKS_FILE ? '_FILE' : ''} is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(list)) throw new Error('WEBHOOKS must be a JSON array of subscriptions');
+  const names = new Set();
+  return list.map((sub, index) => {
+    const name = String(sub.name || `webhook-${index + 1}`);
+    if (names.has(name)) throw new Error(`webhook "${name}" is configured twice`);
+    names.add(name);
+    let url;
+    try {
+      url = new URL(sub.url);
+    } catch (_) {
+      throw new Error(`webhook "${name}" needs a valid url`);
+    }
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && env.NODE_ENV !== 'production')) {
+      throw new Error(`webhook "${name}" must use https`);
+    }
+    const events = sub.events ? [].concat(sub.events) : EVENTS;
+    const unknown = events.filter(e => !EVENTS.includes(e));
+    if (unknown.length) throw new Error(`webhook "${name}" has unknown events: ${unknown.join(', ')} (expected ${EVENTS.join(', ')})`);
+    const secret = sub.secret || env.WEBHOOK_SECRET;
+    if (!secret) throw new Error(`webhook "${name}" needs a secret (or set WEBHOOK_SECRET)`);
+    return { name, url: url.toString(), secret: String(secret), events, keyphrase: sub.keyphrase ? String(sub.keyphrase) : null };
+  });
+}
+
+// `X-Phraseport-Signature` value for a body sent at `timestamp` (unix seconds)
+function sign(secret, timestamp, body) {
+  return `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// WEBHOOK_MAX_ATTEMPTS (default 8) tries per delivery, the n-th retry after
+// WEBHOOK_RETRY_BASE_SECONDS * 2^(n-1) (default 30) capped at WEBHOOK_RETRY_MAX_SECONDS (default 6 h).
+// The worker looks for due deliveries every WEBHOOK_POLL_MS (default 5000, 0 = only right after
+// an event); WEBHOOK_TIMEOUT_MS bounds one request. Delivered and failed deliveries are kept for
+// WEBHOOK_RETENTION_DAYS (default 30).
+function createWebhooks({ store, env = process.env }) {
+  const subscriptions = parseSubscriptions(env);
+  const maxAttempts = env.WEBHOOK_MAX_ATTEMPTS ? parseInt(env.WEBHOOK_MAX_ATTEMPTS, 10) : 8;
+  const retryBase = env.WEBHOOK_RETRY_BASE_SECONDS ? Number(env.WEBHOOK_RETRY_BASE_SECONDS) : 30;
+  const retryMax = env.WEBHOOK_RETRY_MAX_SECONDS ? Number(env.WEBHOOK_RETRY_MAX_SECONDS) : 6 * 60 * 60;
+  const pollMs = env.WEBHOOK_POLL_MS ? parseInt(env.WEBHOOK_POLL_MS, 10) : 5000;
+  const timeoutMs = env.WEBHOOK_TIMEOUT_MS ? parseInt(env.WEBHOOK_TIMEOUT_MS, 10) : 10000;
+  const retentionDays = env.WEBHOOK_RETENTION_DAYS ? parseInt(env.WEBHOOK_RETENTION_DAYS, 10) : 30;
+
+  function retryDelaySeconds(attempts) {
+    return Math.min(retryMax, retryBase * 2 ** Math.min(attempts - 1, 30));
+  }
+
+  // What subscribers learn about an item: no credentials, no content
+  function itemSummary(it) {
+    return {
+      id: it.id,
+      title: it.title,
+      type: it.type,
+      bundleId: it.bundleId || undefined,
+      size: it.size == null ? undefined : it.size,
+      encrypted: Boolean(it.encryption),
+      createdAt: it.createdAt,
+      expiresAt: it.expiresAt || null
+    };
+  }
+
+  // Queue `event` about item `it` for every matching subscription; `detail` is merged into the
+  // payload. Never throws: a failed insert is logged, the request goes on.
+  async function emit(event, it, detail = {}) {
+    const targets = subscriptions.filter(sub => sub.events.includes(event) && (!sub.keyphrase || sub.keyphrase === it.keyphrase));
+    if (targets.length === 0) return;
+    const now = new Date().toISOString();
+    try {
+      for (const sub of targets) {
+        const id = uuidv4();
+        const payload = { id, event, createdAt: now, item: itemSummary(it), ...detail };
+        await store.insertWebhookDelivery({ id, subscription: sub.name, event, url: sub.url, itemId: it.id, payload, createdAt: now, nextAttemptAt: now });
+      }
+    } catch (err) {
+      logger.error('Webhook queueing failed', { event, itemId: it.id, err });
+      return;
+    }
+    kick();
+  }
+
+  async function attempt(d) {
+    const sub = subscriptions.find(s => s.name === d.subscription);
+    const attempts = d.attempts + 1;
+    const now = new Date();
+    if (!sub) {
+      await store.updateWebhookDelivery(d.id, { status: 'failed', attempts, lastAttemptAt: now.toISOString(), lastError: 'subscription is no longer configured' });
+      return;
+    }
+    const body = JSON.stringify(d.payload);
+    let error = null;
+    let status = null;
+    try {
+      const res = await fetch(sub.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'phraseport-webhooks',
+          'X-Phraseport-Event': d.event,
+          'X-Phraseport-Delivery': d.id,
+          'X-Phraseport-Signature': sign(sub.secret, Math.floor(now.getTime() / 1000), body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      status = res.status;
+      if (!res.ok) error = `HTTP ${res.status}: ${(await res.text().catch(() => '')).slice(0, 200)}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `no response within ${timeoutMs} ms` : err.message || String(err);
+    }
+    const fields = { attempts, lastAttemptAt: now.toISOString(), lastStatus: status, lastError: error };
+    if (!error) {
+      Object.assign(fields, { status: 'delivered', deliveredAt: now.toISOString() });
+    } else if (attempts >= maxAttempts) {
+      fields.status = 'failed';
+    } else {
+      fields.nextAttemptAt = new Date(now.getTime() + retryDelaySeconds(attempts) * 1000).toISOString();
+    }
+    await store.updateWebhookDelivery(d.id, fields);
+  }
+
+  // Send every due delivery. Deliveries are leased while in flight, so several instances can run
+  // the worker against one database.
+  let running = null;
+  let again = false;
+  function deliverDue() {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = (async () => {
+      do {
+        again = false;
+        for (;;) {
+          const now = new Date();
+          const due = await store.claimWebhookDeliveries(now, new Date(now.getTime() + timeoutMs + 30000), 20);
+          if (due.length === 0) break;
+          for (const d of due) await attempt(d);
+        }
+      } while (again);
+    })().catch(err => logger.error('Webhook delivery failed', { err })).finally(() => { running = null; });
+    return running;
+  }
+
+  function kick() {
+    setImmediate(deliverDue);
+  }
+
+  let timer = null;
+  function start() {
+    if (subscriptions.length === 0 || timer || pollMs <= 0) return;
+    timer = setInterval(deliverDue, pollMs);
+    timer.unref();
+    kick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    return running || Promise.resolve();
+  }
+
+  // Send a delivery again now (a failed one gets a fresh set of attempts)
+  async function retry(id) {
+    const d = await store.getWebhookDelivery(id);
+    if (!d) return null;
+    const updated = await store.updateWebhookDelivery(id, { status: 'pending', attempts: d.status === 'failed' ? 0 : d.attempts, nextAttemptAt: new Date().toISOString() });
+    kick();
+    return updated;
+  }
+
+  async function prune(now = new Date()) {
+    if (!(retentionDays > 0)) return 0;
+    return store.pruneWebhookDeliveries(new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000));
+  }
+
+  // Subscriptions without their secrets
+  function describe() {
+    return subscriptions.map(({ name, url, events, keyphrase }) => ({ name, url, events, keyphrase }));
+  }
+
+  return { enabled: subscriptions.length > 0, emit, deliverDue, start, stop, retry, prune, describe };
+}
+
+module.exports = { createWebhooks, sign, EVENTS };
@@ -0,0 +1,123 @@
+// Access log (src/access.js): owner stats and first-access notifications, against an app
+// started by test/helpers.js
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createAccessLog } = require('../src/access');
+const { createMemoryStore } = require('../src/store');
+const { sign } = require('../src/webhooks');
+const { startApp, host, credentials } = require('./helpers');
+
+let app;
+
+// stand-in for an owner's webhook receiver
+const notifications = [];
+const signatures = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    notifications.push(JSON.parse(body));
+    signatures.push({ header: req.headers['x-phraseport-signature'], body });
+    res.end('ok');
+  });
+});
+
+test.before(async () => {
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  app = await startApp({ config: { ACCESS_NOTIFY_ALLOW_PRIVATE: 'true' } });
+});
+
+test.after(async () => {
+  await app.stop();
+  receiver.close();
+});
+
+async function stats(hosted) {
+  const res = await fetch(`${app.base}/api/item/${hosted.id}/stats`, { headers: { 'X-Manage-Token': hosted.manageToken } });
+  assert.strictEqual(res.status, 200);
+  return res.json();
+}
+
+test('listings, views, downloads and failed attempts show up in the owner stats', async () => {
+  const hosted = await (await host(app.base, { file: { name: 'secret.txt', content: 'top secret' } })).json();
+  await fetch(`${app.base}/api/items?${credentials(hosted)}`, { headers: { 'User-Agent': 'curl/8.0' } });
+  const item = await (await fetch(`${app.base}/api/item/${hosted.id}?${credentials(hosted)}`)).json();
+  assert.strictEqual(await (await fetch(item.downloadUrl)).text(), 'top secret');
+  assert.strictEqual((await fetch(`${app.base}/api/item/${hosted.id}?${credentials(hosted, 'wrong-passcode')}`)).status, 404);
+  assert.strictEqual((await fetch(`${app.base}/api/file/${hosted.id}?token=forged.token`)).status, 403);
+
+  const s = await stats(hosted);
+  assert.strictEqual(s.listings, 1);
+  assert.strictEqual(s.views, 1);
+  assert.strictEqual(s.downloads, 1);
+  assert.strictEqual(s.failedAttempts, 2);
+  assert.strictEqual(s.visitors, 1);
+  assert.ok(Date.parse(s.lastAccessedAt) <= Date.now());
+  assert.deepStrictEqual(s.recent.map(ev => `${ev.action}:${ev.outcome}`), ['download:denied', 'view:denied', 'download:ok', 'view:ok', 'list:ok']);
+  // visitors are hashes, never the address or user agent
+  assert.ok(!JSON.stringify(s).includes('127.0.0.1'));
+  assert.ok(!JSON.stringify(s).includes('curl'));
+});
+
+test('a wrong passcode for a keyphrase is logged against a bounded number of its items', async (t) => {
+  const reads = [];
+  const own = await startApp({
+    wrapStore: store => ({ ...store, findItemsByKeyphrase: (keyphrase, filter, options) => {
+      reads.push(options);
+      return store.findItemsByKeyphrase(keyphrase, filter, options);
+    } })
+  });
+  t.after(() => own.stop());
+  const hosted = await (await host(own.base, { text: 'one' })).json();
+  const res = await fetch(`${own.base}/api/items?${credentials(hosted, 'wrong-passcode')}`);
+  assert.deepStrictEqual((await res.json()).items, []);
+  assert.deepStrictEqual(reads, [{ limit: 100 }]);
+  const s = await (await fetch(`${own.base}/api/item/${hosted.id}/stats`, { headers: { 'X-Manage-Token': hosted.manageToken } })).json();
+  assert.strictEqual(s.failedAttempts, 1);
+});
+
+test('stats need the manage token', async () => {
+  const hosted = await (await host(app.base, { text: 'hello' })).json();
+  assert.strictEqual((await fetch(`${app.base}/api/item/${hosted.id}/stats`)).status, 401);
+  const wrong = await fetch(`${app.base}/api/item/${hosted.id}/stats`, { headers: { 'X-Manage-Token': 'nope' } });
+  assert.strictEqual(wrong.status, 404);
+});
+
+test('the owner is notified once, on first access', async () => {
+  const notifyUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+  assert.strictEqual((await host(app.base, { text: 'x', notifyUrl: 'ftp://example.com/' })).status, 400);
+  const hosted = await (await host(app.base, { text: 'watched', notifyUrl })).json();
+
+  await fetch(`${app.base}/api/items?${credentials(hosted)}`);
+  await fetch(`${app.base}/api/item/${hosted.id}?${credentials(hosted)}`);
+  await fetch(`${app.base}/api/item/${hosted.id}?${credentials(hosted)}`);
+  for (let i = 0; i < 50 && notifications.length === 0; i++) await new Promise(resolve => setTimeout(resolve, 20));
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.strictEqual(notifications.length, 1);
+  assert.strictEqual(notifications[0].event, 'item.accessed');
+  assert.strictEqual(notifications[0].item.id, hosted.id);
+  assert.strictEqual(notifications[0].action, 'view');
+  assert.ok((await stats(hosted)).firstAccessedAt);
+  // signed like webhook deliveries, with the secret the upload returned
+  const t = /^t=(\d+),/.exec(signatures[0].header)[1];
+  assert.strictEqual(signatures[0].header, sign(hosted.notifySecret, t, signatures[0].body));
+});
+
+test('notifyUrl may not point at private, loopback or link-local addresses', async () => {
+  const access = createAccessLog({ store: createMemoryStore(), env: { NODE_ENV: 'test' } });
+  for (const url of ['http://127.0.0.1/', 'http://10.1.2.3/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://[::ffff:192.168.0.1]/', 'http://localhost:8080/']) {
+    assert.match(access.parseNotifyUrl(url).error, /public address/, url);
+  }
+  assert.strictEqual(access.parseNotifyUrl('https://hooks.example.com/x').url, 'https://hooks.example.com/x');
+
+  // names that resolve to a private address are refused when the notification is sent
+  const store = createMemoryStore();
+  const log = createAccessLog({ store, env: { NODE_ENV: 'test' } });
+  const before = notifications.length;
+  await store.insertItem({ id: 'private-hook', title: 't', type: 'text', keyphrase: 'a-b-c', notifyUrl: `http://localhost:${receiver.address().port}/hook`, createdAt: new Date().toISOString() });
+  await log.record({ ip: '203.0.113.9', get: () => 'test' }, await store.getItemById('private-hook'), 'view');
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.strictEqual(notifications.length, before);
+});
@@ -0,0 +1,81 @@
+// Admin API: item search, quarantine, takedown, keyphrase revocation and the audit log, against an
+// app started by test/helpers.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, host, credentials } = require('./helpers');
+
+const ADMIN_TOKEN = 'test-admin-token';
+let app;
+
+test.before(async () => {
+  app = await startApp({ config: { ADMIN_TOKEN } });
+});
+
+test.after(() => app.stop());
+
+function admin(method, pathname, body) {
+  const headers = { 'X-Admin-Token': ADMIN_TOKEN };
+  if (body) headers['Content-Type'] = 'application/json';
+  return fetch(`${app.base}${pathname}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+}
+
+function viewerItem(hosted) {
+  return fetch(`${app.base}/api/item/${hosted.id}?${credentials(hosted)}`);
+}
+
+test('admin routes need the admin token', async () => {
+  for (const pathname of ['/api/admin/items', '/api/admin/audit', '/api/usage', '/debug/db']) {
+    const res = await fetch(`${app.base}${pathname}`, { headers: { 'X-Admin-Token': 'wrong' } });
+    assert.strictEqual(res.status, 401, pathname);
+  }
+  assert.strictEqual((await admin('GET', '/debug/db')).status, 200);
+});
+
+test('items can be searched by keyphrase, type, size and title', async () => {
+  const text = await (await host(app.base, { text: 'hello', title: 'Quarterly notes' })).json();
+  await host(app.base, { file: { name: 'report.pdf', content: 'x'.repeat(2000) }, keyphrase: text.keyphrase });
+
+  const byKeyphrase = await (await admin('GET', `/api/admin/items?keyphrase=${encodeURIComponent(text.keyphrase)}`)).json();
+  assert.strictEqual(byKeyphrase.total, 2);
+  assert.deepStrictEqual(byKeyphrase.items.map(it => it.type), ['file', 'text']);
+  assert.strictEqual(byKeyphrase.items[0].passcodeHash, undefined);
+
+  const files = await (await admin('GET', `/api/admin/items?keyphrase=${encodeURIComponent(text.keyphrase)}&type=file&minSize=1000`)).json();
+  assert.deepStrictEqual(files.items.map(it => it.filename), ['report.pdf']);
+  const titled = await (await admin('GET', '/api/admin/items?query=quarterly')).json();
+  assert.ok(titled.items.some(it => it.id === text.id));
+  assert.strictEqual((await admin('GET', '/api/admin/items?type=video')).status, 400);
+});
+
+test('quarantined items are hidden from viewers until released', async () => {
+  const hosted = await (await host(app.base, { text: 'suspicious' })).json();
+  const quarantined = await (await admin('POST', `/api/admin/items/${hosted.id}/quarantine`, { reason: 'phishing report' })).json();
+  assert.strictEqual(quarantined.quarantineReason, 'phishing report');
+  assert.strictEqual((await viewerItem(hosted)).status, 404);
+  const review = await admin('GET', `/api/admin/items/${hosted.id}/content`);
+  assert.strictEqual(await review.text(), 'suspicious');
+  assert.match(review.headers.get('content-disposition'), /^attachment;/);
+
+  await admin('DELETE', `/api/admin/items/${hosted.id}/quarantine`);
+  assert.strictEqual((await viewerItem(hosted)).status, 200);
+});
+
+test('takedowns and revoked keyphrases are final, and audited', async () => {
+  const first = await (await host(app.base, { text: 'one' })).json();
+  await host(app.base, { text: 'two', keyphrase: first.keyphrase });
+
+  assert.strictEqual((await admin('DELETE', `/api/admin/items/${first.id}?reason=abuse`)).status, 200);
+  assert.strictEqual((await admin('GET', `/api/admin/items/${first.id}`)).status, 404);
+
+  const revoked = await (await admin('POST', '/api/admin/keyphrases/revoke', { keyphrase: first.keyphrase, reason: 'leaked' })).json();
+  assert.strictEqual(revoked.removed, 1);
+  const reuse = await host(app.base, { text: 'three', keyphrase: first.keyphrase });
+  assert.strictEqual(reuse.status, 403);
+
+  const { events } = await (await admin('GET', '/api/admin/audit')).json();
+  const actions = events.map(ev => ev.action);
+  assert.ok(actions.includes('item.takedown'));
+  assert.ok(actions.includes('keyphrase.revoke'));
+  // keyphrases are credentials: the log holds a hash, not the keyphrase
+  assert.ok(!JSON.stringify(events).includes(first.keyphrase));
+});
@@ -0,0 +1,406 @@
+// The app in-process (test/helpers.js): each test starts its own instance, some with stand-ins for
+// the store or storage that fail or stall
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startApp, host, credentials } = require('./helpers');
+
+function storedFiles(dir) {
+  return fs.readdirSync(dir, { recursive: true }).filter(name => fs.statSync(path.join(dir, name)).isFile());
+}
+
+test('host, list, read an item and download its file', async (t) => {
+  const app = await startApp();
+  t.after(() => app.stop());
+
+  const res = await host(app.base, { title: 'Report', text: 'see attached', file: { name: 'report.txt', content: 'quarterly numbers' } });
+  assert.strictEqual(res.status, 200);
+  const hosted = await res.json();
+  assert.ok(hosted.success);
+  assert.ok(hosted.keyphrase && hosted.passcode && hosted.manageToken);
+
+  const list = await (await fetch(`${app.base}/api/items?${credentials(hosted)}`)).json();
+  assert.deepStrictEqual(list.items.map(it => [it.id, it.title, it.type]), [[hosted.id, 'Report', 'file']]);
+  assert.deepStrictEqual(list.bundles, []);
+
+  const item = await fetch(`${app.base}/api/item/${hosted.id}?${credentials(hosted)}`);
+  assert.strictEqual(item.status, 200);
+  const body = await item.json();
+  assert.strictEqual(body.text, 'see attached');
+  assert.strictEqual(body.filename, 'report.txt');
+
+  const file = await fetch(`${app.base}/api/file/${hosted.id}?${credentials(hosted)}`);
+  assert.strictEqual(file.status, 200);
+  assert.strictEqual(await file.text(), 'quarterly numbers');
+});
+
+test('a range request of a burn-after-read file is served whole and spends its view', async (t) => {
+  const app = await startApp();
+  t.after(() => app.stop());
+  const hosted = await (await host(app.base, { burnAfterRead: 'true', file: { name: 'once.txt', content: 'read me once' } })).json();
+  const fetchRange = () => fetch(`${app.base}/api/file/${hosted.id}?${credentials(hosted)}`, { headers: { Range: 'bytes=1-' } });
+  const res = await fetchRange();
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('accept-ranges'), 'none');
+  assert.strictEqual(await res.text(), 'read me once');
+  assert.strictEqual((await fetchRange()).status, 404);
+});
+
+test('bad credentials are refused, then locked out with Retry-After', async (t) => {
+  const app = await startApp({ config: { LOCKOUT_THRESHOLD: '3' } });
+  t.after(() => app.stop());
+  const hosted = await (await host(app.base, { text: 'secret notes' })).json();
+
+  assert.strictEqual((await fetch(`${app.base}/api/items`)).status, 400);
+  assert.strictEqual((await fetch(`${app.base}/api/item/${hosted.id}?keyphrase=${hosted.keyphrase}`)).status, 400);
+  const wrong = await fetch(`${app.base}/api/item/${hosted.id}?${credentials(hosted, 'not-the-passcode')}`);
+  assert.strictEqual(wrong.status, 404);
+  const none = await fetch(`${app.base}/api/items?${credentials(hosted, 'not-the-passcode')}`);
+  assert.deepStrictEqual((await none.json()).items, []);
+
+  let locked;
+  for (let i = 0; i < 3 && !locked; i++) {
+    const res = await fetch(`${app.base}/api/items?${credentials(hosted, `wrong-${i}`)}`);
+    if (res.status === 429) locked = res;
+  }
+  assert.ok(locked, 'expected a lockout');
+  assert.ok(parseInt(locked.headers.get('retry-after'), 10) > 0);
+  // the right passcode doesn't get through while the keyphrase is locked
+  assert.strictEqual((await fetch(`${app.base}/api/items?${credentials(hosted)}`)).status, 429);
+});
+
+test('hosting is rate limited', async (t) => {
+  const app = await startApp({ config: { HOST_RATE_LIMIT_MAX: '2' } });
+  t.after(() => app.stop());
+  assert.strictEqual((await host(app.base, { text: 'one' })).status, 200);
+  assert.strictEqual((await host(app.base, { text: 'two' })).status, 200);
+  const limited = await host(app.base, { text: 'three' });
+  assert.strictEqual(limited.status, 429);
+  assert.ok(limited.headers.get('ratelimit-reset'));
+});
+
+test('client errors get a 4xx, not a 500', async (t) => {
+  const app = await startApp({ config: { MAX_FILE_SIZE: '16' } });
+  t.after(() => app.stop());
+
+  const oversize = await host(app.base, { file: { name: 'big.bin', content: 'x'.repeat(64) } });
+  assert.strictEqual(oversize.status, 413);
+  assert.match((await oversize.json()).error, /at most 16 bytes/);
+  assert.deepStrictEqual(storedFiles(app.dir), []);
+
+  const malformed = await fetch(`${app.base}/api/session`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"keyphrase":' });
+  assert.strictEqual(malformed.status, 400);
+
+  const unknown = await fetch(`${app.base}/api/item/00000000-0000-4000-8000-000000000000?keyphrase=a-b-c&passcode=123456`);
+  assert.strictEqual(unknown.status, 404);
+});
+
+test('a failing object store leaves nothing behind', async (t) => {
+  const inserted = [];
+  const app = await startApp({
+    wrapStore: store => ({ ...store, insertItem: async (item) => { inserted.push(item.id); return store.insertItem(item); } }),
+    wrapStorage: storage => ({ ...storage, put: async () => { throw new Error('bucket unavailable'); } })
+  });
+  t.after(() => app.stop());
+  const res = await host(app.base, { title: 'Pair', keyphrase: 'quiet-orchid-lantern', file: { name: 'a.txt', content: 'hello' } });
+  assert.strictEqual(res.status, 500);
+  assert.strictEqual((await res.json()).error, 'failed to store file');
+  assert.deepStrictEqual(inserted, []);
+  assert.deepStrictEqual(await app.store.findItemsByKeyphrase('quiet-orchid-lantern'), []);
+});
+
+test('a failing item store removes the uploaded file', async (t) => {
+  const app = await startApp({
+    wrapStore: store => ({ ...store, insertItem: async () => { throw new Error('connection reset'); } })
+  });
+  t.after(() => app.stop());
+  const res = await host(app.base, { file: { name: 'a.txt', content: 'hello' } });
+  assert.strictEqual(res.status, 500);
+  assert.strictEqual((await res.json()).error, 'failed to write item to DB');
+  assert.deepStrictEqual(storedFiles(app.dir), []);
+});
+
+test('a file replaced after its item is gone is a 404, and its upload is removed', async (t) => {
+  const app = await startApp({
+    // as if the item were deleted between the owner check and the update
+    wrapStore: store => ({ ...store, updateItem: async (id, fields) => {
+      if (fields.filename) await store.deleteItem(id);
+      return store.updateItem(id, fields);
+    } })
+  });
+  t.after(() => app.stop());
+  const hosted = await (await host(app.base, { file: { name: 'a.txt', content: 'hello' } })).json();
+  const body = new FormData();
+  body.append('file', new Blob(['replacement']), 'b.txt');
+  const res = await fetch(`${app.base}/api/item/${hosted.id}/file`, { method: 'PUT', headers: { 'X-Manage-Token': hosted.manageToken }, body });
+  assert.strictEqual(res.status, 404);
+  assert.ok(!storedFiles(app.dir).some(name => name.endsWith('b.txt')));
+});
+
+// Opens a resumable upload of `content` and sends it as its one chunk
+async function uploadInOneChunk(base, content, options = {}) {
+  const open = await fetch(`${base}/api/uploads`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ filename: 'big.bin', size: Buffer.byteLength(content), ...options })
+  });
+  assert.strictEqual(open.status, 201);
+  const session = await open.json();
+  const chunk = await fetch(`${base}/api/uploads/${session.id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': '0' },
+    body: content
+  });
+  assert.strictEqual(chunk.status, 204);
+  assert.strictEqual(chunk.headers.get('upload-offset'), String(Buffer.byteLength(content)));
+  return session;
+}
+
+test('a resumable upload resumes at the server offset and finalizes into an item', async (t) => {
+  const app = await startApp();
+  t.after(() => app.stop());
+  const open = await fetch(`${app.base}/api/uploads`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ filename: 'big.bin', size: 5, title: 'Big' })
+  });
+  const session = await open.json();
+  const send = offset => fetch(`${app.base}/api/uploads/${session.id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) },
+    body: 'hello'
+  });
+  assert.strictEqual((await fetch(`${app.base}/api/uploads/${session.id}/finalize`, { method: 'POST' })).status, 409);
+  const wrong = await send(3);
+  assert.strictEqual(wrong.status, 409);
+  assert.strictEqual((await wrong.json()).offset, 0);
+  assert.strictEqual((await send(0)).status, 204);
+  assert.strictEqual((await (await fetch(`${app.base}/api/uploads/${session.id}`)).json()).offset, 5);
+
+  const res = await fetch(`${app.base}/api/uploads/${session.id}/finalize`, { method: 'POST' });
+  assert.strictEqual(res.status, 200);
+  const hosted = await res.json();
+  const file = await fetch(`${app.base}/api/file/${hosted.id}?${credentials(hosted)}`);
+  assert.strictEqual(await file.text(), 'hello');
+  assert.strictEqual((await fetch(`${app.base}/api/uploads/${session.id}`)).status, 404);
+});
+
+test('an upload is finalized once, even by two instances at the same time', async (t) => {
+  let unblock;
+  const assembling = new Promise(resolve => { unblock = resolve; });
+  const app = await startApp({
+    wrapStorage: storage => ({ ...storage, completeMultipart: async (...args) => {
+      await assembling;
+      return storage.completeMultipart(...args);
+    } })
+  });
+  t.after(() => app.stop());
+  // a second instance on the same store and storage
+  const other = await startApp({ wrapStore: () => app.store, wrapStorage: () => app.storage });
+  t.after(() => other.stop());
+  const session = await uploadInOneChunk(app.base, 'only once');
+  const first = fetch(`${app.base}/api/uploads/${session.id}/finalize`, { method: 'POST' });
+  // the first one holds the session while its parts are assembled
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const second = await fetch(`${other.base}/api/uploads/${session.id}/finalize`, { method: 'POST' });
+  assert.strictEqual(second.status, 409);
+  unblock();
+  const hosted = await (await first).json();
+  const file = await fetch(`${app.base}/api/file/${hosted.id}?${credentials(hosted)}`);
+  assert.strictEqual(await file.text(), 'only once');
+});
+
+test('a finalize that fails to assemble the upload can be retried', async (t) => {
+  let failures = 1;
+  const app = await startApp({
+    wrapStorage: storage => ({ ...storage, completeMultipart: async (...args) => {
+      if (failures-- > 0) throw new Error('service unavailable');
+      return storage.completeMultipart(...args);
+    } })
+  });
+  t.after(() => app.stop());
+  const session = await uploadInOneChunk(app.base, 'second time lucky');
+  const finalize = () => fetch(`${app.base}/api/uploads/${session.id}/finalize`, { method: 'POST' });
+  assert.strictEqual((await finalize()).status, 500);
+  const res = await finalize();
+  assert.strictEqual(res.status, 200);
+  const hosted = await res.json();
+  assert.strictEqual(await (await fetch(`${app.base}/api/file/${hosted.id}?${credentials(hosted)}`)).text(), 'second time lucky');
+});
+
+test('the title of an end-to-end encrypted item cannot be edited', async (t) => {
+  const app = await startApp();
+  t.after(() => app.stop());
+  const iv = Buffer.alloc(12).toString('base64url');
+  const encryption = { v: 1, alg: 'AES-GCM', keySource: 'fragment', iv: { meta: iv, text: iv }, meta: 'c2VhbGVk' };
+  const hosted = await (await host(app.base, { text: 'Y2lwaGVy', encryption: JSON.stringify(encryption) })).json();
+  const patch = body => fetch(`${app.base}/api/item/${hosted.id}`, {
+    method: 'PATCH',
+    headers: { 'X-Manage-Token': hosted.manageToken, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  assert.strictEqual((await patch({ title: 'Renamed' })).status, 400);
+  // the unchanged placeholder is fine, so the rest of the form still saves
+  assert.strictEqual((await patch({ title: 'Encrypted item', notifyUrl: '' })).status, 200);
+  assert.strictEqual((await app.store.getItemById(hosted.id)).title, 'Encrypted item');
+});
+
+test('a preview of a file replaced while it was made is thrown away', async (t) => {
+  let store;
+  let cleaned;
+  const excerptDeleted = new Promise(resolve => { cleaned = resolve; });
+  const app = await startApp({
+    wrapStore: s => (store = s),
+    wrapStorage: storage => ({
+      ...storage,
+      put: async (key, ...args) => {
+        // as if the owner replaced the file while its excerpt was being stored
+        if (key.endsWith('.excerpt.txt')) await store.updateItem(key.split('.')[0], { filename: 'replaced.txt' });
+        return storage.put(key, ...args);
+      },
+      delete: async key => {
+        await storage.delete(key);
+        if (key.endsWith('.excerpt.txt')) cleaned();
+      }
+    })
+  });
+  t.after(() => app.stop());
+  const hosted = await (await host(app.base, { file: { name: 'a.txt', content: 'first version' } })).json();
+  await excerptDeleted;
+  assert.strictEqual((await store.getItemById(hosted.id)).preview, null);
+  assert.ok(!storedFiles(app.dir).some(name => name.endsWith('.excerpt.txt')));
+});
+
+test('stop lets requests in flight finish and refuses new connections', async () => {
+  // the upload's put waits for `unblock()`; later puts (previews) go straight through
+  let uploadStarted;
+  let unblock;
+  const blocked = new Promise(resolve => { unblock = resolve; });
+  const started = new Promise(resolve => { uploadStarted = resolve; });
+  const app = await startApp({
+    wrapStorage: storage => ({
+      ...storage,
+      put: async (...args) => {
+        uploadStarted();
+        await blocked;
+        return storage.put(...args);
+      }
+    })
+  });
+
+  const inFlight = host(app.base, { file: { name: 'slow.txt', content: 'slow upload' } });
+  await started;
+  const stopped = app.stop();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  unblock();
+  const res = await inFlight;
+  assert.strictEqual(res.status, 200);
+  assert.ok((await res.json()).success);
+  await stopped;
+  await assert.rejects(fetch(`${app.base}/health`));
+});
+
+test('/api/items pages with a cursor and filters by type, title and text', async (t) => {
+  const app = await startApp();
+  t.after(() => app.stop());
+  const files = ['alpha.txt', 'beta.csv', 'gamma.txt', 'delta.png'].map(name => ({ name, content: name }));
+  const hosted = await (await host(app.base, { text: 'Deploy checklist for Friday: rotate the keys', files })).json();
+  // a second upload under the same keyphrase with its own passcode
+  await host(app.base, { keyphrase: hosted.keyphrase, title: 'Other', text: 'not for this passcode' });
+  const list = async (params) => {
+    const res = await fetch(`${app.base}/api/items?${credentials(hosted)}&${new URLSearchParams(params)}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  const seen = [];
+  let cursor = null;
+  for (let page = 0; page < 5; page++) {
+    const { body } = await list({ limit: '2', ...(cursor ? { cursor } : {}) });
+    assert.ok(body.items.length <= 2);
+    seen.push(...body.items.map(it => it.title));
+    cursor = body.nextCursor;
+    if (!cursor) break;
+  }
+  assert.deepStrictEqual(seen, ['delta.png', 'gamma.txt', 'beta.csv', 'alpha.txt', 'Notes']);
+
+  assert.deepStrictEqual((await list({ type: 'text' })).body.items.map(it => it.title), ['Notes']);
+  assert.deepStrictEqual((await list({ title: '.TXT' })).body.items.map(it => it.title), ['gamma.txt', 'alpha.txt']);
+  assert.deepStrictEqual((await list({ q: 'friday keys' })).body.items.map(it => it.title), ['Notes']);
+  assert.deepStrictEqual((await list({ q: 'passcode' })).body.items, []);
+  assert.deepStrictEqual((await list({ q: 'beta' })).body.items.map(it => it.title), ['beta.csv']);
+  assert.deepStrictEqual((await list({ from: new Date(Date.now() + 60000).toISOString() })).body.items, []);
+
+  assert.strictEqual((await list({ type: 'folder' })).status, 400);
+  assert.strictEqual((await list({ limit: '0' })).status, 400);
+  assert.strictEqual((await list({ cursor: 'not-a-cursor' })).status, 400);
+});
+
+test('q searches text encrypted at rest', async (t) => {
+  const app = await startApp({ config: { MASTER_KEYS: `k1:${Buffer.alloc(32, 7).toString('base64')}` } });
+  t.after(() => app.stop());
+  const files = ['other.txt', 'friday.png', 'zeta.txt'].map(name => ({ name, content: name }));
+  const hosted = await (await host(app.base, { text: 'Deploy checklist for Friday: rotate the keys', files })).json();
+  const notes = (await app.store.findItemsByKeyphrase(hosted.keyphrase)).find(it => it.type === 'text');
+  assert.ok(notes.wrappedKey && !notes.text.includes('Friday'));
+  const list = async (params) => (await fetch(`${app.base}/api/items?${credentials(hosted)}&${new URLSearchParams(params)}`)).json();
+
+  assert.deepStrictEqual((await list({ q: 'friday keys' })).items.map(it => it.title), ['Notes']);
+  assert.deepStrictEqual((await list({ q: 'checklist', type: 'file' })).items, []);
+  const seen = [];
+  let cursor = null;
+  do {
+    const body = await list({ q: 'friday', limit: '1', ...(cursor ? { cursor } : {}) });
+    seen.push(...body.items.map(it => it.title));
+    cursor = body.nextCursor;
+  } while (cursor && seen.length < 5);
+  assert.deepStrictEqual(seen, ['friday.png', 'Notes']);
+});
+
+test('a search of text encrypted at rest reads a bounded number of rows per request', async (t) => {
+  let reads = 0;
+  const app = await startApp({
+    config: { MASTER_KEYS: `k1:${Buffer.alloc(32, 7).toString('base64')}` },
+    // the listing finds an endless run of texts that don't match
+    wrapStore: store => ({ ...store, findItemsByKeyphrase: async (keyphrase, filter, options = {}) => {
+      if (!filter || filter.query || !filter.passcodeHashes) return store.findItemsByKeyphrase(keyphrase, filter, options);
+      reads += 1;
+      return Array.from({ length: options.limit }, (_, i) => ({
+        id: `filler-${reads}-${i}`,
+        title: 'Filler',
+        type: 'text',
+        text: 'nothing to see',
+        createdAt: new Date(Date.UTC(2020, 0, 1) - (reads * options.limit + i) * 1000).toISOString()
+      }));
+    } })
+  });
+  t.after(() => app.stop());
+  const hosted = await (await host(app.base, { text: 'Friday' })).json();
+  const res = await fetch(`${app.base}/api/items?${credentials(hosted)}&q=friday`);
+  assert.strictEqual(res.status, 200);
+  const body = await res.json();
+  assert.deepStrictEqual(body.items, []);
+  assert.ok(body.nextCursor);
+  assert.ok(reads > 1 && reads <= 10, `read ${reads} pages`);
+});
+
+test('a viewer session pages through the items its passcode opens', async (t) => {
+  const app = await startApp();
+  t.after(() => app.stop());
+  const first = await (await host(app.base, { title: 'First', text: 'one' })).json();
+  const second = await (await host(app.base, { keyphrase: first.keyphrase, title: 'Second', text: 'two' })).json();
+  await host(app.base, { keyphrase: first.keyphrase, title: 'Third', text: 'three' });
+
+  const session = await (await fetch(`${app.base}/api/session`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ keyphrase: first.keyphrase, passcode: first.passcode })
+  })).json();
+  const headers = { Authorization: `Bearer ${session.token}` };
+  const all = await (await fetch(`${app.base}/api/items`, { headers })).json();
+  assert.deepStrictEqual(all.items.map(it => it.title), ['First']);
+  assert.strictEqual(all.nextCursor, null);
+
+  const other = await (await fetch(`${app.base}/api/items?${credentials(second)}`)).json();
+  assert.deepStrictEqual(other.items.map(it => it.title), ['Second']);
+});
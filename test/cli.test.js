@@ -0,0 +1,91 @@
+// API keys (src/apikeys.js) and the bin/phraseport CLI against an app started by
+// test/helpers.js
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFile } = require('child_process');
+const { createApiKeys } = require('../src/apikeys');
+const { createMemoryStore } = require('../src/store');
+const { startApp } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'bin', 'phraseport');
+const ADMIN_TOKEN = 'test-admin-token';
+let app;
+
+test.before(async () => {
+  app = await startApp({ config: { ADMIN_TOKEN } });
+});
+
+test.after(() => app.stop());
+
+async function createKey(body) {
+  const res = await fetch(`${app.base}/api/keys`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Admin-Token': ADMIN_TOKEN },
+    body: JSON.stringify(body)
+  });
+  assert.strictEqual(res.status, 201);
+  return res.json();
+}
+
+// Run the CLI; resolves to { code, stdout, stderr }
+function cli(args, { key, input } = {}) {
+  return new Promise(resolve => {
+    const child = execFile(process.execPath, [CLI, ...args], {
+      env: { ...process.env, PHRASEPORT_URL: app.base, PHRASEPORT_API_KEY: key || '' },
+      timeout: 20000
+    }, (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }));
+    child.stdin.end(input || '');
+  });
+}
+
+test('keys are stored hashed and stop working once revoked', async () => {
+  const store = createMemoryStore();
+  const keys = createApiKeys({ store, env: {} });
+  const { key, record } = await keys.issue(keys.parseKeyOptions({ name: 'ci', scopes: 'host,list' }));
+  assert.match(key, /^pp_[0-9a-f]{16}_/);
+  assert.strictEqual(record.keyHash, undefined);
+  assert.ok(!JSON.stringify(await store.getApiKey(record.id)).includes(key.split('_').pop()));
+  assert.deepStrictEqual((await keys.authenticate(key)).scopes, ['host', 'list']);
+  assert.strictEqual(await keys.authenticate(`${key}x`), null);
+  await store.revokeApiKey(record.id, new Date());
+  assert.strictEqual(await keys.authenticate(key), null);
+  assert.match(keys.parseKeyOptions({ name: 'x', scopes: 'host,admin' }).error, /scopes/);
+});
+
+test('push from stdin, ls, pull and rm with an API key', async () => {
+  const { key } = await createKey({ name: 'ci' });
+  const log = 'step 1\nstep 2 "ok"\n';
+  const pushed = await cli(['push', '-', '--title', 'build.log', '--json'], { key, input: log });
+  assert.strictEqual(pushed.code, 0, pushed.stderr);
+  const hosted = JSON.parse(pushed.stdout);
+
+  const listed = JSON.parse((await cli(['ls', '--json'], { key })).stdout);
+  assert.deepStrictEqual(listed.items.map(it => [it.id, it.title, it.keyphrase]), [[hosted.id, 'build.log', hosted.keyphrase]]);
+
+  const pulled = await cli(['pull', hosted.keyphrase, hosted.passcode]);
+  assert.strictEqual(pulled.stdout, log);
+
+  assert.strictEqual((await cli(['rm', hosted.id], { key })).code, 0);
+  assert.deepStrictEqual(JSON.parse((await cli(['ls', '--json'], { key })).stdout).items, []);
+});
+
+test('keys are limited to their scopes and their own items', async () => {
+  const { key: hostOnly } = await createKey({ name: 'host only', scopes: ['host'] });
+  const { key: other } = await createKey({ name: 'other' });
+  const hosted = JSON.parse((await cli(['push', '-', '--json'], { key: hostOnly, input: 'x' })).stdout);
+
+  const ls = await cli(['ls'], { key: hostOnly });
+  assert.strictEqual(ls.code, 1);
+  assert.match(ls.stderr, /403 API key lacks the list scope/);
+  assert.match((await cli(['rm', hosted.id], { key: other })).stderr, /404/);
+
+  const bad = await fetch(`${app.base}/api/host`, { method: 'POST', headers: { Authorization: 'Bearer pp_0000_nope' } });
+  assert.strictEqual(bad.status, 401);
+});
+
+test('usage errors exit with status 2', async () => {
+  const res = await cli(['pull', 'only-a-keyphrase']);
+  assert.strictEqual(res.code, 2);
+  assert.match(res.stderr, /keyphrase and a passcode/);
+});
@@ -0,0 +1,78 @@
+// Uploaded files are served so they can't run script on the app's origin: nosniff, a sandboxing CSP,
+// and HTML / SVG only ever as attachments. Runs the app through test/helpers.js.
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, hostItem, credentials } = require('./helpers');
+
+let app;
+
+test.before(async () => {
+  app = await startApp();
+});
+
+test.after(() => app.stop());
+
+async function fetchFile(hosted) {
+  return fetch(`${app.base}/api/file/${hosted.id}?${credentials(hosted)}`);
+}
+
+function assertSandboxed(res) {
+  assert.strictEqual(res.headers.get('x-content-type-options'), 'nosniff');
+  const csp = res.headers.get('content-security-policy') || '';
+  assert.match(csp, /(^|;\s*)sandbox(;|$)/);
+  assert.match(csp, /default-src 'none'/);
+}
+
+const PAGE = '<html><body><script>parent.pwned = 1</script></body></html>';
+const HOSTILE_TITLE = '"><img src=x onerror=alert(1)>';
+
+for (const [name, type, content] of [
+  ['page.html', 'text/html', PAGE],
+  ['image.svg', 'image/svg+xml', '<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"></svg>'],
+  ['page.xhtml', 'application/xhtml+xml', PAGE]
+]) {
+  test(`${type} files are sandboxed attachments`, async () => {
+    const res = await fetchFile(await hostItem(app.base, { title: name, file: { name, type, content } }));
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-disposition'), /^attachment;/);
+    assertSandboxed(res);
+    assert.strictEqual(await res.text(), content);
+  });
+}
+
+test('HTML uploaded under a harmless type is still an attachment', async () => {
+  const hosted = await hostItem(app.base, { file: { name: 'page.txt', type: 'text/plain', content: `<!doctype html>${PAGE}` } });
+  // the sniffed type is only known once the background preview has run
+  let res;
+  for (let i = 0; i < 20; i++) {
+    res = await fetchFile(hosted);
+    if (/^attachment;/.test(res.headers.get('content-disposition'))) break;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  assert.match(res.headers.get('content-disposition'), /^attachment;/);
+  assertSandboxed(res);
+});
+
+test('other files stay inline but sandboxed', async () => {
+  const res = await fetchFile(await hostItem(app.base, { file: { name: 'notes.txt', type: 'text/plain', content: 'hello' } }));
+  assert.match(res.headers.get('content-disposition'), /^inline;/);
+  assert.strictEqual(res.headers.get('content-type'), 'text/plain');
+  assertSandboxed(res);
+});
+
+test('raw text is served as sandboxed text/plain', async () => {
+  const hosted = await hostItem(app.base, { text: PAGE, title: HOSTILE_TITLE });
+  const res = await fetch(`${app.base}/api/item/${hosted.id}/raw?${credentials(hosted)}`);
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain/);
+  assertSandboxed(res);
+  assert.strictEqual(await res.text(), PAGE);
+});
+
+test('titles come back from the API unchanged, as JSON data', async () => {
+  const hosted = await hostItem(app.base, { text: 'x', title: HOSTILE_TITLE });
+  const res = await fetch(`${app.base}/api/items?${credentials(hosted)}`);
+  assert.match(res.headers.get('content-type'), /^application\/json/);
+  const { items } = await res.json();
+  assert.strictEqual(items[0].title, HOSTILE_TITLE);
+});
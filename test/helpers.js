@@ -0,0 +1,61 @@
+// Shared by the suites that run the app: an in-process instance (createApp) on a free port with the
+// in-memory store and local storage in a temp dir, and helpers to host items and open them
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../src/app');
+const { createMemoryStore } = require('../src/store');
+const { createLocalStorage } = require('../src/storage');
+const { createLogger } = require('../src/logger');
+
+const dirs = [];
+
+test.after(() => {
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Start an app; `config` is added to the test defaults, and `wrapStore` / `wrapStorage` swap store
+// or storage methods for stand-ins. `output()` is what it has logged so far (at config.LOG_LEVEL).
+async function startApp({ config = {}, wrapStore = s => s, wrapStorage = s => s } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'phraseport-test-'));
+  dirs.push(dir);
+  const env = { NODE_ENV: 'test', PASSCODE_SALT_ROUNDS: '4', LOG_LEVEL: 'silent', ...config };
+  let output = '';
+  const instance = createApp({
+    config: env,
+    store: wrapStore(createMemoryStore()),
+    storage: wrapStorage(createLocalStorage({ dir })),
+    log: createLogger({ env, write: (level, line) => { output += `${line}\n`; } })
+  });
+  const server = await instance.start({ port: 0, host: '127.0.0.1' });
+  await instance.ready();
+  return { ...instance, dir, base: `http://127.0.0.1:${server.address().port}`, output: () => output };
+}
+
+// POST /api/host; a field given as { name, content, type } (or a list of them) is sent as a file
+function host(base, fields, { headers } = {}) {
+  const body = new FormData();
+  for (const [name, value] of Object.entries(fields)) {
+    for (const part of [].concat(value)) {
+      if (part && part.content !== undefined) body.append(name, new Blob([part.content], { type: part.type }), part.name);
+      else body.append(name, part);
+    }
+  }
+  return fetch(`${base}/api/host`, { method: 'POST', headers, body });
+}
+
+// host() that must succeed; resolves to the hosted item
+async function hostItem(base, fields, options) {
+  const res = await host(base, fields, options);
+  assert.strictEqual(res.status, 200);
+  return res.json();
+}
+
+// Viewer query string for a hosted item
+function credentials(hosted, passcode = hosted.passcode) {
+  return new URLSearchParams({ keyphrase: hosted.keyphrase, passcode });
+}
+
+module.exports = { startApp, host, hostItem, credentials };
@@ -0,0 +1,151 @@
+// Schema migrations (src/store/migrate.js) against a stand-in pool that keeps schema_migrations in
+// memory, and the legacy db.json importer (scripts/migrate-from-dbjson.js) with a file store
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { createMigrator, loadMigrations } = require('../src/store/migrate');
+
+// Answers the migrator's own statements and records everything a migration runs
+function createFakePool() {
+  const applied = new Map();
+  const log = [];
+  let pending = null;
+  const client = {
+    async query(sql, params = []) {
+      const text = sql.trim();
+      if (text.startsWith('SELECT pg_advisory') || text.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) return { rows: [] };
+      if (text === 'BEGIN') {
+        pending = { applied: new Map(applied), log: [] };
+        return { rows: [] };
+      }
+      if (text === 'COMMIT') {
+        applied.clear();
+        for (const [k, v] of pending.applied) applied.set(k, v);
+        log.push(...pending.log);
+        pending = null;
+        return { rows: [] };
+      }
+      if (text === 'ROLLBACK') {
+        pending = null;
+        return { rows: [] };
+      }
+      const target = pending ? pending.applied : applied;
+      if (text.startsWith('SELECT version')) {
+        return { rows: [...target.values()].sort((a, b) => a.version - b.version) };
+      }
+      if (text.startsWith('INSERT INTO schema_migrations')) {
+        target.set(params[0], { version: params[0], name: params[1], appliedat: params[2] });
+        return { rows: [] };
+      }
+      if (text.startsWith('DELETE FROM schema_migrations')) {
+        target.delete(params[0]);
+        return { rows: [] };
+      }
+      if (text.includes('FAIL')) throw new Error('syntax error');
+      (pending ? pending.log : log).push(text);
+      return { rows: [] };
+    },
+    release() {}
+  };
+  return { pool: { connect: async () => client }, applied, log };
+}
+
+const migrations = [
+  { version: 1, name: 'first', up: db => db.query('CREATE a'), down: db => db.query('DROP a') },
+  { version: 2, name: 'second', up: db => db.query('CREATE b'), down: db => db.query('DROP b') },
+  { version: 3, name: 'third', up: db => db.query('CREATE c'), down: db => db.query('DROP c') }
+];
+
+test('migrations apply in order, once, and revert from the top', async () => {
+  const fake = createFakePool();
+  const migrator = createMigrator({ pool: fake.pool, migrations });
+  assert.deepStrictEqual((await migrator.up({ to: 2 })).map(m => m.version), [1, 2]);
+  assert.deepStrictEqual((await migrator.status()).pending, [{ version: 3, name: 'third' }]);
+  assert.deepStrictEqual((await migrator.up()).map(m => m.version), [3]);
+  assert.deepStrictEqual(await migrator.up(), []);
+  assert.deepStrictEqual(fake.log, ['CREATE a', 'CREATE b', 'CREATE c']);
+
+  assert.deepStrictEqual((await migrator.down()).map(m => m.version), [3]);
+  assert.deepStrictEqual((await migrator.down({ to: 0 })).map(m => m.version), [2, 1]);
+  assert.deepStrictEqual(fake.log.slice(3), ['DROP c', 'DROP b', 'DROP a']);
+  assert.strictEqual((await migrator.status()).current, 0);
+});
+
+test('a failing migration is rolled back and stops the run', async () => {
+  const fake = createFakePool();
+  const broken = [migrations[0], { version: 2, name: 'broken', up: async db => { await db.query('CREATE x'); await db.query('FAIL'); } }, migrations[2]];
+  const migrator = createMigrator({ pool: fake.pool, migrations: broken });
+  await assert.rejects(migrator.up(), /2-broken \(up\) failed/);
+  assert.deepStrictEqual(fake.log, ['CREATE a']);
+  assert.deepStrictEqual([...fake.applied.keys()], [1]);
+});
+
+test('the shipped migrations are numbered and reversible', () => {
+  const shipped = loadMigrations();
+  assert.ok(shipped.length > 0);
+  shipped.forEach((m, i) => {
+    assert.strictEqual(m.version, i + 1);
+    assert.strictEqual(typeof m.up, 'function');
+    assert.strictEqual(typeof m.down, 'function');
+  });
+});
+
+function importer(args, env) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [path.join(__dirname, '..', 'scripts', 'migrate-from-dbjson.js'), ...args], {
+      env: { ...process.env, ...env },
+      timeout: 20000
+    }, (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }));
+  });
+}
+
+test('db.json items and their files are imported into the configured stores', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'phraseport-import-'));
+  try {
+    const legacyDir = path.join(dir, 'storage');
+    fs.mkdirSync(legacyDir);
+    fs.writeFileSync(path.join(legacyDir, '1700000000-report.pdf'), 'pdf bytes');
+    const createdAt = '2024-01-02T03:04:05.000Z';
+    fs.writeFileSync(path.join(dir, 'db.json'), JSON.stringify({
+      items: [
+        { id: 'text-1', title: 'Note', type: 'text', text: 'hello', keyphrase: 'blue-cat', passcode: '1234', createdAt },
+        { id: 'file-1', title: 'Report', type: 'file', filename: '1700000000-report.pdf', originalname: 'report.pdf', mimeType: 'application/pdf', keyphrase: 'blue-cat', passcode: '1234', createdAt },
+        { id: 'file-2', title: 'Gone', type: 'file', filename: 'missing.bin', keyphrase: 'blue-cat', passcode: '1234', createdAt },
+        { id: 'old-1', title: 'Old', type: 'text', text: 'x', keyphrase: 'k', passcode: '1', expiresAt: '2020-01-01T00:00:00.000Z' }
+      ]
+    }));
+    const storeFile = path.join(dir, 'data', 'phraseport.json');
+    const newStorage = path.join(dir, 'objects');
+    const env = { STORE_DRIVER: 'file', STORE_FILE: storeFile, STORAGE_DRIVER: 'local', STORAGE_DIR: newStorage, PASSCODE_SALT_ROUNDS: '4', MASTER_KEYS: '', MASTER_KEY_FILE: '' };
+    const args = ['--file', path.join(dir, 'db.json')];
+
+    const dry = await importer([...args, '--dry-run'], env);
+    assert.match(dry.stdout, /\[2\/4\] file-1 {2}would import \(file report\.pdf, 9 B\)/);
+    assert.deepStrictEqual(fs.readdirSync(newStorage), []);
+
+    const run = await importer([...args, '--remove-source'], env);
+    assert.strictEqual(run.code, 1);
+    assert.match(run.stderr, /file-2 {2}failed: file .*missing\.bin is missing/);
+    assert.match(run.stdout, /old-1 {2}skipped: expired/);
+    assert.match(run.stdout, /Imported 2 item\(s\) \(1 file\(s\), 14 B\), skipped 1, failed 1/);
+
+    const saved = JSON.parse(fs.readFileSync(storeFile, 'utf8')).items;
+    const file = saved.find(it => it.id === 'file-1');
+    assert.strictEqual(file.filename, 'file-1-report.pdf');
+    assert.strictEqual(file.originalName, 'report.pdf');
+    assert.strictEqual(file.scanStatus, 'pending');
+    assert.strictEqual(file.createdAt, createdAt);
+    assert.strictEqual(fs.readFileSync(path.join(newStorage, 'file-1-report.pdf'), 'utf8'), 'pdf bytes');
+    assert.ok(!fs.existsSync(path.join(legacyDir, '1700000000-report.pdf')));
+    assert.match(saved.find(it => it.id === 'text-1').passcodeHash, /^\$2[aby]\$/);
+    assert.ok(!JSON.stringify(saved).includes('"passcode"'));
+
+    const again = await importer(args, env);
+    assert.match(again.stdout, /text-1 {2}skipped: already imported/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,110 @@
+// Structured logs (src/logger.js), Prometheus metrics (src/metrics.js) and /ready, the last two
+// against an app started by test/helpers.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createLogger } = require('../src/logger');
+const { createRegistry } = require('../src/metrics');
+const { startApp, host, credentials } = require('./helpers');
+
+const METRICS_TOKEN = 'test-metrics-token';
+let app;
+
+test.before(async () => {
+  app = await startApp({ config: { METRICS_TOKEN, LOG_LEVEL: 'info' } });
+});
+
+test.after(() => app.stop());
+
+test('log entries are JSON lines with credentials redacted', () => {
+  const lines = [];
+  const log = createLogger({ env: { LOG_LEVEL: 'info' }, write: (level, line) => lines.push(JSON.parse(line)) });
+  log.debug('hidden');
+  log.child({ component: 'test' }).error('insert failed', {
+    item: { id: 'i1', keyphrase: 'blue-cat-tree', passcodeHash: '$2b$...' },
+    headers: { 'X-Manage-Token': 'abc' },
+    url: '/api/item/i1?keyphrase=blue-cat-tree&passcode=123456&download=1',
+    err: Object.assign(new Error('duplicate key'), { code: '23505', detail: 'Key (keyphrase)=(blue-cat-tree)', parameters: ['blue-cat-tree'] })
+  });
+  assert.strictEqual(lines.length, 1);
+  const entry = lines[0];
+  assert.strictEqual(entry.level, 'error');
+  assert.strictEqual(entry.msg, 'insert failed');
+  assert.strictEqual(entry.component, 'test');
+  assert.strictEqual(entry.item.id, 'i1');
+  assert.strictEqual(entry.item.keyphrase, '[redacted]');
+  assert.strictEqual(entry.headers['X-Manage-Token'], '[redacted]');
+  assert.strictEqual(entry.url, '/api/item/i1?keyphrase=[redacted]&passcode=[redacted]&download=1');
+  assert.strictEqual(entry.err.code, '23505');
+  assert.ok(!JSON.stringify(entry).includes('blue-cat-tree'));
+  assert.ok(!JSON.stringify(entry).includes('123456'));
+});
+
+test('metrics render in the Prometheus text format', () => {
+  const registry = createRegistry();
+  const hits = registry.counter('hits_total', 'Hits', ['route']);
+  const latency = registry.histogram('latency_seconds', 'Latency', ['route'], [0.1, 1]);
+  hits.inc({ route: '/a' });
+  hits.inc({ route: '/a' }, 2);
+  hits.inc({ route: 'say "hi"' });
+  latency.observe({ route: '/a' }, 0.05);
+  latency.observe({ route: '/a' }, 0.5);
+  assert.strictEqual(registry.render(), [
+    '# HELP hits_total Hits',
+    '# TYPE hits_total counter',
+    'hits_total{route="/a"} 3',
+    'hits_total{route="say \\"hi\\""} 1',
+    '# HELP latency_seconds Latency',
+    '# TYPE latency_seconds histogram',
+    'latency_seconds_bucket{route="/a",le="0.1"} 1',
+    'latency_seconds_bucket{route="/a",le="1"} 2',
+    'latency_seconds_bucket{route="/a",le="+Inf"} 2',
+    'latency_seconds_sum{route="/a"} 0.55',
+    'latency_seconds_count{route="/a"} 2',
+    ''
+  ].join('\n'));
+});
+
+test('/metrics counts uploads, downloads, auth failures and requests per route', async () => {
+  const hosted = await (await host(app.base, { file: { name: 'a.txt', content: 'twelve bytes' } })).json();
+  assert.strictEqual((await fetch(`${app.base}/api/file/${hosted.id}?${credentials(hosted)}`)).status, 200);
+  await fetch(`${app.base}/api/item/${hosted.id}?${credentials(hosted, 'wrong-passcode')}`);
+
+  assert.strictEqual((await fetch(`${app.base}/metrics`)).status, 401);
+  const res = await fetch(`${app.base}/metrics`, { headers: { Authorization: `Bearer ${METRICS_TOKEN}` } });
+  assert.strictEqual(res.status, 200);
+  const text = await res.text();
+  assert.match(text, /^phraseport_uploads_total\{type="file",via="form"\} 1$/m);
+  assert.match(text, /^phraseport_upload_bytes_total\{type="file",via="form"\} 12$/m);
+  assert.match(text, /^phraseport_downloads_total\{kind="file"\} 1$/m);
+  assert.match(text, /^phraseport_auth_failures_total\{reason="passcode"\} 1$/m);
+  assert.match(text, /^phraseport_http_request_duration_seconds_count\{method="GET",route="\/api\/file\/:id",status="200"\} 1$/m);
+  // raw ids never become label values
+  assert.ok(!text.includes(hosted.id));
+
+  // the request log has the same requests, without the credentials
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const output = app.output();
+  const requests = output.split('\n').filter(Boolean).map(line => JSON.parse(line)).filter(entry => entry.msg === 'request');
+  const download = requests.find(entry => entry.route === '/api/file/:id');
+  assert.strictEqual(download.status, 200);
+  assert.ok(!output.includes(hosted.keyphrase));
+  assert.ok(!output.includes(hosted.passcode));
+});
+
+test('/ready checks the item store and the object store', async () => {
+  const ok = await fetch(`${app.base}/ready`);
+  assert.strictEqual(ok.status, 200);
+  const body = await ok.json();
+  assert.strictEqual(body.status, 'ready');
+  assert.strictEqual(body.checks.store.ok, true);
+  assert.strictEqual(body.checks.storage.driver, 'local');
+
+  fs.rmSync(app.dir, { recursive: true, force: true });
+  const down = await fetch(`${app.base}/ready`);
+  assert.strictEqual(down.status, 503);
+  const failed = await down.json();
+  assert.strictEqual(failed.status, 'unavailable');
+  assert.strictEqual(failed.checks.storage.ok, false);
+  assert.strictEqual((await fetch(`${app.base}/health`)).status, 200);
+});
@@ -0,0 +1,77 @@
+// Storage quotas (src/quota.js) over the in-memory item store, and their enforcement by an app
+// started by test/helpers.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { createQuotas } = require('../src/quota');
+const { createMemoryStore } = require('../src/store');
+const { startApp, hostItem } = require('./helpers');
+
+let n = 0;
+async function seed(store, { keyphrase = 'a-b-c', clientId = 'ip:10.0.0.1', size }) {
+  await store.insertItem({ id: `item-${++n}`, title: 't', type: 'file', keyphrase, clientId, size, createdAt: new Date().toISOString() });
+}
+
+test('usage is summed per keyphrase, per client and overall', async () => {
+  const store = createMemoryStore();
+  await seed(store, { size: 100 });
+  await seed(store, { size: 50, clientId: 'ip:10.0.0.2' });
+  await seed(store, { size: 25, keyphrase: 'x-y-z', clientId: 'ip:10.0.0.2' });
+  await seed(store, { size: null }); // stored before sizes were recorded
+  assert.deepStrictEqual(await store.getUsage(), { items: 4, bytes: 175 });
+  assert.deepStrictEqual(await store.getUsage({ keyphrase: 'a-b-c' }), { items: 3, bytes: 150 });
+  assert.deepStrictEqual(await store.getUsage({ clientId: 'ip:10.0.0.2' }), { items: 2, bytes: 75 });
+  assert.deepStrictEqual(await store.listUsage({ by: 'client' }), [
+    { key: 'ip:10.0.0.1', items: 2, bytes: 100 },
+    { key: 'ip:10.0.0.2', items: 2, bytes: 75 }
+  ]);
+  assert.deepStrictEqual((await store.listUsage({ by: 'keyphrase', limit: 1 })).map(u => u.key), ['a-b-c']);
+});
+
+test('uploads within every quota pass, with what remains afterwards', async () => {
+  const store = createMemoryStore();
+  await seed(store, { size: 600 });
+  const quotas = createQuotas({ store, env: { QUOTA_CLIENT_BYTES: '1000', QUOTA_GLOBAL_BYTES: '5000', QUOTA_GLOBAL_ITEMS: '10' } });
+  const result = await quotas.check({ clientId: 'ip:10.0.0.1', bytes: 300, items: 1 });
+  assert.deepStrictEqual(result, { ok: true, remaining: { bytes: 100, items: 8 } });
+});
+
+test('running out of bytes is a 413, out of items a 429', async () => {
+  const store = createMemoryStore();
+  await seed(store, { size: 600 });
+  await seed(store, { size: 10 });
+  const quotas = createQuotas({ store, env: { QUOTA_KEYPHRASE_ITEMS: '2', QUOTA_CLIENT_BYTES: '1000' } });
+
+  const bytes = await quotas.check({ clientId: 'ip:10.0.0.1', bytes: 500, items: 1 });
+  assert.strictEqual(bytes.ok, false);
+  assert.strictEqual(bytes.status, 413);
+  assert.strictEqual(bytes.scope, 'client');
+  assert.deepStrictEqual(bytes.remaining, { bytes: 390, items: null });
+
+  const items = await quotas.check({ keyphrase: 'a-b-c', bytes: 1, items: 1 });
+  assert.strictEqual(items.status, 429);
+  assert.strictEqual(items.scope, 'keyphrase');
+  assert.match(items.error, /item quota/);
+
+  // a new keyphrase and another client start from zero
+  assert.strictEqual((await quotas.check({ keyphrase: 'new-key-phrase', clientId: 'ip:10.0.0.9', bytes: 900, items: 1 })).ok, true);
+});
+
+test('no configured quotas means no limits', async () => {
+  const quotas = createQuotas({ store: createMemoryStore(), env: {} });
+  assert.deepStrictEqual(await quotas.check({ clientId: 'ip:1.2.3.4', bytes: 1e12, items: 1e6 }), { ok: true, remaining: { bytes: null, items: null } });
+});
+
+test('edits count against the uploader\'s client quota, not the editor\'s', async (t) => {
+  const app = await startApp({ config: { QUOTA_CLIENT_BYTES: '100', TRUST_PROXY: '1' } });
+  t.after(() => app.stop());
+  const hosted = await hostItem(app.base, { text: 'x'.repeat(80) }, { headers: { 'X-Forwarded-For': '203.0.113.5' } });
+
+  // from another address, whose own quota is untouched
+  const edit = (text) => fetch(`${app.base}/api/item/${hosted.id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', 'X-Manage-Token': hosted.manageToken, 'X-Forwarded-For': '203.0.113.9' },
+    body: JSON.stringify({ text })
+  });
+  assert.strictEqual((await edit('x'.repeat(110))).status, 413);
+  assert.strictEqual((await edit('x'.repeat(90))).status, 200);
+});
@@ -0,0 +1,64 @@
+// Server-side rendering of text items (src/render.js): hostile pastes must come out as inert HTML
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { renderText } = require('../src/render');
+
+const HOSTILE = [
+  '<script>alert(1)</script>',
+  '<img src=x onerror=alert(1)>',
+  '<svg onload=alert(1)>',
+  '<iframe src="javascript:alert(1)"></iframe>',
+  '<a href="javascript:alert(1)">click</a>',
+  '[click](javascript:alert(1))',
+  '<div style="background:url(javascript:alert(1))">x</div>',
+  '"><script>alert(1)</script>'
+].join('\n');
+
+// Parsed as the viewer would: no active elements, event handler attributes, javascript: URLs or inline styles
+function assertInert(html) {
+  const fragment = JSDOM.fragment(html);
+  assert.strictEqual(fragment.querySelector('script, iframe, svg, object, embed, img, style, form'), null);
+  for (const node of fragment.querySelectorAll('*')) {
+    for (const attr of node.attributes) {
+      assert.doesNotMatch(attr.name, /^on/i, `${node.tagName} has ${attr.name}`);
+      assert.notStrictEqual(attr.name, 'style', `${node.tagName} has a style attribute`);
+      assert.doesNotMatch(attr.value.trim(), /^javascript:/i, `${node.tagName} ${attr.name} is a javascript: URL`);
+    }
+  }
+}
+
+test('code is escaped, whatever the language', () => {
+  for (const language of ['plaintext', 'javascript', 'xml', 'python', undefined]) {
+    const { html } = renderText(HOSTILE, language);
+    assertInert(html);
+    // every line survives as text
+    const lines = Array.from(JSDOM.fragment(html).querySelectorAll('.lc'), line => line.textContent);
+    assert.deepStrictEqual(lines, HOSTILE.split('\n'));
+  }
+});
+
+test('markdown is sanitized', () => {
+  const { language, html } = renderText(`# Notes\n\n${HOSTILE}\n\n[ok](https://example.com)`, 'markdown');
+  assert.strictEqual(language, 'markdown');
+  assertInert(html);
+  assert.match(html, /<h1>Notes<\/h1>/);
+  assert.match(html, /<a href="https:\/\/example.com" rel="noopener noreferrer nofollow" target="_blank">ok<\/a>/);
+});
+
+test('fenced code inside markdown is escaped', () => {
+  const { html } = renderText('```html\n<script>alert(1)</script>\n```', 'markdown');
+  assertInert(html);
+  assert.match(html, /&lt;/);
+});
+
+test('line anchors carry the prefix and every line is closed', () => {
+  const { html } = renderText('/* a\nb */\nx = 1', 'javascript', { anchorPrefix: 'abc-' });
+  assert.deepStrictEqual(html.match(/id="[^"]+"/g), ['id="abc-L1"', 'id="abc-L2"', 'id="abc-L3"']);
+  assert.strictEqual((html.match(/<span/g) || []).length, (html.match(/<\/span>/g) || []).length);
+});
+
+test('unknown languages fall back to detection', () => {
+  assert.strictEqual(renderText('{"a": 1}', 'no-such-language').language, 'json');
+  assert.strictEqual(renderText('plain words here', null).language, 'plaintext');
+});
@@ -0,0 +1,168 @@
+// Upload scanning (src/scanner): the clamd driver against a stub daemon, the content rules, and
+// the pending -> clean / infected flow through an app started by test/helpers.js
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { Readable } = require('stream');
+const { createClamdScanner, createScanRules } = require('../src/scanner');
+const { startApp, hostItem, credentials } = require('./helpers');
+
+// The EICAR test string; real and stub clamd both report it
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// Minimal clamd: answers zPING and zINSTREAM (reassembling the length-prefixed chunks)
+function startStubClamd({ reply } = {}) {
+  const server = net.createServer(conn => {
+    let buf = Buffer.alloc(0);
+    let command = null;
+    const body = [];
+    conn.on('data', chunk => {
+      buf = Buffer.concat([buf, chunk]);
+      if (!command) {
+        const nul = buf.indexOf(0);
+        if (nul < 0) return;
+        command = buf.subarray(0, nul).toString();
+        buf = buf.subarray(nul + 1);
+        if (command === 'zPING') return conn.end('PONG\0');
+      }
+      while (buf.length >= 4) {
+        const length = buf.readUInt32BE(0);
+        if (length === 0) {
+          const data = Buffer.concat(body).toString('latin1');
+          const answer = reply ? reply(data) : data.includes('EICAR-STANDARD-ANTIVIRUS-TEST-FILE') ? 'stream: Eicar-Signature FOUND' : 'stream: OK';
+          return conn.end(`${answer}\0`);
+        }
+        if (buf.length < 4 + length) return;
+        body.push(buf.subarray(4, 4 + length));
+        buf = buf.subarray(4 + length);
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+const streamOf = (...chunks) => Readable.from(chunks.map(c => Buffer.from(c)));
+
+test('clamd driver reports clean and infected streams', async () => {
+  const clamd = await startStubClamd();
+  try {
+    const scanner = createClamdScanner({ port: clamd.address().port });
+    await scanner.ping();
+    assert.deepStrictEqual(await scanner.scanStream(streamOf('hello ', 'world')), { infected: false });
+    assert.deepStrictEqual(await scanner.scanStream(streamOf(EICAR.slice(0, 20), EICAR.slice(20))), { infected: true, signature: 'Eicar-Signature' });
+  } finally {
+    clamd.close();
+  }
+});
+
+test('clamd driver rejects on errors and unreachable daemons', async () => {
+  const clamd = await startStubClamd({ reply: () => 'INSTREAM size limit exceeded. ERROR' });
+  const port = clamd.address().port;
+  try {
+    await assert.rejects(createClamdScanner({ port }).scanStream(streamOf('data')), /size limit exceeded/);
+  } finally {
+    clamd.close();
+  }
+  await new Promise(resolve => clamd.on('close', resolve));
+  await assert.rejects(createClamdScanner({ port }).scanStream(streamOf('data')), /clamd/);
+});
+
+test('rules deny types by sniffed content and extension', () => {
+  const rules = createScanRules({ SCAN_DENY_TYPES: 'application/x-msdownload,.exe' });
+  assert.ok(rules.active);
+  assert.match(rules.check({ size: 2, name: 'setup.txt' }, Buffer.from('MZ\x90\x00')), /not allowed/);
+  assert.match(rules.check({ size: 5, name: 'setup.exe' }, Buffer.from('hello')), /not allowed/);
+  assert.strictEqual(rules.check({ size: 5, name: 'notes.txt' }, Buffer.from('hello')), null);
+});
+
+test('rules enforce the allow list, size and entropy limits', () => {
+  const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+  const allow = createScanRules({ SCAN_ALLOW_TYPES: 'image/*' });
+  assert.strictEqual(allow.check({ size: png.length, name: 'a.png' }, png), null);
+  assert.match(allow.check({ size: 4, name: 'a.pdf' }, Buffer.from('%PDF-1.7')), /allow list/);
+
+  const size = createScanRules({ SCAN_MAX_SIZE: '100' });
+  assert.match(size.check({ size: 101, name: 'big.bin', encrypted: true }, Buffer.alloc(0)), /larger than/);
+
+  const random = require('crypto').randomBytes(16384);
+  const entropy = createScanRules({ SCAN_MAX_ENTROPY: '7.9' });
+  assert.match(entropy.check({ size: random.length, name: 'blob.bin' }, random), /entropy/);
+  assert.strictEqual(entropy.check({ size: 4096, name: 'zeros.bin' }, Buffer.alloc(4096)), null);
+  // opaque to the server, so only the size rule applies
+  assert.strictEqual(entropy.check({ size: random.length, name: 'blob.bin', encrypted: true }, random), null);
+});
+
+test('uploads stay unavailable until scanned, and infected ones for good', async (t) => {
+  const clamd = await startStubClamd();
+  const app = await startApp({ config: { CLAMD_HOST: '127.0.0.1', CLAMD_PORT: String(clamd.address().port) } });
+  t.after(async () => {
+    await app.stop();
+    clamd.close();
+  });
+
+  async function upload(name, content) {
+    const hosted = await hostItem(app.base, { file: { name, content, type: 'text/plain' } });
+    const query = credentials(hosted);
+    return { ...hosted, fileUrl: `${app.base}/api/file/${hosted.id}?${query}`, itemUrl: `${app.base}/api/item/${hosted.id}?${query}` };
+  }
+
+  async function settled(hosted) {
+    for (let i = 0; i < 50; i++) {
+      const item = await (await fetch(hosted.itemUrl)).json();
+      if (item.scanStatus !== 'pending') return item;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('scan did not finish');
+  }
+
+  const clean = await upload('notes.txt', 'hello');
+  const infected = await upload('eicar.txt', EICAR);
+
+  const cleanItem = await settled(clean);
+  assert.strictEqual(cleanItem.scanStatus, 'clean');
+  assert.ok(cleanItem.downloadUrl);
+  assert.strictEqual(await (await fetch(clean.fileUrl)).text(), 'hello');
+
+  const infectedItem = await settled(infected);
+  assert.strictEqual(infectedItem.scanStatus, 'infected');
+  assert.match(infectedItem.scanReason, /Eicar-Signature/);
+  assert.strictEqual(infectedItem.downloadUrl, undefined);
+  assert.strictEqual((await fetch(infected.fileUrl)).status, 403);
+});
+
+test('a file replaced while its old version is being scanned is scanned too', async (t) => {
+  const clamd = await startStubClamd();
+  let reading;
+  let release;
+  const firstRead = new Promise(resolve => { reading = resolve; });
+  const replaced = new Promise(resolve => { release = resolve; });
+  const app = await startApp({
+    config: { CLAMD_HOST: '127.0.0.1', CLAMD_PORT: String(clamd.address().port) },
+    // the first scan stalls on reading the file until it has been replaced
+    wrapStorage: storage => ({ ...storage, stream: async (...args) => {
+      reading();
+      await replaced;
+      return storage.stream(...args);
+    } })
+  });
+  t.after(async () => {
+    await app.stop();
+    clamd.close();
+  });
+
+  const hosted = await hostItem(app.base, { file: { name: 'notes.txt', content: 'hello', type: 'text/plain' } });
+  await firstRead;
+  const body = new FormData();
+  body.append('file', new Blob([EICAR], { type: 'text/plain' }), 'eicar.txt');
+  const res = await fetch(`${app.base}/api/item/${hosted.id}/file`, { method: 'PUT', headers: { 'X-Manage-Token': hosted.manageToken }, body });
+  assert.strictEqual(res.status, 200);
+  release();
+
+  let item;
+  for (let i = 0; i < 50; i++) {
+    item = await (await fetch(`${app.base}/api/item/${hosted.id}?${credentials(hosted)}`)).json();
+    if (item.scanStatus !== 'pending') break;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  assert.strictEqual(item.scanStatus, 'infected');
+});
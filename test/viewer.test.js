@@ -0,0 +1,178 @@
+// The viewer and upload pages (public/app-view.js, public/app-index.js) in jsdom: hostile titles,
+// texts, file names and keyphrases must end up as text, never as markup
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const PUBLIC = path.join(__dirname, '..', 'public');
+const HOSTILE = '<img src=x onerror="window.pwned=1"><script>window.pwned=1</script>';
+const ITEM_ID = '11111111-2222-4333-8444-555555555555';
+
+// A page from public/ with its scripts run in order. They are evaluated as one script so their
+// top-level consts (PhraseportDOM, PhraseportE2E) are shared, as between <script> tags.
+function loadPage(page, scripts, { url, fetch }) {
+  const html = fs.readFileSync(path.join(PUBLIC, page), 'utf8').replace(/<script[\s\S]*?<\/script>/g, '');
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  dom.window.fetch = fetch;
+  dom.window.HTMLElement.prototype.scrollIntoView = () => {};
+  dom.window.eval(scripts.map(name => fs.readFileSync(path.join(PUBLIC, name), 'utf8')).join('\n;\n'));
+  return dom.window;
+}
+
+function jsonResponse(body, status = 200) {
+  return Promise.resolve({
+    ok: status < 400,
+    status,
+    headers: { get: () => null },
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  });
+}
+
+// Nothing a page added may be executable
+function assertInert(root) {
+  assert.strictEqual(root.querySelector('script, iframe, object, embed, svg'), null);
+  for (const node of root.querySelectorAll('*')) {
+    for (const attr of node.attributes) {
+      assert.doesNotMatch(attr.name, /^on/i, `${node.tagName} has ${attr.name}`);
+      if (attr.name === 'href' || attr.name === 'src') assert.doesNotMatch(attr.value, /^\s*javascript:/i);
+    }
+  }
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+function viewerApi(items, item) {
+  return (url) => {
+    const u = String(url);
+    if (u.startsWith('/api/policy')) return jsonResponse({ passcode: { length: 6, minLength: 4, charClass: '0-9', numeric: true } });
+    if (u.startsWith('/api/session')) return jsonResponse({ token: 't', expiresAt: new Date(Date.now() + 3600e3).toISOString() });
+    if (u.startsWith('/api/items')) return jsonResponse({ items, bundles: [{ id: 'b1', zipUrl: '/api/bundle/b1/zip?token=z' }] });
+    if (u.startsWith(`/api/item/${ITEM_ID}`)) return jsonResponse(item);
+    return jsonResponse({ error: 'not found' }, 404);
+  };
+}
+
+async function openViewer(items, item) {
+  const window = loadPage('view.html', ['dom.js', 'e2e.js', 'app-view.js'], {
+    url: 'http://localhost/view?keyphrase=a-b-c&passcode=123456',
+    fetch: viewerApi(items, item)
+  });
+  await settle();
+  return window;
+}
+
+test('hostile titles in the item list are shown as text', async () => {
+  const items = [
+    { id: ITEM_ID, title: HOSTILE, type: 'text', createdAt: new Date().toISOString(), viewsRemaining: null },
+    { id: 'b-item', title: HOSTILE, type: 'file', bundleId: 'b1', createdAt: new Date().toISOString(), thumbnailUrl: '"><script>x</script>' }
+  ];
+  const window = await openViewer(items, {});
+  const out = window.document.getElementById('items');
+  assertInert(out);
+  const titles = Array.from(out.querySelectorAll('strong[id^="title-"]'), el => el.textContent);
+  assert.deepStrictEqual(titles, [HOSTILE, HOSTILE]);
+  assert.strictEqual(window.pwned, undefined);
+});
+
+test('hostile text from a server without rendered HTML is shown as text', async () => {
+  const items = [{ id: ITEM_ID, title: 'note', type: 'text', createdAt: new Date().toISOString() }];
+  const window = await openViewer(items, { id: ITEM_ID, title: HOSTILE, type: 'text', text: HOSTILE });
+  window.document.querySelector(`#items .item a[href="#"]`).click();
+  await settle();
+  const container = window.document.getElementById(`item-${ITEM_ID}`);
+  assertInert(container);
+  assert.strictEqual(container.querySelector('pre').textContent, HOSTILE);
+});
+
+test('hostile file names are shown as text', async () => {
+  const items = [{ id: ITEM_ID, title: 'file', type: 'file', createdAt: new Date().toISOString() }];
+  const file = { id: ITEM_ID, title: HOSTILE, type: 'file', filename: `${HOSTILE}.bin`, downloadUrl: `/api/file/${ITEM_ID}?token=t` };
+  const window = await openViewer(items, file);
+  window.document.querySelector(`#items .item a[href="#"]`).click();
+  await settle();
+  const container = window.document.getElementById(`item-${ITEM_ID}`);
+  assertInert(container);
+  assert.strictEqual(container.querySelector('a').textContent, `Download ${HOSTILE}.bin`);
+});
+
+test('a hostile keyphrase on the upload page is shown as text', () => {
+  const window = loadPage('index.html', ['dom.js', 'e2e.js', 'app-index.js'], { url: 'http://localhost/', fetch: viewerApi([], {}) });
+  window.renderHosted({
+    success: true,
+    id: HOSTILE,
+    keyphrase: HOSTILE,
+    passcode: '123456',
+    shareUrl: 'http://localhost/view?keyphrase=x',
+    manageUrl: 'http://localhost/manage#token=y'
+  });
+  const result = window.document.getElementById('result');
+  assertInert(result);
+  assert.ok(Array.from(result.querySelectorAll('div')).some(el => el.textContent === HOSTILE));
+  assert.strictEqual(window.pwned, undefined);
+});
+
+test('the viewer loads further pages and searches on the server', async () => {
+  const requests = [];
+  const pages = {
+    '': { items: [{ id: 'i1', title: 'one', type: 'text', createdAt: new Date().toISOString() }], nextCursor: 'c1' },
+    c1: { items: [{ id: 'i2', title: 'two', type: 'file', bundleId: 'b1', createdAt: new Date().toISOString() }], nextCursor: 'c2' },
+    c2: { items: [{ id: 'i3', title: 'three', type: 'file', bundleId: 'b1', createdAt: new Date().toISOString() }], nextCursor: null }
+  };
+  const api = viewerApi([], {});
+  const window = loadPage('view.html', ['dom.js', 'e2e.js', 'app-view.js'], {
+    url: 'http://localhost/view?keyphrase=a-b-c&passcode=123456',
+    fetch: (url, options) => {
+      const u = new URL(String(url), 'http://localhost');
+      if (u.pathname !== '/api/items') return api(url, options);
+      requests.push(u.searchParams);
+      // a search whose first page comes back empty but not finished
+      if (u.searchParams.get('q')) return jsonResponse({ items: [], bundles: [], nextCursor: u.searchParams.get('cursor') ? null : 's1' });
+      return jsonResponse({ bundles: [], ...pages[u.searchParams.get('cursor') || ''] });
+    }
+  });
+  await settle();
+  const out = window.document.getElementById('items');
+  // the end of the list stays in view (jsdom has no layout), so every page is loaded
+  assert.deepStrictEqual(requests.map(p => p.get('cursor')), [null, 'c1', 'c2']);
+  assert.deepStrictEqual(Array.from(out.querySelectorAll('strong[id^="title-"]'), el => el.textContent), ['one', 'two', 'three']);
+  // a bundle split over two pages is still one group
+  assert.strictEqual(out.querySelectorAll('.bundle').length, 1);
+  assert.strictEqual(out.querySelector('.bundle-head strong').textContent, 'Bundle • 2 items');
+
+  const search = window.document.getElementById('search');
+  assert.strictEqual(window.document.getElementById('searchBar').hidden, false);
+  search.value = 'invoice';
+  search.dispatchEvent(new window.Event('input'));
+  await new Promise(resolve => setTimeout(resolve, 400));
+  assert.strictEqual(requests[requests.length - 1].get('q'), 'invoice');
+  assert.strictEqual(requests[requests.length - 1].get('cursor'), 's1');
+  assert.strictEqual(out.textContent, 'No items match that search.');
+});
+
+test('a page that fails to load can be retried', async () => {
+  let failures = 2;
+  const api = viewerApi([{ id: 'i1', title: 'one', type: 'text', createdAt: new Date().toISOString() }], {});
+  const window = loadPage('view.html', ['dom.js', 'e2e.js', 'app-view.js'], {
+    url: 'http://localhost/view?keyphrase=a-b-c&passcode=123456',
+    fetch: (url, options) => {
+      if (String(url).startsWith('/api/items') && failures-- > 0) {
+        return failures ? Promise.reject(new TypeError('Failed to fetch')) : jsonResponse({ error: 'unavailable' }, 503);
+      }
+      return api(url, options);
+    }
+  });
+  await settle();
+  const out = window.document.getElementById('items');
+  assert.match(out.textContent, /could not be loaded/);
+  out.querySelector('a').click();
+  await settle();
+  assert.match(out.textContent, /could not be loaded/);
+  assert.strictEqual(out.querySelectorAll('a').length, 1);
+  out.querySelector('a').click();
+  await settle();
+  assert.doesNotMatch(out.textContent, /could not be loaded/);
+  assert.deepStrictEqual(Array.from(out.querySelectorAll('strong[id^="title-"]'), el => el.textContent), ['one']);
+});
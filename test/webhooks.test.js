@@ -0,0 +1,129 @@
+// Webhooks (src/webhooks.js): signed deliveries of item lifecycle events, retries and the delivery
+// log, against an app started by test/helpers.js and a local receiver
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { sign } = require('../src/webhooks');
+const { startApp, hostItem } = require('./helpers');
+
+const ADMIN_TOKEN = 'test-admin-token';
+const SECRET = 'webhook-test-secret';
+const SCOPED_KEYPHRASE = 'amber-falcon-meadow';
+let app;
+
+// stand-in for the subscribers: /flaky answers 500 to the first attempt of every delivery
+const received = [];
+const attemptsSeen = new Map();
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const delivery = req.headers['x-phraseport-delivery'];
+    attemptsSeen.set(delivery, (attemptsSeen.get(delivery) || 0) + 1);
+    if (req.url === '/flaky' && attemptsSeen.get(delivery) === 1) {
+      res.statusCode = 500;
+      return res.end('try again');
+    }
+    received.push({ path: req.url, headers: req.headers, body, payload: JSON.parse(body) });
+    res.end('ok');
+  });
+});
+
+test.before(async () => {
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  const hook = (p) => `http://127.0.0.1:${receiver.address().port}${p}`;
+  const WEBHOOKS = JSON.stringify([
+    { name: 'all', url: hook('/all'), secret: SECRET },
+    { name: 'flaky', url: hook('/flaky'), events: ['item.created'] },
+    { name: 'scoped', url: hook('/scoped'), keyphrase: SCOPED_KEYPHRASE }
+  ]);
+  app = await startApp({
+    config: {
+      ADMIN_TOKEN,
+      WEBHOOKS,
+      WEBHOOK_SECRET: 'fallback-secret',
+      WEBHOOK_RETRY_BASE_SECONDS: '0.2',
+      WEBHOOK_POLL_MS: '100'
+    }
+  });
+});
+
+test.after(async () => {
+  await app.stop();
+  receiver.close();
+});
+
+const admin = (method, p) => fetch(`${app.base}${p}`, { method, headers: { 'X-Admin-Token': ADMIN_TOKEN } });
+
+async function waitFor(predicate) {
+  for (let i = 0; i < 100; i++) {
+    const found = received.filter(predicate);
+    if (found.length) return found;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('webhook not received');
+}
+
+test('lifecycle events are delivered, signed with the subscription secret', async () => {
+  const hosted = await hostItem(app.base, { text: 'hello' });
+  const [created] = await waitFor(r => r.path === '/all' && r.payload.event === 'item.created' && r.payload.item.id === hosted.id);
+  assert.strictEqual(created.headers['x-phraseport-event'], 'item.created');
+  assert.strictEqual(created.headers['x-phraseport-delivery'], created.payload.id);
+  const t = created.headers['x-phraseport-signature'].match(/^t=(\d+),/)[1];
+  assert.strictEqual(created.headers['x-phraseport-signature'], sign(SECRET, t, created.body));
+  assert.strictEqual(created.headers['x-phraseport-signature'].split('v1=')[1],
+    crypto.createHmac('sha256', SECRET).update(`${t}.${created.body}`).digest('hex'));
+  // no credentials go out
+  assert.ok(!created.body.includes(hosted.keyphrase));
+  assert.ok(!created.body.includes(hosted.passcode));
+
+  await fetch(`${app.base}/api/item/${hosted.id}?${new URLSearchParams({ keyphrase: hosted.keyphrase, passcode: hosted.passcode })}`);
+  const [accessed] = await waitFor(r => r.path === '/all' && r.payload.event === 'item.accessed' && r.payload.item.id === hosted.id);
+  assert.strictEqual(accessed.payload.action, 'view');
+
+  const del = await fetch(`${app.base}/api/item/${hosted.id}`, { method: 'DELETE', headers: { 'X-Manage-Token': hosted.manageToken } });
+  assert.strictEqual(del.status, 200);
+  const [deleted] = await waitFor(r => r.path === '/all' && r.payload.event === 'item.deleted' && r.payload.item.id === hosted.id);
+  assert.strictEqual(deleted.payload.reason, 'owner');
+});
+
+test('failed deliveries are retried and logged', async () => {
+  const hosted = await hostItem(app.base, { text: 'retry me' });
+  const [got] = await waitFor(r => r.path === '/flaky' && r.payload.item.id === hosted.id);
+  // the flaky subscription has no secret of its own
+  const t = got.headers['x-phraseport-signature'].match(/^t=(\d+),/)[1];
+  assert.strictEqual(got.headers['x-phraseport-signature'], sign('fallback-secret', t, got.body));
+
+  // the log is updated just after the receiver answers
+  let flaky;
+  for (let i = 0; i < 50 && !(flaky && flaky.status === 'delivered'); i++) {
+    if (i) await new Promise(resolve => setTimeout(resolve, 50));
+    const { deliveries } = await (await admin('GET', `/api/admin/webhooks/deliveries?itemId=${hosted.id}&event=item.created`)).json();
+    flaky = deliveries.find(d => d.subscription === 'flaky');
+  }
+  assert.strictEqual(flaky.status, 'delivered');
+  assert.strictEqual(flaky.attempts, 2);
+  assert.strictEqual(flaky.lastStatus, 200);
+  assert.strictEqual(attemptsSeen.get(flaky.id), 2);
+
+  // an operator can send it again
+  const retried = await admin('POST', `/api/admin/webhooks/deliveries/${flaky.id}/retry`);
+  assert.strictEqual(retried.status, 200);
+  await waitFor(r => r.path === '/flaky' && r.payload.id === flaky.id && attemptsSeen.get(flaky.id) === 3);
+  const audit = await (await admin('GET', '/api/admin/audit?action=webhook.retry')).json();
+  assert.strictEqual(audit.events[0].target, `delivery:${flaky.id}`);
+  assert.strictEqual((await admin('POST', '/api/admin/webhooks/deliveries/nope/retry')).status, 404);
+});
+
+test('keyphrase-scoped subscriptions only hear about their items', async () => {
+  const other = await hostItem(app.base, { text: 'not for scoped' });
+  const mine = await hostItem(app.base, { text: 'for scoped', keyphrase: SCOPED_KEYPHRASE });
+  await waitFor(r => r.path === '/scoped' && r.payload.item.id === mine.id);
+  await waitFor(r => r.path === '/all' && r.payload.item.id === other.id);
+  assert.ok(!received.some(r => r.path === '/scoped' && r.payload.item.id === other.id));
+
+  const { subscriptions } = await (await admin('GET', '/api/admin/webhooks')).json();
+  assert.deepStrictEqual(subscriptions.map(s => s.name), ['all', 'flaky', 'scoped']);
+  assert.ok(!JSON.stringify(subscriptions).includes(SECRET));
+});